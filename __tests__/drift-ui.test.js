@@ -15,6 +15,7 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 */
 const fs = require('fs');
 const path = require('path');
+const runApp = require('./helpers/runApp');
 
 const appJsPath = path.resolve(__dirname, '../js/app.js');
 const appJsContent = fs.readFileSync(appJsPath, 'utf8');
@@ -24,8 +25,19 @@ const buildDom = () => {
         <div id="overlay"></div>
         <div id="piano"></div>
         <select id="waveform"><option value="sine">Sine</option></select>
-        <input id="variance" type="range" value="0" />
+        <select id="varianceDistribution">
+            <option value="gaussian">Gaussian</option>
+            <option value="uniform">Uniform</option>
+            <option value="cauchy">Cauchy</option>
+        </select>
+        <span id="varianceLabel"></span>
+        <input id="variance" type="range" min="0" max="100" step="0.1" value="0" />
         <span id="varianceVal"></span>
+        <div id="varianceShapeGroup" hidden>
+            <span id="varianceShapeLabel"></span>
+            <input id="varianceShape" type="range" min="1" max="1200" step="1" value="300" />
+            <span id="varianceShapeVal"></span>
+        </div>
         <input id="cutoff" type="range" value="20000" />
         <span id="cutoffVal"></span>
         <input id="driftDirection" type="range" value="50" />
@@ -54,8 +66,7 @@ const buildDom = () => {
 describe('Drift UI Behavior', () => {
     beforeEach(() => {
         buildDom();
-        window.eval(appJsContent);
-        document.dispatchEvent(new Event('DOMContentLoaded'));
+        runApp(appJsContent);
     });
 
     test('drift modes remember their last settings', () => {
@@ -84,6 +95,41 @@ describe('Drift UI Behavior', () => {
         expect(driftSpread.value).toBe('34');
     });
 
+    test('pitch distributions remember their own amount and shape', () => {
+        const distribution = document.getElementById('varianceDistribution');
+        const variance = document.getElementById('variance');
+        const shape = document.getElementById('varianceShape');
+        const shapeGroup = document.getElementById('varianceShapeGroup');
+        const selectDistribution = (value) => {
+            distribution.value = value;
+            distribution.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+
+        variance.value = '12';
+        variance.dispatchEvent(new Event('input', { bubbles: true }));
+
+        selectDistribution('cauchy');
+        expect(variance.value).toBe('0');
+        expect(shapeGroup.hidden).toBe(false);
+        expect(shape.value).toBe('300');
+        expect(document.getElementById('varianceLabel').innerText).toBe('Cauchy Scale (Cents)');
+
+        variance.value = '4';
+        variance.dispatchEvent(new Event('input', { bubbles: true }));
+        shape.value = '80';
+        shape.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(document.getElementById('varianceShapeVal').innerText).toBe('80');
+
+        selectDistribution('gaussian');
+        expect(variance.value).toBe('12');
+        expect(shapeGroup.hidden).toBe(true);
+        expect(document.getElementById('varianceVal').innerText).toBe('12');
+
+        selectDistribution('cauchy');
+        expect(variance.value).toBe('4');
+        expect(shape.value).toBe('80');
+    });
+
     test('uniform mode enforces minimum not greater than maximum', () => {
         const driftMode = document.getElementById('driftMode');
         const driftMean = document.getElementById('driftMean');
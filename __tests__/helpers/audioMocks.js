@@ -0,0 +1,49 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+// Installs an AudioContext whose nodes record their automation calls. Returns the oscillators the app
+// creates, in order.
+const setupAudioMocks = () => {
+    const createParam = () => ({
+        value: 0,
+        setValueAtTime: jest.fn(),
+        linearRampToValueAtTime: jest.fn(),
+        exponentialRampToValueAtTime: jest.fn(),
+        setTargetAtTime: jest.fn(),
+        cancelScheduledValues: jest.fn(),
+        cancelAndHoldAtTime: jest.fn()
+    });
+    const createNode = extra => ({ connect: jest.fn(), disconnect: jest.fn(), ...extra });
+    const oscillators = [];
+    window.AudioContext = jest.fn(() => ({
+        state: 'running',
+        currentTime: 0,
+        destination: {},
+        resume: jest.fn(),
+        createOscillator: jest.fn(() => {
+            const oscillator = createNode({ frequency: createParam(), detune: createParam(), start: jest.fn(), stop: jest.fn() });
+            oscillators.push(oscillator);
+            return oscillator;
+        }),
+        createBiquadFilter: jest.fn(() => createNode({ frequency: createParam(), Q: createParam() })),
+        createDynamicsCompressor: jest.fn(() => createNode({
+            threshold: createParam(), knee: createParam(), ratio: createParam(), attack: createParam(), release: createParam()
+        })),
+        createGain: jest.fn(() => createNode({ gain: createParam() }))
+    }));
+    return oscillators;
+};
+
+module.exports = setupAudioMocks;
@@ -0,0 +1,27 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+// Evaluates the app and starts it once. The DOMContentLoaded listener each evaluation adds is taken off
+// `document` again, so a later test's dispatch does not start this copy on that test's DOM too.
+const runApp = (source) => {
+    const addListener = jest.spyOn(document, 'addEventListener');
+    window.eval(source);
+    const startCall = addListener.mock.calls.find(([type]) => type === 'DOMContentLoaded');
+    addListener.mockRestore();
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    document.removeEventListener('DOMContentLoaded', startCall[1]);
+};
+
+module.exports = runApp;
@@ -0,0 +1,195 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+const fs = require('fs');
+const path = require('path');
+const runApp = require('./helpers/runApp');
+const setupAudioMocks = require('./helpers/audioMocks');
+
+const appJsPath = path.resolve(__dirname, '../js/app.js');
+const appJsContent = fs.readFileSync(appJsPath, 'utf8');
+
+const buildDom = () => {
+    document.body.innerHTML = `
+        <div id="overlay"></div>
+        <select id="waveform"><option value="sine">Sine</option></select>
+        <select id="varianceDistribution"><option value="gaussian">Gaussian</option></select>
+        <span id="varianceLabel"></span>
+        <input id="variance" type="range" min="0" max="100" step="0.1" value="0" />
+        <span id="varianceVal"></span>
+        <input id="cutoff" type="range" min="100" max="20000" step="10" value="20000" />
+        <span id="cutoffVal"></span>
+        <input id="driftDirection" type="range" value="50" />
+        <span id="driftDirectionVal"></span>
+        <input id="driftMean" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftMeanVal"></span>
+        <input id="driftSpread" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftSpreadVal"></span>
+        <input id="driftMode" type="checkbox" />
+        <select id="driftShape"><option value="linear">Linear Ramp</option></select>
+        <input id="driftTime" type="range" min="0.1" max="300" step="0.1" value="10" />
+        <input id="release" type="range" min="5" max="10000" step="1" value="150" />
+        <span id="releaseVal"></span>
+        <select id="layout"><option value="US">US</option><option value="DE">DE</option></select>
+        <button id="octaveDown"></button>
+        <button id="octaveUp"></button>
+        <span id="octaveVal"></span>
+        <button id="aboutBtn"></button>
+        <div id="aboutModal"></div>
+        <button id="aboutClose"></button>
+        <select id="keyboardStart">
+            <option value="21">A0</option>
+            <option value="36">C2</option>
+            <option value="60" selected>C4</option>
+        </select>
+        <input id="keyboardOctaves" type="number" min="1" max="7" step="1" value="2" />
+        <input id="keyboardZoom" type="range" min="50" max="150" step="10" value="100" />
+        <span id="keyboardZoomVal"></span>
+        <div id="pianoScroll"><div id="piano"></div></div>
+        <ul id="voiceMonitor"></ul>
+        <span id="voiceMonitorEmpty">No notes sounding</span>
+    `;
+};
+
+const startApp = () => {
+    buildDom();
+    const oscillators = setupAudioMocks();
+    runApp(appJsContent + `
+        try { window.buildKeyboardLayout = buildKeyboardLayout; } catch(e) {}
+        try { window.getNoteName = getNoteName; } catch(e) {}
+        try { window.midiNoteToFrequency = midiNoteToFrequency; } catch(e) {}
+    `);
+    document.getElementById('overlay').click();
+    return oscillators;
+};
+
+const renderedKeys = () => Array.from(document.querySelectorAll('#piano .key'));
+
+const setControl = (id, value, eventName = 'change') => {
+    const el = document.getElementById(id);
+    el.value = value;
+    el.dispatchEvent(new Event(eventName));
+};
+
+describe('On-screen keyboard', () => {
+    let oscillators;
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        oscillators = startApp();
+    });
+
+    test('the layout spans whole octaves and places black keys after the white keys to their left', () => {
+        const keys = window.buildKeyboardLayout(60, 1);
+        expect(keys.map(key => key.name)).toEqual([
+            'C4', 'C#4', 'D4', 'D#4', 'E4', 'F4', 'F#4', 'G4', 'G#4', 'A4', 'A#4', 'B4', 'C5'
+        ]);
+        expect(keys.filter(key => key.type === 'black').map(key => key.whiteOffset)).toEqual([1, 2, 4, 5, 6]);
+        expect(keys.filter(key => key.type === 'white')).toHaveLength(8);
+
+        // A black start note moves down to the white key below; the top is capped at note 127.
+        expect(window.buildKeyboardLayout(61, 1)[0].name).toBe('C4');
+        const top = window.buildKeyboardLayout(120, 7);
+        expect(top[top.length - 1].noteNumber).toBe(127);
+        expect(window.getNoteName(21)).toBe('A0');
+    });
+
+    test('the keyboard is generated from the start note and octave count', () => {
+        let keys = renderedKeys();
+        expect(keys).toHaveLength(25);
+        expect(keys[0].id).toBe('key-0');
+        expect(keys[24].id).toBe('key-24');
+        expect(document.getElementById('key-1').classList.contains('black-key')).toBe(true);
+        expect(document.getElementById('key-13').style.getPropertyValue('--white-offset')).toBe('8');
+        expect(document.getElementById('hint-9').textContent).toBe('H');
+        expect(document.getElementById('hint-17')).toBeNull();
+
+        setControl('keyboardStart', '36');
+        setControl('keyboardOctaves', '12');
+        expect(document.getElementById('keyboardOctaves').value).toBe('7');
+        keys = renderedKeys();
+        expect(keys).toHaveLength(85);
+        expect(keys[0].id).toBe('key--24');
+        expect(keys[0].title).toBe('C2');
+
+        // Keys outside the computer-keyboard range play their own pitch.
+        keys[0].dispatchEvent(new Event('touchstart', { cancelable: true }));
+        expect(oscillators[0].frequency.setValueAtTime.mock.calls[0][0]).toBeCloseTo(window.midiNoteToFrequency(36), 6);
+        expect(keys[0].classList.contains('active')).toBe(true);
+        keys[0].dispatchEvent(new Event('touchend', { cancelable: true }));
+        expect(keys[0].classList.contains('active')).toBe(false);
+    });
+
+    test('key width zoom and the keyboard range are remembered', () => {
+        setControl('keyboardZoom', '150', 'input');
+        expect(document.getElementById('piano').style.getPropertyValue('--white-key-width')).toBe('75px');
+        expect(document.getElementById('keyboardZoomVal').innerText).toBe('150%');
+        setControl('keyboardStart', '21');
+        setControl('keyboardOctaves', '1');
+
+        startApp();
+        expect(document.getElementById('keyboardStart').value).toBe('21');
+        expect(document.getElementById('keyboardOctaves').value).toBe('1');
+        expect(document.getElementById('keyboardZoom').value).toBe('150');
+        expect(document.getElementById('piano').style.getPropertyValue('--white-key-width')).toBe('75px');
+        const keys = renderedKeys();
+        expect(keys).toHaveLength(13);
+        expect(keys[0].title).toBe('A0');
+        expect(keys[1].style.getPropertyValue('--white-offset')).toBe('1');
+    });
+
+    test('typing in a text field plays nothing but still releases a held note', () => {
+        const field = document.createElement('input');
+        field.type = 'text';
+        document.body.appendChild(field);
+        field.dispatchEvent(new KeyboardEvent('keydown', { key: 'j', bubbles: true }));
+        expect(oscillators).toHaveLength(0);
+
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: 'h' }));
+        expect(oscillators).toHaveLength(1);
+        field.focus();
+        field.dispatchEvent(new KeyboardEvent('keyup', { key: 'h', bubbles: true }));
+        expect(oscillators[0].stop).toHaveBeenCalled();
+        expect(document.querySelectorAll('#piano .key.active')).toHaveLength(0);
+    });
+
+    test('the voice monitor follows each sounding voice as it drifts', () => {
+        setControl('driftDirection', '100', 'input');
+        setControl('driftMean', '10', 'input');
+        const context = window.AudioContext.mock.results[0].value;
+        jest.useFakeTimers();
+        try {
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'h' }));
+            const rows = document.querySelectorAll('#voiceMonitor .voice-row');
+            expect(rows).toHaveLength(1);
+            expect(document.getElementById('voiceMonitorEmpty').hidden).toBe(true);
+            expect(rows[0].querySelector('.voice-note').innerText).toBe('A4');
+            expect(rows[0].querySelector('.voice-needle').style.left).toBe('50%');
+
+            context.currentTime = 2;
+            jest.advanceTimersByTime(50);
+            expect(rows[0].querySelector('.voice-detail').innerText).toBe('start +0.0¢ · drift +20.0¢ ↑');
+            expect(rows[0].querySelector('.voice-start-marker').style.left).toBe('50%');
+            expect(rows[0].querySelector('.voice-needle').style.left).toBe('60%');
+
+            window.dispatchEvent(new KeyboardEvent('keyup', { key: 'h' }));
+            expect(document.querySelectorAll('#voiceMonitor .voice-row')).toHaveLength(0);
+            expect(document.getElementById('voiceMonitorEmpty').hidden).toBe(false);
+            expect(jest.getTimerCount()).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -36,7 +36,8 @@ describe('Uncertain Keys Logic', () => {
             },
             detune: {
                 setValueAtTime: jest.fn(),
-                linearRampToValueAtTime: jest.fn()
+                linearRampToValueAtTime: jest.fn(),
+                setTargetAtTime: jest.fn()
             },
             connect: jest.fn(),
             start: jest.fn(),
@@ -50,7 +51,8 @@ describe('Uncertain Keys Logic', () => {
                 linearRampToValueAtTime: jest.fn(),
                 cancelScheduledValues: jest.fn(),
                 cancelAndHoldAtTime: jest.fn(),
-                exponentialRampToValueAtTime: jest.fn()
+                exponentialRampToValueAtTime: jest.fn(),
+                setTargetAtTime: jest.fn()
             },
             connect: jest.fn(),
             disconnect: jest.fn()
@@ -100,6 +102,15 @@ describe('Uncertain Keys Logic', () => {
             try { window.Synth = Synth; } catch(e) {}
             try { window.gaussianRandom = gaussianRandom; } catch(e) {}
             try { window.getGaussianPitch = getGaussianPitch; } catch(e) {}
+            try { window.createSeededRandom = createSeededRandom; } catch(e) {}
+            try { window.samplePitchOffsetCents = samplePitchOffsetCents; } catch(e) {}
+            try { window.getDistributedPitch = getDistributedPitch; } catch(e) {}
+            try { window.velocityToGain = velocityToGain; } catch(e) {}
+            try { window.mapControllerToRange = mapControllerToRange; } catch(e) {}
+            try { window.getDriftOffsetCents = getDriftOffsetCents; } catch(e) {}
+            try { window.centsToPitchBend = centsToPitchBend; } catch(e) {}
+            try { window.formatCents = formatCents; } catch(e) {}
+            try { window.getMeterPosition = getMeterPosition; } catch(e) {}
         `;
         window.eval(augmentedContent);
     });
@@ -155,6 +166,152 @@ describe('Uncertain Keys Logic', () => {
         });
     });
 
+    describe('Seeded Random Source', () => {
+        test('createSeededRandom repeats the same sequence for the same seed', () => {
+            const a = window.createSeededRandom('take-1');
+            const b = window.createSeededRandom('take-1');
+            const seqA = Array.from({ length: 20 }, () => a());
+            const seqB = Array.from({ length: 20 }, () => b());
+            expect(seqA).toEqual(seqB);
+            seqA.forEach(value => {
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            });
+        });
+
+        test('different seeds produce different sequences', () => {
+            const a = window.createSeededRandom('take-1');
+            const b = window.createSeededRandom('take-2');
+            const seqA = Array.from({ length: 5 }, () => a());
+            const seqB = Array.from({ length: 5 }, () => b());
+            expect(seqA).not.toEqual(seqB);
+        });
+
+        test('getGaussianPitch draws from the supplied random source', () => {
+            const random = jest.fn()
+                .mockReturnValueOnce(0.5)
+                .mockReturnValueOnce(0.25); // cos(pi/2) = 0
+            expect(window.getGaussianPitch(440, 50, random)).toBeCloseTo(440, 8);
+            expect(random).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Pitch Offset Distributions', () => {
+        const sequence = (...values) => {
+            const fn = jest.fn();
+            values.forEach(value => fn.mockReturnValueOnce(value));
+            return fn;
+        };
+
+        test('zero amount never draws and returns zero offset', () => {
+            const random = jest.fn(() => 0.3);
+            ['gaussian', 'uniform', 'laplace', 'cauchy', 'triangular', 'steps'].forEach(distribution => {
+                expect(window.samplePitchOffsetCents(distribution, 0, 5, random)).toBe(0);
+            });
+            expect(random).not.toHaveBeenCalled();
+        });
+
+        test('uniform maps the unit interval onto plus/minus the half width', () => {
+            expect(window.samplePitchOffsetCents('uniform', 20, '', sequence(0))).toBeCloseTo(-20, 8);
+            expect(window.samplePitchOffsetCents('uniform', 20, '', sequence(0.5))).toBeCloseTo(0, 8);
+            expect(window.samplePitchOffsetCents('uniform', 20, '', sequence(0.75))).toBeCloseTo(10, 8);
+        });
+
+        test('laplace inverse CDF is symmetric around zero', () => {
+            const low = window.samplePitchOffsetCents('laplace', 10, '', sequence(0.25));
+            const high = window.samplePitchOffsetCents('laplace', 10, '', sequence(0.75));
+            expect(low).toBeCloseTo(-10 * Math.log(2), 8);
+            expect(high).toBeCloseTo(10 * Math.log(2), 8);
+        });
+
+        test('cauchy offsets are capped at the tail limit', () => {
+            expect(window.samplePitchOffsetCents('cauchy', 10, 50, sequence(0.75))).toBeCloseTo(10, 8);
+            expect(window.samplePitchOffsetCents('cauchy', 10, 50, sequence(0.9999))).toBe(50);
+            expect(window.samplePitchOffsetCents('cauchy', 10, 50, sequence(0.0001))).toBe(-50);
+        });
+
+        test('triangular stays within the half width and peaks at the configured position', () => {
+            const random = window.createSeededRandom('triangular');
+            for (let i = 0; i < 500; i++) {
+                const offset = window.samplePitchOffsetCents('triangular', 30, 0, random);
+                expect(Math.abs(offset)).toBeLessThanOrEqual(30);
+            }
+            expect(window.samplePitchOffsetCents('triangular', 30, 50, sequence(0.75))).toBeCloseTo(15, 8);
+        });
+
+        test('discrete steps return whole multiples of the step size', () => {
+            const random = window.createSeededRandom('steps');
+            const seen = new Set();
+            for (let i = 0; i < 500; i++) {
+                const offset = window.samplePitchOffsetCents('steps', 25, 2, random);
+                expect(offset % 25).toBeCloseTo(0, 8);
+                seen.add(offset);
+            }
+            expect([...seen].sort((a, b) => a - b)).toEqual([-50, -25, 0, 25, 50]);
+        });
+
+        test('getDistributedPitch applies the offset in cents', () => {
+            expect(window.getDistributedPitch(440, 'uniform', 1200, '', sequence(1 - 1e-12))).toBeCloseTo(880, 3);
+            expect(window.getDistributedPitch(440, 'steps', 1200, 1, sequence(0))).toBeCloseTo(220, 8);
+        });
+    });
+
+    describe('Velocity Curves', () => {
+        test('linear curve scales gain with velocity', () => {
+            expect(window.velocityToGain(127, 'linear')).toBe(1);
+            expect(window.velocityToGain(63.5, 'linear')).toBeCloseTo(0.5, 8);
+        });
+
+        test('exponential curve spans 40 dB', () => {
+            expect(window.velocityToGain(127, 'exponential')).toBeCloseTo(1, 8);
+            expect(window.velocityToGain(63.5, 'exponential')).toBeCloseTo(0.1, 8);
+            expect(window.velocityToGain(0, 'exponential')).toBe(0);
+        });
+
+        test('fixed curve and missing velocity keep full gain', () => {
+            expect(window.velocityToGain(10, 'fixed')).toBe(1);
+            expect(window.velocityToGain(undefined, 'linear')).toBe(1);
+        });
+    });
+
+    describe('MIDI Controller Mapping', () => {
+        test('mapControllerToRange spans the slider range and snaps to its step', () => {
+            expect(window.mapControllerToRange(0, '100', '20000', '10')).toBe('100');
+            expect(window.mapControllerToRange(127, '100', '20000', '10')).toBe('20000');
+            expect(window.mapControllerToRange(64, '0', '100', '0.1')).toBe('50.4');
+            expect(window.mapControllerToRange(200, '0', '150', '0.1')).toBe('150.0');
+        });
+
+        test('centsToPitchBend inverts the bend range and clamps at its ends', () => {
+            expect(window.centsToPitchBend(0, 48)).toBe(8192);
+            expect(window.centsToPitchBend(4800, 48)).toBe(16383);
+            expect(window.centsToPitchBend(-9600, 48)).toBe(0);
+            expect(window.centsToPitchBend(2400, 48)).toBe(8192 + 4096);
+        });
+    });
+
+    describe('Drift Plan Evaluation', () => {
+        test('linear plans ramp at the drift rate and respect safeguard bounds', () => {
+            const plan = { shape: 'linear', rate: 10, startTime: 2, duration: 100, bounds: { min: -50, max: 25 } };
+            expect(window.getDriftOffsetCents(plan, 1)).toBe(0);
+            expect(window.getDriftOffsetCents(plan, 4)).toBe(20);
+            expect(window.getDriftOffsetCents(plan, 10)).toBe(25);
+        });
+
+        test('curved plans follow their shape', () => {
+            const exponential = { shape: 'exponential', startTime: 0, target: 100, timeConstant: 2 };
+            expect(window.getDriftOffsetCents(exponential, 2)).toBeCloseTo(100 * (1 - Math.exp(-1)), 8);
+
+            const sine = { shape: 'sine', startTime: 0, depth: -40, period: 8 };
+            expect(window.getDriftOffsetCents(sine, 2)).toBeCloseTo(-40, 8);
+
+            const walk = { shape: 'walk', startTime: 0, points: [{ time: 0, value: 0 }, { time: 1, value: 10 }, { time: 2, value: -10 }] };
+            expect(window.getDriftOffsetCents(walk, 1.5)).toBeCloseTo(0, 8);
+            expect(window.getDriftOffsetCents(walk, 5)).toBe(-10);
+            expect(window.getDriftOffsetCents(null, 5)).toBe(0);
+        });
+    });
+
     describe('Data Integrity (Notes)', () => {
         test('notes array exists and is populated', () => {
             expect(Array.isArray(window.notes)).toBe(true);
@@ -453,6 +610,201 @@ describe('Uncertain Keys Logic', () => {
             Math.random = originalRandom;
         });
 
+        test('seeded synth reproduces pitches and drift rates after rewinding', () => {
+            synth.init();
+            const settings = {
+                variance: 30,
+                waveType: 'square',
+                cutoff: 1000,
+                octaveShift: 0,
+                driftDirection: 50,
+                driftMode: 'gaussian',
+                driftMean: 5,
+                driftSpread: 3,
+                seed: 'regression'
+            };
+            const playTake = () => {
+                mockOscillator.frequency.setValueAtTime.mockClear();
+                mockOscillator.detune.linearRampToValueAtTime.mockClear();
+                [440, 493.88, 523.25].forEach((freq, idx) => {
+                    synth.playNote(freq, idx, settings);
+                    synth.stopNote(idx);
+                });
+                return {
+                    pitches: mockOscillator.frequency.setValueAtTime.mock.calls.map(([value]) => value),
+                    drifts: mockOscillator.detune.linearRampToValueAtTime.mock.calls.map(([value]) => value)
+                };
+            };
+
+            const first = playTake();
+            synth.resetRandom();
+            const second = playTake();
+
+            expect(second).toEqual(first);
+            expect(new Set(first.pitches).size).toBe(3);
+        });
+
+        test('changing the seed in settings reseeds the synth', () => {
+            synth.init();
+            const settings = { variance: 30, waveType: 'square', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0, seed: 'a' };
+
+            synth.playNote(440, 0, settings);
+            expect(synth.seed).toBe('a');
+            synth.playNote(440, 1, { ...settings, seed: ' b ' });
+            expect(synth.seed).toBe('b');
+            synth.playNote(440, 2, { ...settings, seed: '' });
+            expect(synth.seed).toBe('');
+        });
+
+        describe('drift shapes', () => {
+            const shapeSettings = (overrides) => ({
+                variance: 0,
+                waveType: 'square',
+                cutoff: 1000,
+                octaveShift: 0,
+                driftDirection: 100, // Force UP
+                driftMode: 'uniform',
+                driftMean: 10,
+                driftSpread: 10,
+                driftTime: 4,
+                ...overrides
+            });
+
+            test('exponential approach targets rate times time constant', () => {
+                synth.init();
+                synth.playNote(440, 0, shapeSettings({ driftShape: 'exponential' }));
+
+                expect(mockOscillator.detune.setTargetAtTime).toHaveBeenCalledWith(40, 100, 4);
+                expect(mockOscillator.detune.linearRampToValueAtTime).not.toHaveBeenCalled();
+                expect(synth.activeVoices[0].drift).toEqual(expect.objectContaining({ shape: 'exponential', rate: 10, target: 40 }));
+            });
+
+            test('drift and return ramps out and back to the target pitch', () => {
+                synth.init();
+                synth.playNote(440, 0, shapeSettings({ driftShape: 'return' }));
+
+                expect(mockOscillator.detune.linearRampToValueAtTime.mock.calls).toEqual([
+                    [40, 104],
+                    [0, 108]
+                ]);
+            });
+
+            test('voice deviations report the start offset, drift so far and drift direction', () => {
+                synth.init();
+                synth.playNote(440, 0, shapeSettings({ driftShape: 'return', variance: 30, seed: 'monitor' }));
+                const voice = synth.activeVoices[0];
+                const deviationAt = time => synth.getVoiceDeviations(time)[0];
+
+                expect(deviationAt(102)).toEqual({
+                    keyId: '0',
+                    noteNumber: 69,
+                    startCents: expect.any(Number),
+                    driftCents: expect.any(Number),
+                    direction: 1
+                });
+                expect(deviationAt(102).startCents).toBeCloseTo(1200 * Math.log2(voice.startFreq / 440), 8);
+                expect(deviationAt(102).driftCents).toBeCloseTo(20, 8);
+                expect(deviationAt(106)).toMatchObject({ direction: -1 });
+                expect(deviationAt(106).driftCents).toBeCloseTo(20, 8);
+                expect(deviationAt(110)).toMatchObject({ driftCents: 0, direction: 0 });
+
+                // The label follows the note played, not the nearest 12-TET note to its tuned pitch.
+                synth.playNote(440 * Math.pow(2, 1 / 19), 1, shapeSettings({ octaveShift: 1 }), { noteNumber: 70 });
+                expect(deviationAt(102)).toMatchObject({ keyId: '0', noteNumber: 69 });
+                expect(synth.getVoiceDeviations(102)[1]).toMatchObject({ keyId: '1', noteNumber: 82 });
+
+                expect(window.formatCents(12.34)).toBe('+12.3¢');
+                expect(window.formatCents(-0.04)).toBe('+0.0¢');
+                expect(window.formatCents(-4.06)).toBe('−4.1¢');
+                expect(window.getMeterPosition(0)).toBe(50);
+                expect(window.getMeterPosition(-50)).toBe(25);
+                expect(window.getMeterPosition(250)).toBe(100);
+            });
+
+            test('random walk schedules resampled segments ahead of the audio clock while the note is held', () => {
+                jest.useFakeTimers();
+                synth.init();
+                const offEvents = [];
+                synth.noteListener = event => { if (event.type === 'off') offEvents.push(event); };
+                synth.playNote(440, 0, shapeSettings({ driftShape: 'walk', driftDirection: 50, seed: 'walk' }));
+
+                const calls = mockOscillator.detune.linearRampToValueAtTime.mock.calls;
+                expect(calls.length).toBe(1);
+                expect(calls[0][1]).toBe(104);
+                expect(synth.activeVoices[0].driftRates.length).toBe(1);
+
+                mockContext.currentTime = 130;
+                jest.advanceTimersByTime(250);
+                expect(calls.length).toBe(8);
+                expect(calls[calls.length - 1][1]).toBe(132);
+                const steps = calls.map(([value], i) => value - (i === 0 ? 0 : calls[i - 1][0]));
+                steps.forEach(step => expect(Math.abs(step)).toBeCloseTo(40, 8));
+                expect(steps.some(step => step > 0)).toBe(true);
+                expect(steps.some(step => step < 0)).toBe(true);
+
+                synth.stopNote(0);
+                expect(offEvents[0].driftRates.length).toBe(8);
+                expect(jest.getTimerCount()).toBe(0);
+                jest.useRealTimers();
+            });
+
+            test('seeded walks start the same pitches however long the notes are held', () => {
+                jest.useFakeTimers();
+                synth.init();
+                const playTake = (holdSeconds) => {
+                    synth.resetRandom();
+                    return [0, 1, 2].map((keyId) => {
+                        synth.playNote(440, keyId, shapeSettings({ driftShape: 'walk', driftDirection: 50, variance: 30, seed: 'hold' }));
+                        const { startFreq } = synth.activeVoices[keyId];
+                        mockContext.currentTime += holdSeconds;
+                        jest.advanceTimersByTime(holdSeconds * 1000);
+                        synth.stopNote(keyId);
+                        return startFreq;
+                    });
+                };
+
+                const short = playTake(0.1);
+                const long = playTake(10);
+                expect(long).toEqual(short);
+                expect(new Set(short).size).toBe(3);
+                jest.useRealTimers();
+            });
+
+            test('sine wander drives detune from an LFO and stops it with the voice', () => {
+                synth.init();
+                synth.playNote(440, 0, shapeSettings({ driftShape: 'sine' }));
+
+                const depthGain = gainNodes.find(node => node.connect.mock.calls.some(([target]) => target === mockOscillator.detune));
+                expect(depthGain).toBeDefined();
+                expect(depthGain.gain.setValueAtTime).toHaveBeenCalledWith(expect.closeTo((10 * 4) / (2 * Math.PI), 8), 100);
+                expect(mockOscillator.frequency.setValueAtTime).toHaveBeenCalledWith(0.25, 100);
+
+                mockOscillator.stop.mockClear();
+                synth.stopNote(0);
+                expect(mockOscillator.stop).toHaveBeenCalledTimes(2);
+            });
+
+            test('sine safeguard clamps every shape at the frequency limit', () => {
+                synth.init();
+                const high = { waveType: 'sine', octaveShift: 10 };
+
+                synth.playNote(440, 0, shapeSettings({ ...high, driftShape: 'exponential' }));
+                const [target] = mockOscillator.detune.setTargetAtTime.mock.calls[0];
+                expect(target).toBeCloseTo(0, 8);
+
+                synth.playNote(440, 1, shapeSettings({ ...high, driftShape: 'return' }));
+                mockOscillator.detune.linearRampToValueAtTime.mock.calls.forEach(([value]) => {
+                    expect(value).toBeLessThanOrEqual(1e-9);
+                });
+
+                gainNodes.length = 0;
+                synth.playNote(440, 2, shapeSettings({ ...high, driftShape: 'sine' }));
+                const depthGain = gainNodes.find(node => node.connect.mock.calls.some(([t]) => t === mockOscillator.detune));
+                const [depth] = depthGain.gain.setValueAtTime.mock.calls[0];
+                expect(depth).toBeCloseTo(0, 8);
+            });
+        });
+
         test('drift initializes detune before ramping', () => {
             synth.init();
             const settings = {
@@ -510,6 +862,144 @@ describe('Uncertain Keys Logic', () => {
             expect(voiceGain.gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(0.0001, expect.any(Number));
         });
 
+        test('envelope settings shape attack, decay and sustain', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0, attack: 50, decay: 200, sustain: 40, release: 800 };
+
+            synth.playNote(440, 0, settings);
+            const voiceGain = gainNodes[1];
+
+            expect(voiceGain.gain.setValueAtTime).toHaveBeenCalledWith(0, 100);
+            expect(voiceGain.gain.linearRampToValueAtTime.mock.calls).toEqual([
+                [0.18, expect.closeTo(100.05, 8)],
+                [expect.closeTo(0.18 * 0.4, 8), expect.closeTo(100.25, 8)]
+            ]);
+        });
+
+        test('full sustain skips the decay stage', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0, attack: 10, decay: 300, sustain: 100, release: 150 };
+
+            synth.playNote(440, 0, settings);
+
+            expect(gainNodes[1].gain.linearRampToValueAtTime).toHaveBeenCalledTimes(1);
+        });
+
+        test('stopNote uses the release time captured at note-on', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0, attack: 20, decay: 0, sustain: 100, release: 800 };
+
+            synth.playNote(440, 0, settings);
+            const voiceGain = gainNodes[1];
+            mockContext.currentTime = 101;
+            synth.stopNote(0);
+
+            expect(voiceGain.gain.cancelAndHoldAtTime).toHaveBeenCalledWith(101);
+            expect(voiceGain.gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(0.0001, expect.closeTo(101.8, 8));
+            expect(mockOscillator.stop).toHaveBeenCalledWith(expect.closeTo(101.81, 8));
+        });
+
+        test('missing envelope settings keep the original 20 ms attack and 0.15 s release', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0 };
+
+            synth.playNote(440, 0, settings);
+            const voiceGain = gainNodes[1];
+            synth.stopNote(0);
+
+            expect(voiceGain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0.18, expect.closeTo(100.02, 8));
+            expect(voiceGain.gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(0.0001, expect.closeTo(100.15, 8));
+        });
+
+        test('velocity scales voice gain, cutoff and pitch instability', () => {
+            synth.init();
+            const random = jest.fn()
+                .mockReturnValueOnce(0.75); // uniform offset -> +half width
+            synth.random = random;
+            const settings = {
+                variance: 40, varianceDistribution: 'uniform', waveType: 'square', cutoff: 8000, octaveShift: 0,
+                driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0,
+                velocity: 63.5, velocityCurve: 'linear', velocityToCutoff: 100, velocityToVariance: 50
+            };
+
+            synth.playNote(440, 0, settings);
+
+            // Instability 40 * (1 - 0.5 * 0.5) = 30 cents, uniform u=0.75 -> +15 cents
+            expect(mockOscillator.frequency.setValueAtTime).toHaveBeenCalledWith(expect.closeTo(440 * Math.pow(2, 15 / 1200), 8), 100);
+            // Cutoff closes by 4 octaves * 0.5
+            expect(mockFilter.frequency.setValueAtTime).toHaveBeenCalledWith(2000, 100);
+            expect(gainNodes[1].gain.linearRampToValueAtTime).toHaveBeenCalledWith(expect.closeTo(0.09, 8), expect.any(Number));
+        });
+
+        test('live cutoff changes keep each voice\'s velocity scaling', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 8000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0, velocity: 63.5, velocityToCutoff: 100 };
+
+            synth.playNote(440, 0, settings);
+            mockFilter.frequency.setValueAtTime.mockClear();
+            synth.setCutoff('4000');
+
+            expect(mockFilter.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 100);
+        });
+
+        test('bend and mod wheel scheduled ahead only reach notes starting from their time', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'square', cutoff: 8000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0 };
+            synth.setPitchBend(100, 100.08);
+            synth.setModulation(1, 'cutoff', 100.08);
+
+            synth.playNote(440, 0, settings, { when: 100.05 });
+            expect(mockOscillator.frequency.setValueAtTime).toHaveBeenLastCalledWith(440, 100.05);
+            expect(mockFilter.frequency.setValueAtTime).toHaveBeenLastCalledWith(8000, 100.05);
+
+            synth.playNote(440, 1, settings, { when: 100.09 });
+            expect(mockOscillator.frequency.setValueAtTime)
+                .toHaveBeenLastCalledWith(expect.closeTo(440 * Math.pow(2, 100 / 1200), 8), 100.09);
+            expect(mockFilter.frequency.setValueAtTime).toHaveBeenLastCalledWith(500, 100.09);
+
+            // The latest values are what the controllers were last set to.
+            expect(synth.pitchBendCents).toBe(100);
+            expect(synth.getControlValue('modulationTarget')).toBe('cutoff');
+        });
+
+        test('mod wheel vibrato feeds a shared LFO into every voice\'s detune', () => {
+            synth.init();
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0 };
+
+            synth.playNote(440, 0, settings);
+            synth.setModulation(0.5, 'vibrato');
+            const vibratoGain = synth.vibratoGain;
+            expect(vibratoGain.connect).toHaveBeenCalledWith(mockOscillator.detune);
+            expect(vibratoGain.gain.setTargetAtTime).toHaveBeenCalledWith(25, 100, expect.any(Number));
+
+            vibratoGain.connect.mockClear();
+            synth.playNote(493.88, 1, settings);
+            expect(vibratoGain.connect).toHaveBeenCalledWith(mockOscillator.detune);
+
+            synth.stopNote(0);
+            expect(vibratoGain.disconnect).not.toHaveBeenCalled();
+            mockOscillator.onended();
+            expect(vibratoGain.disconnect).toHaveBeenCalledWith(mockOscillator.detune);
+        });
+
+        test('cancelNote silently drops a voice that has not started yet', () => {
+            synth.init();
+            const events = [];
+            synth.noteListener = event => events.push(event);
+            const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0 };
+
+            synth.playNote(440, 0, settings, { when: 100.5 });
+            expect(synth.cancelNote(0)).toBe(true);
+            expect(mockOscillator.stop).toHaveBeenCalledWith(100.5);
+            expect(synth.activeVoices[0]).toBeUndefined();
+            expect(events.map(event => event.type)).toEqual(['on', 'cancel']);
+
+            // A voice that is already sounding has to be stopped instead.
+            synth.playNote(440, 1, settings);
+            expect(synth.cancelNote(1)).toBe(false);
+            expect(synth.activeVoices[1]).toBeDefined();
+        });
+
         test('activeVoices prevents double playing', () => {
             synth.init();
             const settings = { variance: 0, waveType: 'sine', cutoff: 1000, octaveShift: 0, driftDirection: 50, driftMode: 'gaussian', driftMean: 0, driftSpread: 0 };
@@ -0,0 +1,461 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+const fs = require('fs');
+const path = require('path');
+const runApp = require('./helpers/runApp');
+
+const appJsPath = path.resolve(__dirname, '../js/app.js');
+const appJsContent = fs.readFileSync(appJsPath, 'utf8');
+
+const varLength = (value) => {
+    const bytes = [value & 0x7F];
+    let rest = value >> 7;
+    while (rest > 0) {
+        bytes.unshift((rest & 0x7F) | 0x80);
+        rest >>= 7;
+    }
+    return bytes;
+};
+
+const chunk = (type, data) => [
+    ...Array.from(type, c => c.charCodeAt(0)),
+    (data.length >>> 24) & 0xFF, (data.length >>> 16) & 0xFF, (data.length >>> 8) & 0xFF, data.length & 0xFF,
+    ...data
+];
+
+// Format 1, 96 ticks per quarter: a tempo track (1 s per quarter, then 0.5 s from tick 192)
+// and a "Lead" track on channel 2 using running status and note-on velocity 0 as note off.
+const buildSong = () => {
+    const tempoTrack = [
+        0, 0xFF, 0x51, 3, 0x0F, 0x42, 0x40,
+        ...varLength(192), 0xFF, 0x51, 3, 0x07, 0xA1, 0x20,
+        0, 0xFF, 0x2F, 0
+    ];
+    const leadTrack = [
+        0, 0xFF, 0x03, 4, ...Array.from('Lead', c => c.charCodeAt(0)),
+        0, 0x91, 60, 100,
+        ...varLength(96), 64, 80,
+        ...varLength(96), 60, 0,
+        ...varLength(96), 0x81, 64, 0,
+        0, 0xFF, 0x2F, 0
+    ];
+    return new Uint8Array([
+        ...chunk('MThd', [0, 1, 0, 2, 0, 96]),
+        ...chunk('MTrk', tempoTrack),
+        ...chunk('MTrk', leadTrack)
+    ]).buffer;
+};
+
+describe('MIDI File Playback', () => {
+    beforeAll(() => {
+        window.eval(appJsContent + `
+            try { window.parseMidiFile = parseMidiFile; } catch(e) {}
+            try { window.MidiFilePlayer = MidiFilePlayer; } catch(e) {}
+            try { window.performanceLogToMidiFile = performanceLogToMidiFile; } catch(e) {}
+            try { window.centsToPitchBend = centsToPitchBend; } catch(e) {}
+        `);
+    });
+
+    describe('parseMidiFile', () => {
+        test('reads notes, tempo changes, track names and channels', () => {
+            const song = window.parseMidiFile(buildSong());
+
+            expect(song.format).toBe(1);
+            expect(song.tracks).toEqual([
+                { index: 0, name: '', noteCount: 0 },
+                { index: 1, name: 'Lead', noteCount: 2 }
+            ]);
+            expect(song.channels).toEqual([1]);
+            expect(song.notes).toEqual([
+                { start: 0, end: 2, note: 60, velocity: 100, channel: 1, track: 1 },
+                { start: 1, end: 2.5, note: 64, velocity: 80, channel: 1, track: 1 }
+            ]);
+            expect(song.duration).toBe(2.5);
+        });
+
+        test('rejects files that are not Standard MIDI Files', () => {
+            const notMidi = new Uint8Array(Array.from('RIFF0000WAVEfmt ', c => c.charCodeAt(0))).buffer;
+            expect(() => window.parseMidiFile(notMidi)).toThrow('Not a Standard MIDI File');
+        });
+    });
+
+    describe('MidiFilePlayer', () => {
+        let synth;
+        let player;
+
+        const song = {
+            duration: 2,
+            tracks: [{ index: 0, name: '', noteCount: 2 }, { index: 1, name: '', noteCount: 1 }],
+            channels: [0, 9],
+            notes: [
+                { start: 0, end: 1, note: 60, velocity: 100, channel: 0, track: 0 },
+                { start: 0.5, end: 2, note: 64, velocity: 90, channel: 0, track: 0 },
+                { start: 1, end: 1.5, note: 36, velocity: 127, channel: 9, track: 1 }
+            ]
+        };
+
+        const playedNotes = () => synth.playNote.mock.calls.map(([, voiceId, settings, options]) => ({
+            voiceId, velocity: settings.velocity, when: options.when
+        }));
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            synth = {
+                audioCtx: { currentTime: 10 },
+                activeVoices: {},
+                init: jest.fn(),
+                playNote: jest.fn((freq, voiceId, settings, options) => {
+                    synth.activeVoices[voiceId] = { startTime: options.when };
+                }),
+                stopNote: jest.fn((voiceId) => {
+                    delete synth.activeVoices[voiceId];
+                }),
+                cancelNote: jest.fn((voiceId) => {
+                    const voice = synth.activeVoices[voiceId];
+                    if (!voice || voice.startTime <= synth.audioCtx.currentTime) return false;
+                    delete synth.activeVoices[voiceId];
+                    return true;
+                }),
+                applyControl: jest.fn()
+            };
+            player = new window.MidiFilePlayer(synth, { getSettings: () => ({ waveType: 'sine' }) });
+            player.load(song);
+        });
+
+        afterEach(() => {
+            player.stop();
+            jest.useRealTimers();
+        });
+
+        test('schedules notes ahead on the audio clock', () => {
+            player.play();
+            expect(playedNotes()).toEqual([{ voiceId: 'file:0:0:60', velocity: 100, when: 10.05 }]);
+            expect(synth.playNote.mock.calls[0][2].waveType).toBe('sine');
+
+            synth.audioCtx.currentTime = 10.5;
+            jest.advanceTimersByTime(25);
+            expect(playedNotes()[1]).toEqual({ voiceId: 'file:0:0:64', velocity: 90, when: 10.55 });
+
+            synth.audioCtx.currentTime = 11;
+            jest.advanceTimersByTime(25);
+            expect(synth.stopNote).toHaveBeenCalledWith('file:0:0:60', { when: 11.05 });
+            expect(playedNotes()[2]).toEqual({ voiceId: 'file:1:9:36', velocity: 127, when: 11.05 });
+        });
+
+        test('tempo scale stretches the schedule', () => {
+            player.setTempoScale(0.5);
+            player.play();
+            synth.audioCtx.currentTime = 11;
+            jest.advanceTimersByTime(25);
+            expect(playedNotes()[1]).toEqual({ voiceId: 'file:0:0:64', velocity: 90, when: 11.05 });
+        });
+
+        test('a tempo change re-plans the notes queued but not yet sounding', () => {
+            const onNoteOff = jest.fn();
+            player.onNoteOff = onNoteOff;
+            player.play();
+            synth.audioCtx.currentTime = 10.5;
+            jest.advanceTimersByTime(25);
+            expect(playedNotes()[1]).toEqual({ voiceId: 'file:0:0:64', velocity: 90, when: 10.55 });
+
+            synth.audioCtx.currentTime = 10.52;
+            player.setTempoScale(0.5);
+            expect(synth.cancelNote).toHaveBeenCalledWith('file:0:0:64');
+            expect(onNoteOff).toHaveBeenCalledWith('file:0:0:64', 10.55);
+            // The sounding note on 60 carries on; 64 is planned again at half speed.
+            expect(playedNotes().map(note => note.voiceId)).toEqual(['file:0:0:60', 'file:0:0:64', 'file:0:0:64']);
+            expect(playedNotes()[2].when).toBeCloseTo(10.58, 8);
+            expect(synth.stopNote).not.toHaveBeenCalled();
+        });
+
+        test('controller events reach the synth at their times, and a seek picks them up', () => {
+            const controls = [
+                { time: 0.5, type: 'noteBend', keyId: 'file:0:0:64', cents: -50 },
+                { time: 0.5, type: 'pitchBend', cents: 100 }
+            ];
+            player.load({ ...song, controls });
+            player.play();
+            synth.audioCtx.currentTime = 10.5;
+            jest.advanceTimersByTime(25);
+            expect(synth.applyControl).toHaveBeenCalledWith(controls[1], 10.55);
+            expect(synth.applyControl).toHaveBeenCalledWith(controls[0], 10.55);
+            // The global bend reaches the note starting with it; the note's own bend follows its note on.
+            const [noteOn] = synth.playNote.mock.invocationCallOrder.slice(1);
+            const [globalBend, noteBend] = synth.applyControl.mock.invocationCallOrder;
+            expect(globalBend).toBeLessThan(noteOn);
+            expect(noteBend).toBeGreaterThan(noteOn);
+
+            player.stop();
+            synth.applyControl.mockClear();
+            player.seek(1);
+            player.play();
+            expect(synth.applyControl.mock.calls).toEqual([[controls[1], 10.55], [controls[0], 10.55]]);
+        });
+
+        test('scheduled notes are reported with their voice and audio-clock time', () => {
+            const onNoteOn = jest.fn();
+            const onNoteOff = jest.fn();
+            player.onNoteOn = onNoteOn;
+            player.onNoteOff = onNoteOff;
+            player.play();
+            expect(onNoteOn).toHaveBeenCalledWith('file:0:0:60', song.notes[0], 10.05);
+
+            synth.audioCtx.currentTime = 11;
+            jest.advanceTimersByTime(25);
+            expect(onNoteOff).toHaveBeenCalledWith('file:0:0:60', 11.05);
+        });
+
+        test('muted tracks and channels are skipped', () => {
+            player.setTrackMuted(0, true);
+            player.play();
+            synth.audioCtx.currentTime = 11;
+            jest.advanceTimersByTime(25);
+            expect(playedNotes().map(note => note.voiceId)).toEqual(['file:1:9:36']);
+
+            // The muted note was still waiting to start, so it is dropped rather than released.
+            player.setChannelMuted(9, true);
+            expect(synth.cancelNote).toHaveBeenCalledWith('file:1:9:36');
+            expect(synth.activeVoices['file:1:9:36']).toBeUndefined();
+        });
+
+        test('pause, seek and resume restart held notes from the new position', () => {
+            player.play();
+            synth.audioCtx.currentTime = 10.1;
+            player.pause();
+            expect(player.state).toBe('paused');
+            expect(synth.stopNote).toHaveBeenCalledWith('file:0:0:60', { when: undefined });
+
+            player.seek(1.2);
+            expect(player.getPosition()).toBe(1.2);
+            synth.playNote.mockClear();
+            player.play();
+            // The notes on 64 and 36 are both held across 1.2 s.
+            expect(playedNotes().map(note => note.voiceId)).toEqual(['file:0:0:64', 'file:1:9:36']);
+            expect(playedNotes()[0].when).toBeCloseTo(10.15, 8);
+        });
+
+        test('render events follow the tempo scale and mutes', () => {
+            player.setTempoScale(2);
+            player.setChannelMuted(9, true);
+            expect(player.getRenderEvents().map(({ time, type, keyId, settings }) => ({
+                time, type, keyId, velocity: settings && settings.velocity
+            }))).toEqual([
+                { time: 0, type: 'on', keyId: 'file:0:0:60', velocity: 100 },
+                { time: 0.25, type: 'on', keyId: 'file:0:0:64', velocity: 90 },
+                { time: 0.5, type: 'off', keyId: 'file:0:0:60', velocity: undefined },
+                { time: 1, type: 'off', keyId: 'file:0:0:64', velocity: undefined }
+            ]);
+        });
+
+        test('playback stops at the end of the file', () => {
+            const onStateChange = jest.fn();
+            player.onStateChange = onStateChange;
+            player.play();
+            synth.audioCtx.currentTime = 12.1;
+            jest.advanceTimersByTime(25);
+            expect(player.state).toBe('stopped');
+            expect(player.getPosition()).toBe(0);
+            expect(onStateChange).toHaveBeenLastCalledWith('stopped');
+            expect(jest.getTimerCount()).toBe(0);
+        });
+    });
+
+    describe('performanceLogToMidiFile', () => {
+        const detuned = (freq, cents) => freq * Math.pow(2, cents / 1200);
+        const log = {
+            format: 'uncertain-keys-performance',
+            version: 1,
+            duration: 2,
+            events: [
+                {
+                    time: 0, type: 'on', keyId: 0, source: 'keyboard', freq: 440,
+                    settings: { velocity: '100' }, sample: { startFreq: detuned(440, 30), driftRate: null, driftRates: [] }
+                },
+                {
+                    time: 0.5, type: 'on', keyId: 3, source: 'keyboard', freq: 261.6256,
+                    settings: { octaveShift: 1, driftShape: 'linear' },
+                    sample: { startFreq: detuned(523.2511, -20), driftRate: 100, driftRates: [100] }
+                },
+                { time: 1, type: 'off', keyId: 0 },
+                { time: 1, type: 'off', keyId: 3 },
+                {
+                    time: 1.5, type: 'on', keyId: 0, source: 'keyboard', freq: 440,
+                    settings: { velocity: '64' }, sample: { startFreq: 440, driftRate: null, driftRates: [] }
+                },
+                { time: 2, type: 'off', keyId: 0 }
+            ]
+        };
+
+        // Channel voice messages of the exported track (the writer never uses running status).
+        const readTrackEvents = (bytes) => {
+            let pos = 22;
+            let tick = 0;
+            const events = [];
+            while (pos < bytes.length) {
+                let delta = 0;
+                let byte;
+                do {
+                    byte = bytes[pos++];
+                    delta = (delta * 128) + (byte & 0x7F);
+                } while (byte & 0x80);
+                tick += delta;
+                const status = bytes[pos];
+                if (status === 0xFF) {
+                    pos += 3 + bytes[pos + 2];
+                } else {
+                    const length = (status & 0xF0) === 0xD0 ? 2 : 3;
+                    events.push({ tick, bytes: Array.from(bytes.subarray(pos, pos + length)) });
+                    pos += length;
+                }
+            }
+            return events;
+        };
+
+        const bendsOn = (events, channel) => events
+            .filter(event => event.bytes[0] === (0xE0 | channel))
+            .map(event => ({ tick: event.tick, value: event.bytes[1] | (event.bytes[2] << 7) }));
+
+        test('notes rotate through member channels and play back as written', () => {
+            const song = window.parseMidiFile(window.performanceLogToMidiFile(log).buffer);
+            expect(song.format).toBe(0);
+            expect(song.notes).toEqual([
+                { start: 0, end: 1, note: 69, velocity: 100, channel: 1, track: 0 },
+                { start: 0.5, end: 1, note: 72, velocity: 127, channel: 2, track: 0 },
+                { start: 1.5, end: 2, note: 69, velocity: 64, channel: 3, track: 0 }
+            ]);
+        });
+
+        test('sampled offsets and drift become per-channel pitch bend', () => {
+            const events = readTrackEvents(window.performanceLogToMidiFile(log));
+            // Bend range of 48 semitones on every member channel, after the MPE configuration message.
+            expect(events.slice(0, 3).map(event => event.bytes)).toEqual([[0xB0, 101, 0], [0xB0, 100, 6], [0xB0, 6, 15]]);
+            expect(events.filter(event => event.bytes[0] === 0xB1 && event.bytes[1] === 6)[0].bytes[2]).toBe(48);
+
+            expect(bendsOn(events, 1)).toEqual([{ tick: 0, value: window.centsToPitchBend(30, 48) }]);
+            expect(bendsOn(events, 3)).toEqual([{ tick: 1440, value: 8192 }]);
+
+            const drifting = bendsOn(events, 2);
+            expect(drifting[0]).toEqual({ tick: 480, value: window.centsToPitchBend(-20, 48) });
+            const last = drifting[drifting.length - 1];
+            expect(last.tick).toBeLessThan(960);
+            expect(last.value).toBeCloseTo(window.centsToPitchBend(-20 + (100 * (last.tick - 480) / 960), 48), -1);
+            // Every bend is written before the note on of its channel.
+            const noteOn = events.findIndex(event => event.bytes[0] === 0x92);
+            expect(events.findIndex(event => event.bytes[0] === 0xE2)).toBeLessThan(noteOn);
+        });
+
+        test('logged controller moves are written with the notes they shape', () => {
+            const keyId = 'midi:dev-1:1:69';
+            const events = readTrackEvents(window.performanceLogToMidiFile({
+                format: 'uncertain-keys-performance',
+                version: 2,
+                duration: 1,
+                events: [
+                    { time: 0, type: 'pitchBend', cents: 100 },
+                    {
+                        time: 0, type: 'on', keyId, source: 'midi', freq: 440,
+                        settings: { velocity: 100, voiceBend: 50 }, sample: { startFreq: 440, driftRate: null, driftRates: [] }
+                    },
+                    { time: 0.5, type: 'noteBend', keyId, cents: -50 },
+                    { time: 0.5, type: 'noteExpression', keyId, pressure: 64, timbre: 20, target: 'gain' },
+                    { time: 0.5, type: 'modWheel', amount: 0.5, target: 'vibrato' },
+                    { time: 1, type: 'off', keyId }
+                ]
+            }));
+
+            // Global and per-note bends add up on the note's channel, sampled on the 20 ms grid.
+            const bends = bendsOn(events, 1);
+            expect(bends).toHaveLength(2);
+            expect(bends[0]).toEqual({ tick: 0, value: window.centsToPitchBend(150, 48) });
+            expect(bends[1].tick).toBeGreaterThanOrEqual(480);
+            expect(bends[1].tick).toBeLessThanOrEqual(480 + 10);
+            expect(bends[1].value).toBe(window.centsToPitchBend(50, 48));
+
+            const at480 = events.filter(event => event.tick === 480).map(event => event.bytes);
+            expect(at480).toEqual(expect.arrayContaining([[0xD1, 64], [0xB1, 74, 20], [0xB0, 1, 64]]));
+        });
+    });
+
+    describe('transport UI', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div id="overlay"></div>
+                <div id="piano"></div>
+                <select id="waveform"><option value="sine">Sine</option></select>
+                <input id="variance" type="range" value="0" />
+                <span id="varianceVal"></span>
+                <input id="cutoff" type="range" value="20000" />
+                <span id="cutoffVal"></span>
+                <input id="driftDirection" type="range" value="50" />
+                <span id="driftDirectionVal"></span>
+                <input id="driftMean" type="range" value="0" />
+                <span id="driftMeanVal"></span>
+                <input id="driftSpread" type="range" value="0" />
+                <span id="driftSpreadVal"></span>
+                <input id="driftMode" type="checkbox" />
+                <span id="driftModeLabelGaussian"></span>
+                <span id="driftModeLabelUniform"></span>
+                <span id="driftMeanLabel"></span>
+                <span id="driftSpreadLabel"></span>
+                <select id="layout"><option value="US">US</option></select>
+                <button id="octaveDown"></button>
+                <button id="octaveUp"></button>
+                <span id="octaveVal"></span>
+                <button id="aboutBtn"></button>
+                <div id="aboutModal"></div>
+                <button id="aboutClose"></button>
+                <input type="file" id="midiFileInput">
+                <button id="midiFilePlay" disabled>Play</button>
+                <button id="midiFilePause" disabled>Pause</button>
+                <button id="midiFileStop" disabled>Stop</button>
+                <input type="range" id="midiFileSeek" min="0" max="0" step="0.01" value="0" disabled>
+                <span id="midiFileTime"></span>
+                <input type="range" id="midiFileTempo" min="25" max="200" value="100">
+                <span id="midiFileTempoVal"></span>
+                <span id="midiFileStatus"></span>
+                <div id="midiFileMutes"></div>
+            `;
+            runApp(appJsContent);
+        });
+
+        test('loading a file enables the transport and lists mute toggles', async () => {
+            const input = document.getElementById('midiFileInput');
+            const file = new File([buildSong()], 'lead.mid', { type: 'audio/midi' });
+            Object.defineProperty(input, 'files', { value: [file] });
+            input.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(document.getElementById('midiFilePlay').disabled).toBe(false);
+            expect(document.getElementById('midiFileSeek').max).toBe('2.5');
+            expect(document.getElementById('midiFileStatus').innerText).toBe('Loaded: lead.mid');
+            const labels = Array.from(document.querySelectorAll('#midiFileMutes .midi-file-mute'))
+                .map(label => label.textContent);
+            expect(labels).toEqual(['2: Lead', 'Ch 2']);
+        });
+
+        test('a broken file reports an error', async () => {
+            const input = document.getElementById('midiFileInput');
+            const file = new File([new Uint8Array([1, 2, 3])], 'broken.mid');
+            Object.defineProperty(input, 'files', { value: [file] });
+            input.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(document.getElementById('midiFileStatus').innerText)
+                .toBe('Could not load broken.mid: Not a Standard MIDI File');
+            expect(document.getElementById('midiFilePlay').disabled).toBe(true);
+        });
+    });
+});
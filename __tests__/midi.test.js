@@ -15,6 +15,7 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 */
 const fs = require('fs');
 const path = require('path');
+const runApp = require('./helpers/runApp');
 
 const appJsPath = path.resolve(__dirname, '../js/app.js');
 const appJsContent = fs.readFileSync(appJsPath, 'utf8');
@@ -22,11 +23,14 @@ const appJsContent = fs.readFileSync(appJsPath, 'utf8');
 describe('MIDI Input Support', () => {
     let mockContext;
     let mockOscillator;
+    let mockFilter;
     let midiAccess;
 
     const buildDom = () => {
         document.body.innerHTML = `
             <div id="overlay"></div>
+            <span id="keyboardBelow" hidden></span>
+            <span id="keyboardAbove" hidden></span>
             <div id="piano"></div>
             <select id="waveform"><option value="sine">Sine</option></select>
             <input id="variance" type="range" value="0" />
@@ -54,9 +58,45 @@ describe('MIDI Input Support', () => {
             <button id="recordStart">Start Recording</button>
             <button id="recordStop" disabled>Stop Recording</button>
             <button id="midiEnable">Enable MIDI</button>
-            <select id="midiInputSelect" disabled><option value="">No MIDI inputs</option></select>
+            <div id="midiInputList"></div>
+            <select id="mpeZone">
+                <option value="off">Off</option>
+                <option value="lower">Lower Zone</option>
+                <option value="upper">Upper Zone</option>
+            </select>
+            <input id="mpeMemberChannels" type="number" value="15" />
+            <input id="mpeBendRange" type="number" value="48" />
+            <select id="mpePressureTarget">
+                <option value="gain">Gain</option>
+                <option value="cutoff">Filter Cutoff</option>
+            </select>
+            <select id="midiOutputSelect" disabled><option value="">None</option></select>
+            <input id="midiOutputMpe" type="checkbox" />
             <button id="midiRefresh" disabled>Refresh</button>
             <span id="midiStatus"></span>
+            <button id="midiLearn">Learn</button>
+            <ul id="midiBindings"></ul>
+            <div class="control-group">
+                <label>Drift Direction (% Up)</label>
+                <div class="range-control">
+                    <input id="driftDirectionLearn" type="range" min="0" max="100" step="1" value="50" />
+                </div>
+            </div>
+            <input id="pitchBendRange" type="number" value="2" />
+            <select id="modWheelTarget">
+                <option value="vibrato">Vibrato</option>
+                <option value="cutoff">Filter Cutoff</option>
+            </select>
+            <input type="file" id="midiFileInput">
+            <button id="midiFilePlay" disabled>Play</button>
+            <button id="midiFileStop" disabled>Stop</button>
+            <span id="midiFileStatus"></span>
+            <button id="logStart">Start Log</button>
+            <button id="logEnd" disabled>End Log</button>
+            <button id="logReplay" disabled>Replay</button>
+            <button id="logStop" disabled>Stop</button>
+            <button id="logExport" disabled>Export JSON</button>
+            <span id="logStatus"></span>
         `;
     };
 
@@ -64,7 +104,8 @@ describe('MIDI Input Support', () => {
         mockOscillator = {
             type: 'sine',
             frequency: {
-                setValueAtTime: jest.fn()
+                setValueAtTime: jest.fn(),
+                setTargetAtTime: jest.fn()
             },
             detune: {
                 setValueAtTime: jest.fn(),
@@ -75,7 +116,7 @@ describe('MIDI Input Support', () => {
             stop: jest.fn()
         };
 
-        const mockFilter = {
+        mockFilter = {
             type: 'lowpass',
             frequency: {
                 setValueAtTime: jest.fn()
@@ -100,7 +141,8 @@ describe('MIDI Input Support', () => {
                 linearRampToValueAtTime: jest.fn(),
                 cancelScheduledValues: jest.fn(),
                 cancelAndHoldAtTime: jest.fn(),
-                exponentialRampToValueAtTime: jest.fn()
+                exponentialRampToValueAtTime: jest.fn(),
+                setTargetAtTime: jest.fn()
             },
             connect: jest.fn(),
             disconnect: jest.fn()
@@ -121,9 +163,10 @@ describe('MIDI Input Support', () => {
         window.webkitAudioContext = window.AudioContext;
     };
 
-    const setupMidiAccessMock = (inputs = []) => {
+    const setupMidiAccessMock = (inputs = [], outputs = []) => {
         midiAccess = {
             inputs: new Map(inputs.map(input => [input.id, input])),
+            outputs: new Map(outputs.map(output => [output.id, output])),
             addEventListener: jest.fn((eventName, handler) => {
                 if (eventName === 'statechange') midiAccess.onstatechange = handler;
             }),
@@ -138,14 +181,32 @@ describe('MIDI Input Support', () => {
     };
 
     beforeEach(() => {
+        window.localStorage.clear();
         buildDom();
         setupAudioMocks();
         setupMidiAccessMock();
-        window.eval(appJsContent);
-        document.dispatchEvent(new Event('DOMContentLoaded'));
+        runApp(appJsContent);
     });
 
-    test('enabling MIDI requests access and populates device select', async () => {
+    const getInputRow = (inputId) => {
+        const checkbox = document.querySelector(`#midiInputList input[data-input-id="${inputId}"]`);
+        return checkbox.closest('.midi-input-row');
+    };
+
+    const setInputField = (inputId, selector, value) => {
+        const row = getInputRow(inputId);
+        const field = selector === 'checkbox'
+            ? row.querySelector('input[type="checkbox"]')
+            : row.querySelector(selector);
+        if (selector === 'checkbox') {
+            field.checked = value;
+        } else {
+            field.value = value;
+        }
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    test('enabling MIDI requests access and lists devices', async () => {
         const input = { id: 'dev-1', name: 'Virtual Bus', manufacturer: 'LoopMIDI', onmidimessage: null };
         setupMidiAccessMock([input]);
 
@@ -153,13 +214,14 @@ describe('MIDI Input Support', () => {
         await Promise.resolve();
 
         expect(navigator.requestMIDIAccess).toHaveBeenCalledWith({ sysex: false });
-        expect(document.getElementById('midiInputSelect').disabled).toBe(false);
-        expect(document.getElementById('midiInputSelect').value).toBe('dev-1');
+        const rows = document.querySelectorAll('#midiInputList .midi-input-row');
+        expect(rows).toHaveLength(1);
+        expect(rows[0].querySelector('.midi-input-toggle').textContent).toBe('Virtual Bus (LoopMIDI)');
+        expect(rows[0].querySelector('input[type="checkbox"]').checked).toBe(true);
         expect(document.getElementById('midiStatus').innerText).toContain('Connected: Virtual Bus (LoopMIDI)');
-        expect(document.getElementById('midiInputSelect').options[1].textContent).toBe('Virtual Bus (LoopMIDI)');
     });
 
-    test('manual single-select switches message handler between devices', async () => {
+    test('several devices can be enabled at the same time', async () => {
         const inputA = { id: 'dev-a', name: 'Keyboard A', onmidimessage: null };
         const inputB = { id: 'dev-b', name: 'Bus B', onmidimessage: null };
         setupMidiAccessMock([inputA, inputB]);
@@ -170,14 +232,71 @@ describe('MIDI Input Support', () => {
         expect(inputA.onmidimessage).toEqual(expect.any(Function));
         expect(inputB.onmidimessage).toBeNull();
 
-        const select = document.getElementById('midiInputSelect');
-        select.value = 'dev-b';
-        select.dispatchEvent(new Event('change', { bubbles: true }));
+        setInputField('dev-b', 'checkbox', true);
+        expect(inputA.onmidimessage).toEqual(expect.any(Function));
+        expect(inputB.onmidimessage).toEqual(expect.any(Function));
+        expect(document.getElementById('midiStatus').innerText).toBe('Connected: Keyboard A, Bus B');
 
+        setInputField('dev-a', 'checkbox', false);
         expect(inputA.onmidimessage).toBeNull();
         expect(inputB.onmidimessage).toEqual(expect.any(Function));
     });
 
+    test('the same note from two devices plays two independent voices', async () => {
+        const inputA = { id: 'dev-a', name: 'Keyboard A', onmidimessage: null };
+        const inputB = { id: 'dev-b', name: 'Bus B', onmidimessage: null };
+        setupMidiAccessMock([inputA, inputB]);
+
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        setInputField('dev-b', 'checkbox', true);
+
+        inputA.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+        inputB.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+        expect(mockContext.createOscillator).toHaveBeenCalledTimes(2);
+
+        inputA.onmidimessage({ data: new Uint8Array([0x80, 60, 0]) });
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
+
+        // Disabling a device releases the notes it was holding.
+        setInputField('dev-b', 'checkbox', false);
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(2);
+    });
+
+    test('channel filter ignores messages on other channels', async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        setupMidiAccessMock([input]);
+
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        setInputField('dev-1', '.midi-input-channel', '2');
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 100]) }); // channel 1
+        expect(mockContext.createOscillator).not.toHaveBeenCalled();
+
+        input.onmidimessage({ data: new Uint8Array([0x92, 69, 100]) }); // channel 3
+        expect(mockContext.createOscillator).toHaveBeenCalledTimes(1);
+    });
+
+    test('per-device transpose shifts the played pitch and is clamped', async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        setupMidiAccessMock([input]);
+
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        setInputField('dev-1', '.midi-input-transpose', '12');
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 100]) });
+        const [freq] = mockOscillator.frequency.setValueAtTime.mock.calls[0];
+        expect(freq).toBeCloseTo(880, 6);
+
+        // Note off still finds the voice after the transpose changes.
+        setInputField('dev-1', '.midi-input-transpose', '99');
+        expect(getInputRow('dev-1').querySelector('.midi-input-transpose').value).toBe('48');
+        input.onmidimessage({ data: new Uint8Array([0x80, 69, 0]) });
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
+    });
+
     test('MIDI note on/off plays and stops corresponding synth voice', async () => {
         const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
         setupMidiAccessMock([input]);
@@ -195,6 +314,66 @@ describe('MIDI Input Support', () => {
         expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
     });
 
+    test('MIDI notes light the key that plays the same pitch, tinted by velocity', async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        setupMidiAccessMock([input]);
+
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        document.getElementById('octaveUp').click();
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 127]) });
+        const key = document.getElementById('key-9');
+        expect(key.classList.contains('midi-active')).toBe(true);
+        expect(key.style.getPropertyValue('--midi-velocity')).toBe('1');
+        // The octave shift moves MIDI and on-screen notes alike, so the pitch matches the key's own.
+        const [freq] = mockOscillator.frequency.setValueAtTime.mock.calls[0];
+        expect(freq).toBeCloseTo(880, 6);
+
+        setInputField('dev-1', '.midi-input-transpose', '-12');
+        input.onmidimessage({ data: new Uint8Array([0x90, 72, 64]) });
+        expect(document.getElementById('key-0').style.getPropertyValue('--midi-velocity')).toBe(String(64 / 127));
+
+        // Notes past the keyboard are listed beside it.
+        input.onmidimessage({ data: new Uint8Array([0x90, 42, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 110, 100]) });
+        const below = document.getElementById('keyboardBelow');
+        const above = document.getElementById('keyboardAbove');
+        expect(below.hidden).toBe(false);
+        expect(below.innerText).toBe('◀ F#1');
+        expect(above.innerText).toBe('D7 ▶');
+
+        input.onmidimessage({ data: new Uint8Array([0x80, 42, 0]) });
+        input.onmidimessage({ data: new Uint8Array([0x80, 110, 0]) });
+        expect(below.hidden).toBe(true);
+        expect(above.hidden).toBe(true);
+        input.onmidimessage({ data: new Uint8Array([0x80, 72, 0]) });
+        expect(document.getElementById('key-0').classList.contains('midi-active')).toBe(false);
+        expect(key.classList.contains('midi-active')).toBe(true);
+
+        // All Sound Off clears the display too.
+        input.onmidimessage({ data: new Uint8Array([0xB0, 120, 0]) });
+        expect(document.querySelectorAll('#piano .midi-active')).toHaveLength(0);
+    });
+
+    test('MIDI velocity drives voice gain', async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        setupMidiAccessMock([input]);
+
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 70, 32]) });
+
+        const gains = mockContext.createGain.mock.results.map(result => result.value);
+        const attackTargets = gains
+            .map(node => node.gain.linearRampToValueAtTime.mock.calls[0])
+            .filter(Boolean)
+            .map(([value]) => value);
+        expect(attackTargets).toEqual([0.18, expect.closeTo(0.18 * 32 / 127, 8)]);
+    });
+
     test('note on with velocity zero is treated as note off', async () => {
         const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
         setupMidiAccessMock([input]);
@@ -208,6 +387,420 @@ describe('MIDI Input Support', () => {
         expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
     });
 
+    const enableWithInput = async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        setupMidiAccessMock([input]);
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        return input;
+    };
+
+    test('pitch bend bends sounding voices and new notes within the configured range', async () => {
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0xE0, 0x7F, 0x7F]) }); // full bend up
+
+        expect(mockOscillator.frequency.setTargetAtTime)
+            .toHaveBeenCalledWith(expect.closeTo(440 * Math.pow(2, 200 / 1200), 6), 0, expect.any(Number));
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 57, 100]) });
+        const calls = mockOscillator.frequency.setValueAtTime.mock.calls;
+        expect(calls[calls.length - 1][0]).toBeCloseTo(220 * Math.pow(2, 200 / 1200), 6);
+
+        input.onmidimessage({ data: new Uint8Array([0xE0, 0x00, 0x40]) }); // centre
+        const targets = mockOscillator.frequency.setTargetAtTime.mock.calls;
+        expect(targets[targets.length - 1][0]).toBeCloseTo(220, 6);
+    });
+
+    test('sustain pedal holds released notes until the pedal is lifted', async () => {
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0xB0, 64, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x80, 60, 0]) });
+        expect(mockOscillator.stop).not.toHaveBeenCalled();
+
+        input.onmidimessage({ data: new Uint8Array([0xB0, 64, 0]) });
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
+    });
+
+    test('re-striking a sustained note retriggers it', async () => {
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0xB0, 64, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x80, 60, 0]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
+        expect(mockContext.createOscillator).toHaveBeenCalledTimes(2);
+    });
+
+    test('all notes off releases held notes and all sound off silences immediately', async () => {
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 60, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 64, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0xB0, 123, 0]) });
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(2);
+
+        mockOscillator.stop.mockClear();
+        input.onmidimessage({ data: new Uint8Array([0xB0, 64, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0x90, 67, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x80, 67, 0]) });
+        input.onmidimessage({ data: new Uint8Array([0xB0, 120, 0]) });
+        expect(mockOscillator.stop).toHaveBeenCalledTimes(1);
+        const [stopTime] = mockOscillator.stop.mock.calls[0];
+        expect(stopTime).toBeLessThan(0.05);
+    });
+
+    test('mod wheel can close the filter of sounding voices', async () => {
+        const input = await enableWithInput();
+        const target = document.getElementById('modWheelTarget');
+        target.value = 'cutoff';
+        target.dispatchEvent(new Event('change', { bubbles: true }));
+        const cutoff = document.getElementById('cutoff');
+        cutoff.max = '20000';
+        cutoff.value = '16000';
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 60, 127]) });
+        mockFilter.frequency.setValueAtTime.mockClear();
+        input.onmidimessage({ data: new Uint8Array([0xB0, 1, 127]) });
+
+        expect(mockFilter.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 0);
+    });
+
+    test('MIDI learn binds a controller to the clicked slider', async () => {
+        const input = await enableWithInput();
+        const slider = document.getElementById('driftDirectionLearn');
+        const changes = [];
+        slider.addEventListener('input', () => changes.push(slider.value));
+
+        document.getElementById('midiLearn').click();
+        slider.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+        input.onmidimessage({ data: new Uint8Array([0xB2, 21, 10]) });
+
+        expect(document.getElementById('midiStatus').innerText).toContain('Bound CC 21 (ch 3)');
+        expect(JSON.parse(window.localStorage.getItem('uncertainKeys.midiBindings')))
+            .toEqual([{ target: 'driftDirectionLearn', controller: 21, channel: 2 }]);
+        expect(document.querySelectorAll('#midiBindings .midi-binding')).toHaveLength(1);
+
+        document.getElementById('midiLearn').click();
+        input.onmidimessage({ data: new Uint8Array([0xB2, 21, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0xB2, 21, 0]) });
+        input.onmidimessage({ data: new Uint8Array([0xB5, 21, 64]) }); // other channel: ignored
+
+        expect(changes).toEqual(['100', '0']);
+    });
+
+    test('stored bindings are restored and editable', async () => {
+        window.localStorage.setItem('uncertainKeys.midiBindings', JSON.stringify([
+            { target: 'driftDirectionLearn', controller: 7, channel: null }
+        ]));
+        buildDom();
+        setupAudioMocks();
+        runApp(appJsContent);
+        const input = await enableWithInput();
+        const slider = document.getElementById('driftDirectionLearn');
+
+        input.onmidimessage({ data: new Uint8Array([0xB9, 7, 127]) });
+        expect(slider.value).toBe('100');
+
+        const ccInput = document.querySelector('#midiBindings input[type="number"]');
+        ccInput.value = '8';
+        ccInput.dispatchEvent(new Event('change', { bubbles: true }));
+        input.onmidimessage({ data: new Uint8Array([0xB0, 8, 0]) });
+        expect(slider.value).toBe('0');
+
+        document.querySelector('#midiBindings .midi-binding-remove').click();
+        expect(JSON.parse(window.localStorage.getItem('uncertainKeys.midiBindings'))).toEqual([]);
+    });
+
+    test('learned controllers take priority over the mod wheel', async () => {
+        window.localStorage.setItem('uncertainKeys.midiBindings', JSON.stringify([
+            { target: 'driftDirectionLearn', controller: 1, channel: null }
+        ]));
+        buildDom();
+        setupAudioMocks();
+        runApp(appJsContent);
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0xB0, 1, 127]) });
+
+        expect(document.getElementById('driftDirectionLearn').value).toBe('100');
+        expect(mockContext.createOscillator).not.toHaveBeenCalled();
+    });
+
+    const useMpeZone = (zone, { bendRange = '48', pressureTarget = 'gain' } = {}) => {
+        document.getElementById('mpeBendRange').value = bendRange;
+        document.getElementById('mpePressureTarget').value = pressureTarget;
+        const select = document.getElementById('mpeZone');
+        select.value = zone;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const useDistinctOscillators = () => {
+        const oscillators = [];
+        mockContext.createOscillator.mockImplementation(() => {
+            const osc = {
+                ...mockOscillator,
+                frequency: { setValueAtTime: jest.fn(), setTargetAtTime: jest.fn() },
+                detune: { setValueAtTime: jest.fn(), linearRampToValueAtTime: jest.fn() }
+            };
+            oscillators.push(osc);
+            return osc;
+        });
+        return oscillators;
+    };
+
+    test('MPE member channel pitch bend only bends the notes on that channel', async () => {
+        useMpeZone('lower', { bendRange: '2' });
+        const input = await enableWithInput();
+        const oscillators = useDistinctOscillators();
+
+        input.onmidimessage({ data: new Uint8Array([0xE1, 0x7F, 0x7F]) }); // bend before note on
+        input.onmidimessage({ data: new Uint8Array([0x91, 69, 100]) });
+        input.onmidimessage({ data: new Uint8Array([0x92, 69, 100]) });
+        expect(oscillators).toHaveLength(2);
+        expect(oscillators[0].frequency.setValueAtTime.mock.calls[0][0]).toBeCloseTo(440 * Math.pow(2, 200 / 1200), 6);
+        expect(oscillators[1].frequency.setValueAtTime.mock.calls[0][0]).toBeCloseTo(440, 6);
+
+        input.onmidimessage({ data: new Uint8Array([0xE2, 0x00, 0x00]) }); // full bend down on channel 3
+        expect(oscillators[0].frequency.setTargetAtTime).not.toHaveBeenCalled();
+        expect(oscillators[1].frequency.setTargetAtTime)
+            .toHaveBeenCalledWith(expect.closeTo(440 * Math.pow(2, -200 / 1200), 6), 0, expect.any(Number));
+
+        // The master channel's bend still reaches every note.
+        input.onmidimessage({ data: new Uint8Array([0xE0, 0x7F, 0x7F]) });
+        expect(oscillators[0].frequency.setTargetAtTime)
+            .toHaveBeenLastCalledWith(expect.closeTo(440 * Math.pow(2, 400 / 1200), 6), 0, expect.any(Number));
+        expect(oscillators[1].frequency.setTargetAtTime)
+            .toHaveBeenLastCalledWith(expect.closeTo(440, 6), 0, expect.any(Number));
+    });
+
+    test('MPE channel pressure drives the note gain', async () => {
+        useMpeZone('upper');
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0x9F, 69, 100]) }); // master channel: plain note
+        input.onmidimessage({ data: new Uint8Array([0x9E, 70, 100]) }); // member channel 15
+        const gains = mockContext.createGain.mock.results.map(result => result.value);
+        const expressionGain = gains.find(node => node.gain.setValueAtTime.mock.calls.some(([value]) => value === 1));
+        expect(expressionGain).toBeDefined();
+
+        input.onmidimessage({ data: new Uint8Array([0xDE, 0]) });
+        expect(expressionGain.gain.setTargetAtTime)
+            .toHaveBeenCalledWith(expect.closeTo(Math.pow(10, -24 / 20), 8), 0, expect.any(Number));
+
+        // Pressure on a non-member channel is ignored.
+        input.onmidimessage({ data: new Uint8Array([0xD3, 0]) });
+        expect(expressionGain.gain.setTargetAtTime).toHaveBeenCalledTimes(1);
+    });
+
+    test('MPE timbre (CC74) and pressure can close the note filter', async () => {
+        const cutoff = document.getElementById('cutoff');
+        cutoff.max = '20000';
+        cutoff.value = '16000';
+        useMpeZone('lower', { pressureTarget: 'cutoff' });
+        const input = await enableWithInput();
+
+        input.onmidimessage({ data: new Uint8Array([0x91, 69, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0xB1, 74, 0]) });
+        expect(mockFilter.frequency.setValueAtTime).toHaveBeenLastCalledWith(1000, 0);
+
+        input.onmidimessage({ data: new Uint8Array([0xD1, 0]) });
+        expect(mockFilter.frequency.setValueAtTime).toHaveBeenLastCalledWith(62.5, 0);
+    });
+
+    test('the performance log captures controller moves and replays them at their times', async () => {
+        useMpeZone('lower', { bendRange: '2' });
+        const input = await enableWithInput();
+        const oscillators = useDistinctOscillators();
+        window.URL.createObjectURL = jest.fn(() => 'blob:log');
+        window.URL.revokeObjectURL = jest.fn();
+        // The download would otherwise make jsdom attempt a navigation.
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const keyId = 'midi:dev-1:1:69';
+
+        input.onmidimessage({ data: new Uint8Array([0xE0, 0x7F, 0x7F]) }); // bent before the log starts
+        mockContext.currentTime = 1;
+        document.getElementById('logStart').click();
+        mockContext.currentTime = 1.5;
+        input.onmidimessage({ data: new Uint8Array([0x91, 69, 100]) });
+        mockContext.currentTime = 1.75;
+        input.onmidimessage({ data: new Uint8Array([0xE1, 0x00, 0x00]) });
+        input.onmidimessage({ data: new Uint8Array([0xD1, 64]) });
+        input.onmidimessage({ data: new Uint8Array([0xB0, 1, 127]) });
+        input.onmidimessage({ data: new Uint8Array([0xE2, 0x00, 0x00]) }); // a channel with no logged note
+        mockContext.currentTime = 2;
+        input.onmidimessage({ data: new Uint8Array([0x81, 69, 0]) });
+        document.getElementById('logEnd').click();
+        expect(document.getElementById('logStatus').innerText).toBe('Logged 1 notes');
+
+        document.getElementById('logExport').click();
+        click.mockRestore();
+        const log = JSON.parse(await new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(window.URL.createObjectURL.mock.calls[0][0]);
+        }));
+        expect(log.events.filter(event => event.type !== 'on')).toEqual([
+            { time: 0, type: 'pitchBend', cents: expect.closeTo(200, 6) },
+            { time: 0.75, type: 'noteBend', keyId, cents: -200 },
+            { time: 0.75, type: 'noteExpression', keyId, pressure: 64, timbre: null, target: 'gain' },
+            { time: 0.75, type: 'modWheel', amount: 1, target: 'vibrato' },
+            { time: 1, type: 'off', keyId }
+        ]);
+
+        input.onmidimessage({ data: new Uint8Array([0xE0, 0x00, 0x40]) }); // live bend back to centre
+        jest.useFakeTimers();
+        try {
+            mockContext.currentTime = 10;
+            document.getElementById('logReplay').click();
+            mockContext.currentTime = 10.5;
+            jest.advanceTimersByTime(25);
+            const replayed = oscillators[oscillators.length - 1];
+            expect(oscillators).toHaveLength(3); // the live note, the vibrato LFO and the replayed note
+            expect(replayed.frequency.setValueAtTime)
+                .toHaveBeenCalledWith(expect.closeTo(440 * Math.pow(2, 200 / 1200), 6), expect.closeTo(10.55, 6));
+
+            mockContext.currentTime = 10.75;
+            jest.advanceTimersByTime(25);
+            expect(replayed.frequency.setTargetAtTime)
+                .toHaveBeenCalledWith(expect.closeTo(440, 6), expect.closeTo(10.8, 6), expect.any(Number));
+            document.getElementById('logStop').click();
+        } finally {
+            jest.useRealTimers();
+        }
+
+        // The live bend is back once the replay stops.
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 100]) });
+        expect(oscillators[oscillators.length - 1].frequency.setValueAtTime.mock.calls[0][0]).toBeCloseTo(440, 6);
+    });
+
+    const enableWithOutput = async ({ mpe = false } = {}) => {
+        const output = { id: 'out-1', name: 'Hardware Synth', send: jest.fn() };
+        setupMidiAccessMock([], [output]);
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+
+        document.getElementById('midiOutputMpe').checked = mpe;
+        const select = document.getElementById('midiOutputSelect');
+        select.value = 'out-1';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        return output;
+    };
+
+    const sentMessages = (output, statusByte) => output.send.mock.calls
+        .map(([data]) => data)
+        .filter(data => data[0] === statusByte);
+
+    test('computer keyboard notes are sent to the selected MIDI output', async () => {
+        const output = await enableWithOutput();
+        expect(document.getElementById('midiOutputSelect').options[1].textContent).toBe('Hardware Synth');
+
+        output.send.mockClear();
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        expect(output.send).toHaveBeenCalledWith([0x90, 60, 127]);
+
+        window.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+        expect(output.send).toHaveBeenLastCalledWith([0x80, 60, 0]);
+        expect(sentMessages(output, 0xE0)).toHaveLength(0);
+    });
+
+    test('MIDI input notes are not echoed to the output', async () => {
+        const input = { id: 'dev-1', name: 'Controller', onmidimessage: null };
+        const output = { id: 'out-1', name: 'Hardware Synth', send: jest.fn() };
+        setupMidiAccessMock([input], [output]);
+        document.getElementById('midiEnable').click();
+        await Promise.resolve();
+        const select = document.getElementById('midiOutputSelect');
+        select.value = 'out-1';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        output.send.mockClear();
+
+        input.onmidimessage({ data: new Uint8Array([0x90, 69, 100]) });
+        expect(output.send).not.toHaveBeenCalled();
+    });
+
+    test('MIDI file notes light their keys and reach the output at their scheduled time', async () => {
+        const output = await enableWithOutput();
+        // Format 0, 96 ticks per beat at the default 120 bpm: E4 at velocity 90 for half a second.
+        const track = [0, 0x90, 64, 90, 96, 0x80, 64, 0, 0, 0xFF, 0x2F, 0];
+        const bytes = new Uint8Array([
+            0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+            0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, track.length, ...track
+        ]);
+        const input = document.getElementById('midiFileInput');
+        Object.defineProperty(input, 'files', { value: [new File([bytes], 'one.mid')] });
+        input.dispatchEvent(new Event('change'));
+        const status = document.getElementById('midiFileStatus');
+        for (let attempt = 0; attempt < 100 && status.innerText !== 'Loaded: one.mid'; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const now = jest.spyOn(window.performance, 'now').mockReturnValue(1000);
+        try {
+            output.send.mockClear();
+            document.getElementById('midiFilePlay').click();
+            // The note is scheduled 50 ms ahead, and its MIDI message is timed to match.
+            expect(output.send).toHaveBeenCalledWith([0x90, 64, 90], 1050);
+            const key = document.getElementById('key-4');
+            expect(key.classList.contains('midi-active')).toBe(true);
+
+            document.getElementById('midiFileStop').click();
+            expect(output.send).toHaveBeenLastCalledWith([0x80, 64, 0], 1050);
+            expect(key.classList.contains('midi-active')).toBe(false);
+        } finally {
+            now.mockRestore();
+        }
+    });
+
+    test('MPE output sends sampled variance and drift as per-channel pitch bend', async () => {
+        document.getElementById('variance').value = '50';
+        document.getElementById('driftDirection').value = '100';
+        document.getElementById('driftMean').value = '30';
+        const output = await enableWithOutput({ mpe: true });
+
+        // MPE configuration: 15 member channels and a 48 semitone bend range on each.
+        expect(output.send).toHaveBeenCalledWith([0xB0, 6, 15, 0xB0, 38, 0]);
+        expect(output.send).toHaveBeenCalledWith([0xB1, 6, 48, 0xB1, 38, 0]);
+
+        jest.useFakeTimers();
+        try {
+            output.send.mockClear();
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+
+            // Earlier tests' app instances also hear window key events; this instance's voice comes last.
+            const frequencyCalls = mockOscillator.frequency.setValueAtTime.mock.calls;
+            const [startFreq] = frequencyCalls[frequencyCalls.length - 1];
+            // Keys play the exact equal-tempered pitch of their MIDI note.
+            const middleC = 440 * Math.pow(2, -9 / 12);
+            const toBend = (cents) => 8192 + Math.round((cents / 4800) * (cents >= 0 ? 8191 : 8192));
+            const startBend = toBend(1200 * Math.log2(startFreq / middleC));
+            expect(output.send.mock.calls[0][0]).toEqual([0xE1, startBend & 0x7F, startBend >> 7]);
+            expect(output.send.mock.calls[1][0]).toEqual([0x91, 60, 127]);
+
+            // A second of linear drift at +30 cents/s moves the bend up by 30 cents.
+            mockContext.currentTime = 1;
+            jest.advanceTimersByTime(20);
+            const driftBend = toBend((1200 * Math.log2(startFreq / middleC)) + 30);
+            expect(output.send).toHaveBeenLastCalledWith([0xE1, driftBend & 0x7F, driftBend >> 7]);
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 's' }));
+            expect(sentMessages(output, 0x92)).toEqual([[0x92, 62, 127]]);
+
+            window.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+            window.dispatchEvent(new KeyboardEvent('keyup', { key: 's' }));
+            expect(sentMessages(output, 0x81)).toEqual([[0x81, 60, 0]]);
+            expect(sentMessages(output, 0x82)).toEqual([[0x82, 62, 0]]);
+            expect(jest.getTimerCount()).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
     test('unsupported browsers show unavailable MIDI status', () => {
         Object.defineProperty(navigator, 'requestMIDIAccess', {
             configurable: true,
@@ -217,8 +810,7 @@ describe('MIDI Input Support', () => {
 
         buildDom();
         setupAudioMocks();
-        window.eval(appJsContent);
-        document.dispatchEvent(new Event('DOMContentLoaded'));
+        runApp(appJsContent);
 
         expect(document.getElementById('midiStatus').innerText).toContain('MIDI unavailable');
         expect(document.getElementById('midiEnable').disabled).toBe(true);
@@ -0,0 +1,234 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+const fs = require('fs');
+const path = require('path');
+const runApp = require('./helpers/runApp');
+
+const appJsPath = path.resolve(__dirname, '../js/app.js');
+const appJsContent = fs.readFileSync(appJsPath, 'utf8');
+
+const buildDom = () => {
+    document.body.innerHTML = `
+        <div id="overlay"></div>
+        <div id="piano"></div>
+        <select id="waveform">
+            <option value="sine">Sine</option>
+            <option value="triangle">Triangle</option>
+            <option value="square">Square</option>
+            <option value="sawtooth">Sawtooth</option>
+        </select>
+        <select id="varianceDistribution">
+            <option value="gaussian">Gaussian</option>
+            <option value="uniform">Uniform</option>
+            <option value="cauchy">Cauchy</option>
+        </select>
+        <span id="varianceLabel"></span>
+        <input id="variance" type="range" min="0" max="100" step="0.1" value="0" />
+        <span id="varianceVal"></span>
+        <div id="varianceShapeGroup" hidden>
+            <span id="varianceShapeLabel"></span>
+            <input id="varianceShape" type="range" min="1" max="1200" step="1" value="300" />
+            <span id="varianceShapeVal"></span>
+        </div>
+        <input id="cutoff" type="range" min="100" max="20000" step="10" value="20000" />
+        <span id="cutoffVal"></span>
+        <input id="driftDirection" type="range" value="50" />
+        <span id="driftDirectionVal"></span>
+        <input id="driftMean" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftMeanVal"></span>
+        <input id="driftSpread" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftSpreadVal"></span>
+        <input id="driftMode" type="checkbox" />
+        <span id="driftModeLabelGaussian"></span>
+        <span id="driftModeLabelUniform"></span>
+        <span id="driftMeanLabel"></span>
+        <span id="driftSpreadLabel"></span>
+        <select id="driftShape">
+            <option value="linear">Linear Ramp</option>
+            <option value="exponential">Exponential Approach</option>
+            <option value="sine">Sine Wander</option>
+        </select>
+        <input id="driftTime" type="range" min="0.1" max="300" step="0.1" value="10" />
+        <input id="release" type="range" min="5" max="10000" step="1" value="150" />
+        <span id="releaseVal"></span>
+        <select id="layout"><option value="US">US</option></select>
+        <button id="octaveDown"></button>
+        <button id="octaveUp"></button>
+        <span id="octaveVal"></span>
+        <button id="aboutBtn"></button>
+        <div id="aboutModal"></div>
+        <button id="aboutClose"></button>
+        <select id="presetSelect"></select>
+        <input type="text" id="presetName">
+        <button id="presetSave">Save</button>
+        <button id="presetDelete" disabled>Delete</button>
+        <button id="presetExport" disabled>Export</button>
+        <input type="file" id="presetImport">
+        <span id="presetStatus"></span>
+    `;
+};
+
+const startApp = () => {
+    buildDom();
+    runApp(appJsContent + `
+        try { window.parsePresetFile = parsePresetFile; } catch(e) {}
+    `);
+};
+
+const choosePreset = (value) => {
+    const select = document.getElementById('presetSelect');
+    select.value = value;
+    select.dispatchEvent(new Event('change'));
+};
+
+const readBlob = blob => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+describe('Presets', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+        startApp();
+    });
+
+    test('a factory preset sets the controls, octave and both drift modes', () => {
+        const optionNames = Array.from(document.querySelectorAll('#presetSelect optgroup option')).map(option => option.textContent);
+        expect(optionNames).toContain('Sinking Drone');
+
+        const index = optionNames.indexOf('Sinking Drone');
+        choosePreset(`factory:${index}`);
+        expect(document.getElementById('waveform').value).toBe('sawtooth');
+        expect(document.getElementById('cutoff').value).toBe('1200');
+        expect(document.getElementById('cutoffVal').innerText).toBe('1200');
+        expect(document.getElementById('driftShape').value).toBe('exponential');
+        expect(document.getElementById('release').value).toBe('4000');
+        expect(document.getElementById('octaveVal').innerText).toBe('-1');
+        expect(document.getElementById('driftMode').checked).toBe(true);
+        expect(document.getElementById('driftMeanLabel').innerText).toBe('Minimum Drift (cts/s)');
+        expect(document.getElementById('driftMean').value).toBe('5');
+        expect(document.getElementById('driftSpread').value).toBe('20');
+        expect(document.getElementById('presetName').value).toBe('Sinking Drone');
+
+        // The other mode's remembered values come from the preset too.
+        choosePreset(`factory:${optionNames.indexOf('Cracked Bells')}`);
+        expect(document.getElementById('varianceDistribution').value).toBe('cauchy');
+        expect(document.getElementById('variance').value).toBe('12');
+        expect(document.getElementById('varianceShape').value).toBe('200');
+        const driftMode = document.getElementById('driftMode');
+        expect(driftMode.checked).toBe(false);
+        driftMode.checked = true;
+        driftMode.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(document.getElementById('driftMean').value).toBe('0');
+        expect(document.getElementById('driftSpread').value).toBe('0');
+    });
+
+    test('saved presets persist, replace presets of the same name and can be deleted', () => {
+        document.getElementById('waveform').value = 'square';
+        const driftMean = document.getElementById('driftMean');
+        driftMean.value = '7';
+        driftMean.dispatchEvent(new Event('input', { bubbles: true }));
+        document.getElementById('octaveUp').click();
+        document.getElementById('presetName').value = ' Mine ';
+        document.getElementById('presetSave').click();
+
+        expect(document.getElementById('presetSelect').value).toBe('user:Mine');
+        expect(document.getElementById('presetDelete').disabled).toBe(false);
+        expect(document.getElementById('presetStatus').innerText).toBe('Saved Mine');
+
+        document.getElementById('waveform').value = 'triangle';
+        document.getElementById('presetSave').click();
+        const stored = JSON.parse(window.localStorage.getItem('uncertainKeys.presets'));
+        expect(stored).toHaveLength(1);
+        expect(stored[0].settings).toMatchObject({
+            waveType: 'triangle',
+            octaveShift: 1,
+            driftMode: 'gaussian',
+            driftModes: { gaussian: { mean: '7', spread: '0' } }
+        });
+
+        // A new page load finds the preset again.
+        startApp();
+        choosePreset('user:Mine');
+        expect(document.getElementById('waveform').value).toBe('triangle');
+        expect(document.getElementById('driftMean').value).toBe('7');
+        expect(document.getElementById('octaveVal').innerText).toBe('+1');
+
+        document.getElementById('presetDelete').click();
+        expect(window.localStorage.getItem('uncertainKeys.presets')).toBe('[]');
+        expect(document.querySelector('#presetSelect option[value="user:Mine"]')).toBeNull();
+        expect(document.getElementById('presetDelete').disabled).toBe(true);
+    });
+
+    test('presets export to JSON and import back', async () => {
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        window.URL.createObjectURL = jest.fn(() => 'blob:mock');
+        window.URL.revokeObjectURL = jest.fn();
+        try {
+            document.getElementById('presetName').value = 'Exported';
+            document.getElementById('presetSave').click();
+            document.getElementById('presetExport').click();
+            const text = await readBlob(window.URL.createObjectURL.mock.calls[0][0]);
+            expect(JSON.parse(text)).toMatchObject({ format: 'uncertain-keys-presets', version: 1, presets: [{ name: 'Exported' }] });
+
+            window.localStorage.clear();
+            startApp();
+            const input = document.getElementById('presetImport');
+            const file = new File([text], 'presets.json', { type: 'application/json' });
+            Object.defineProperty(input, 'files', { value: [file], configurable: true });
+            input.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(document.getElementById('presetStatus').innerText).toBe('Imported 1 presets from presets.json');
+            expect(document.querySelector('#presetSelect option[value="user:Exported"]')).not.toBeNull();
+            expect(JSON.parse(window.localStorage.getItem('uncertainKeys.presets'))[0].name).toBe('Exported');
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('an imported octave shift out of range is clamped', async () => {
+        const text = JSON.stringify({
+            format: 'uncertain-keys-presets',
+            version: 1,
+            presets: [{ name: 'Huge', settings: { waveType: 'sine', octaveShift: 2000 } }]
+        });
+        const input = document.getElementById('presetImport');
+        Object.defineProperty(input, 'files', { value: [new File([text], 'huge.json')], configurable: true });
+        input.dispatchEvent(new Event('change'));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(JSON.parse(window.localStorage.getItem('uncertainKeys.presets'))[0].settings.octaveShift).toBe(4);
+        choosePreset('user:Huge');
+        expect(document.getElementById('octaveVal').innerText).toBe('+4');
+        expect(window.parsePresetFile(text.replace('2000', '-2000'))[0].settings.octaveShift).toBe(-4);
+    });
+
+    test('preset files are validated', () => {
+        expect(() => window.parsePresetFile('nope')).toThrow('Not a preset file');
+        expect(() => window.parsePresetFile(JSON.stringify({ format: 'uncertain-keys-presets', version: 2, presets: [] })))
+            .toThrow('Unsupported preset file version 2');
+        expect(() => window.parsePresetFile(JSON.stringify({ format: 'uncertain-keys-presets', version: 1, presets: [{ name: '' }] })))
+            .toThrow('Preset file has invalid presets');
+        const [preset] = window.parsePresetFile(JSON.stringify({
+            format: 'uncertain-keys-presets',
+            version: 1,
+            presets: [{ name: 'Loose', settings: { cutoff: 800, octaveShift: 2, driftMode: 'sideways', extra: true } }]
+        }));
+        expect(preset).toEqual({ name: 'Loose', settings: { cutoff: '800', octaveShift: 2 } });
+    });
+});
@@ -15,6 +15,7 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 */
 const fs = require('fs');
 const path = require('path');
+const runApp = require('./helpers/runApp');
 
 const appJsPath = path.resolve(__dirname, '../js/app.js');
 const appJsContent = fs.readFileSync(appJsPath, 'utf8');
@@ -53,15 +54,81 @@ describe('Recording Feature (WAV)', () => {
             <button id="aboutClose"></button>
             <button id="recordStart">Start Recording</button>
             <button id="recordStop" disabled>Stop Recording</button>
+            <select id="recordFormat">
+                <option value="pcm16">WAV 16-bit</option>
+                <option value="pcm24">WAV 24-bit</option>
+                <option value="float32">WAV 32-bit float</option>
+                <option value="flac">FLAC</option>
+                <option value="ogg">Ogg Opus</option>
+            </select>
+            <input type="checkbox" id="recordDither">
+            <select id="recordSplit">
+                <option value="none">One file</option>
+                <option value="time-10">Split every 10 min</option>
+                <option value="size-1024">Split every 1 GB</option>
+            </select>
+            <input type="checkbox" id="recordRf64">
+            <select id="recordPreRoll">
+                <option value="0">No pre-roll</option>
+                <option value="2">Pre-roll 2 s</option>
+            </select>
+            <input type="checkbox" id="recordArm">
+            <select id="recordAutoStop">
+                <option value="off">Stop manually</option>
+                <option value="release">Stop after release</option>
+                <option value="silence">Stop after 2 s silence</option>
+            </select>
+            <span id="recordMeter"></span>
+            <select id="renderSource">
+                <option value="log">Performance Log</option>
+                <option value="file">MIDI File</option>
+            </select>
+            <button id="renderOffline" disabled>Export Offline</button>
+            <span id="renderStatus"></span>
+            <button id="logStart">Start Log</button>
+            <button id="logEnd" disabled>End Log</button>
+            <button id="logReplay" disabled>Replay</button>
+            <button id="logStop" disabled>Stop</button>
+            <button id="logExport" disabled>Export JSON</button>
+            <input type="file" id="logImport">
+            <span id="logStatus"></span>
         `;
     };
 
+    // Audio params and voice nodes for tests that actually play notes.
+    const createParam = () => ({
+        value: 1,
+        setValueAtTime: jest.fn(),
+        linearRampToValueAtTime: jest.fn(),
+        exponentialRampToValueAtTime: jest.fn(),
+        setTargetAtTime: jest.fn(),
+        cancelScheduledValues: jest.fn(),
+        cancelAndHoldAtTime: jest.fn()
+    });
+
+    const addVoiceNodes = (context) => {
+        const oscillators = [];
+        context.createOscillator = jest.fn(() => {
+            const osc = {
+                frequency: createParam(),
+                detune: createParam(),
+                connect: jest.fn(),
+                start: jest.fn(),
+                stop: jest.fn()
+            };
+            oscillators.push(osc);
+            return osc;
+        });
+        context.createBiquadFilter = jest.fn(() => ({ frequency: createParam(), Q: {}, connect: jest.fn() }));
+        return oscillators;
+    };
+
     const setupAudioMocks = () => {
         gainNodes = [];
         lastRecorderNode = null;
 
         const createMockGain = () => ({
-            gain: { value: 1 },
+            gain: createParam(),
             connect: jest.fn(),
             disconnect: jest.fn()
         });
@@ -90,6 +157,8 @@ describe('Recording Feature (WAV)', () => {
             createScriptProcessor
         };
 
+        addVoiceNodes(mockContext);
+
         window.AudioContext = jest.fn(() => mockContext);
         window.webkitAudioContext = window.AudioContext;
     };
@@ -102,8 +171,18 @@ describe('Recording Feature (WAV)', () => {
         if (!HTMLAnchorElement.prototype.click) {
             HTMLAnchorElement.prototype.click = jest.fn();
         }
-        window.eval(appJsContent);
-        document.dispatchEvent(new Event('DOMContentLoaded'));
+        // Downloads would otherwise make jsdom attempt a navigation while a test awaits.
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        runApp(appJsContent + `
+            try { window.RECORDER_WORKLET_SOURCE = RECORDER_WORKLET_SOURCE; } catch(e) {}
+            try { window.encodeWavSamples = encodeWavSamples; } catch(e) {}
+            try { window.WAV_FORMATS = WAV_FORMATS; } catch(e) {}
+            try { window.buildWavHeader = buildWavHeader; } catch(e) {}
+        `);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
     });
 
     test('start recording wires nodes and toggles buttons', () => {
@@ -137,4 +216,463 @@ describe('Recording Feature (WAV)', () => {
         expect(recordStart.disabled).toBe(false);
         expect(recordStop.disabled).toBe(true);
     });
+
+    const setupWorklet = (addModule) => {
+        const node = {
+            port: { postMessage: jest.fn(), onmessage: null },
+            connect: jest.fn(),
+            disconnect: jest.fn()
+        };
+        mockContext.audioWorklet = { addModule };
+        window.AudioWorkletNode = jest.fn(() => node);
+        return node;
+    };
+
+    const readBlobBytes = blob => new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new DataView(reader.result));
+        reader.readAsArrayBuffer(blob);
+    });
+
+    const readAscii = (view, offset, length) => String.fromCharCode(
+        ...new Uint8Array(view.buffer, offset, length)
+    ).replace(/\0+$/, '');
+
+    // Chunk id -> { offset, size } of its body, for the top level of a RIFF/WAVE file.
+    const readWavChunks = (view) => {
+        const chunks = {};
+        let offset = 12;
+        while (offset + 8 <= view.byteLength) {
+            const size = view.getUint32(offset + 4, true);
+            chunks[readAscii(view, offset, 4)] = { offset: offset + 8, size };
+            offset += 8 + size + (size % 2);
+        }
+        return chunks;
+    };
+
+    test('the worklet recorder streams chunks and writes them on stop', async () => {
+        const node = setupWorklet(jest.fn().mockResolvedValue());
+        const recordStart = document.getElementById('recordStart');
+        const recordStop = document.getElementById('recordStop');
+        try {
+            recordStart.click();
+            expect(recordStart.disabled).toBe(true);
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(window.AudioWorkletNode).toHaveBeenCalledWith(mockContext, 'uncertain-keys-recorder', expect.objectContaining({
+                channelCount: 2,
+                channelCountMode: 'explicit'
+            }));
+            expect(mockContext.createScriptProcessor).not.toHaveBeenCalled();
+            expect(gainNodes[0].connect).toHaveBeenCalledWith(node);
+            expect(recordStop.disabled).toBe(false);
+
+            node.port.onmessage({ data: { type: 'chunk', channels: [new Float32Array([0.5, -1]), new Float32Array([0, 1])] } });
+            recordStop.click();
+            expect(node.port.postMessage).toHaveBeenCalledWith('stop');
+            // The last batch is still on its way, so nothing is written and recording cannot restart yet.
+            expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+            expect(recordStart.disabled).toBe(true);
+            expect(node.disconnect).not.toHaveBeenCalled();
+
+            node.port.onmessage({ data: { type: 'chunk', channels: [new Float32Array([0.25]), new Float32Array([0.25])] } });
+            node.port.onmessage({ data: { type: 'done' } });
+            expect(node.disconnect).toHaveBeenCalled();
+            expect(recordStart.disabled).toBe(false);
+
+            const wav = await readBlobBytes(window.URL.createObjectURL.mock.calls[1][0]);
+            const chunks = readWavChunks(wav);
+            expect(wav.getUint16(chunks['fmt '].offset + 2, true)).toBe(2);
+            expect(chunks.data.size).toBe(3 * 2 * 2);
+            expect([0, 1, 2, 3, 4, 5].map(i => wav.getInt16(chunks.data.offset + (i * 2), true)))
+                .toEqual([16383, 0, -32768, 32767, 8191, 8191]);
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    test('the worklet processor batches quanta and records silence while nothing sounds', () => {
+        let Processor = null;
+        class AudioWorkletProcessor {
+            constructor() {
+                this.port = { postMessage: jest.fn(), onmessage: null };
+            }
+        }
+        new Function('AudioWorkletProcessor', 'registerProcessor', window.RECORDER_WORKLET_SOURCE)(
+            AudioWorkletProcessor,
+            (name, processorClass) => { Processor = processorClass; }
+        );
+        const processor = new Processor({ processorOptions: { batchFrames: 256, channelCount: 2 } });
+        const outputs = [[new Float32Array(128)]];
+        const quantum = value => [[new Float32Array(128).fill(value), new Float32Array(128).fill(-value)]];
+
+        expect(processor.process(quantum(0.5), outputs)).toBe(true);
+        expect(processor.port.postMessage).not.toHaveBeenCalled();
+        processor.process([[]], outputs);
+        const [batch] = processor.port.postMessage.mock.calls[0];
+        expect(batch.channels.map(data => [data.length, data[0], data[255]])).toEqual([[256, 0.5, 0], [256, -0.5, 0]]);
+
+        // A flush hands over a partial batch and keeps recording.
+        processor.process(quantum(0.75), outputs);
+        processor.port.onmessage({ data: 'flush' });
+        expect(processor.port.postMessage.mock.calls[1][0].channels[0]).toHaveLength(128);
+        expect(processor.port.postMessage).toHaveBeenLastCalledWith({ type: 'flushed' });
+
+        processor.process(quantum(0.25), outputs);
+        processor.port.onmessage({ data: 'stop' });
+        expect(processor.port.postMessage.mock.calls[3][0].channels[1][0]).toBe(-0.25);
+        expect(processor.port.postMessage).toHaveBeenLastCalledWith({ type: 'done' });
+        expect(processor.process(quantum(1), outputs)).toBe(false);
+    });
+
+    test('recordings use the chosen WAV format and carry the starting settings as metadata', async () => {
+        const node = setupWorklet(jest.fn().mockResolvedValue());
+        document.getElementById('recordFormat').value = 'pcm24';
+        document.getElementById('variance').value = '42';
+        try {
+            document.getElementById('recordStart').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(document.getElementById('recordFormat').disabled).toBe(true);
+            node.port.onmessage({ data: { type: 'chunk', channels: [new Float32Array([0.5, -1]), new Float32Array([0, 1])] } });
+            document.getElementById('recordStop').click();
+            node.port.onmessage({ data: { type: 'done' } });
+
+            const wav = await readBlobBytes(window.URL.createObjectURL.mock.calls[1][0]);
+            const chunks = readWavChunks(wav);
+            expect(Object.keys(chunks)).toEqual(['bext', 'fmt ', 'LIST', 'data']);
+            expect(wav.getUint16(chunks['fmt '].offset + 14, true)).toBe(24);
+            expect(chunks.data.size).toBe(2 * 2 * 3);
+            const sample = i => wav.getInt32(chunks.data.offset + (i * 3) - 1, true) >> 8;
+            expect([0, 1, 2, 3].map(sample)).toEqual([4194303, 0, -8388608, 8388607]);
+
+            expect(readAscii(wav, chunks.bext.offset, 256)).toContain('variance=42');
+            expect(readAscii(wav, chunks.bext.offset + 256, 32)).toBe('Uncertain Keys');
+            const info = readAscii(wav, chunks.LIST.offset, chunks.LIST.size);
+            expect(info.startsWith('INFO')).toBe(true);
+            expect(info).toContain('"variance":"42"');
+            expect(info).toContain('"referencePitch":440');
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    test('long recordings split into numbered segments that continue each other', async () => {
+        const node = setupWorklet(jest.fn().mockResolvedValue());
+        // One frame per second keeps a 10-minute segment small.
+        mockContext.sampleRate = 1;
+        document.getElementById('recordSplit').value = 'time-10';
+        try {
+            document.getElementById('recordStart').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(document.getElementById('recordMeter').innerText).toBe('● 0:00:00 · 0 KB · part 1');
+
+            const chunk = new Float32Array(1000).fill(0.5);
+            node.port.onmessage({ data: { type: 'chunk', channels: [chunk, chunk] } });
+            // The first 600 frames complete part 1 while recording goes on.
+            expect(window.URL.createObjectURL).toHaveBeenCalledTimes(2);
+
+            mockContext.currentTime = 1000;
+            document.getElementById('recordStop').click();
+            node.port.onmessage({ data: { type: 'done' } });
+
+            const names = HTMLAnchorElement.prototype.click.mock.contexts.map(anchor => anchor.download);
+            expect(names).toHaveLength(2);
+            expect(names[0]).toMatch(/^uncertain-keys-recording-.*-part001\.wav$/);
+            expect(names[1]).toBe(names[0].replace('part001', 'part002'));
+
+            const [first, second] = await Promise.all([1, 2].map(i => readBlobBytes(window.URL.createObjectURL.mock.calls[i][0])));
+            const firstChunks = readWavChunks(first);
+            const secondChunks = readWavChunks(second);
+            expect(firstChunks.data.size).toBe(600 * 4);
+            expect(secondChunks.data.size).toBe(400 * 4);
+            const timeReference = (view, chunks) => view.getUint32(chunks.bext.offset + 338, true);
+            expect(timeReference(second, secondChunks) - timeReference(first, firstChunks)).toBe(600);
+            expect(document.getElementById('recordMeter').innerText).toBe('Saved 0:16:40 · 4 KB in 2 files');
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    test('RF64 files keep their sizes in a ds64 chunk', () => {
+        const header = window.buildWavHeader(6e9, 48000, 2, { format: window.WAV_FORMATS.pcm24 });
+        const view = new DataView(header.buffer);
+        expect(readAscii(view, 0, 4)).toBe('RF64');
+        expect(view.getUint32(4, true)).toBe(0xFFFFFFFF);
+        const chunks = readWavChunks(view);
+        expect(Object.keys(chunks)).toEqual(['ds64', 'fmt ', 'data']);
+        const readUint64 = offset => view.getUint32(offset, true) + (view.getUint32(offset + 4, true) * 0x100000000);
+        expect(readUint64(chunks.ds64.offset)).toBe(header.length - 8 + 6e9);
+        expect(readUint64(chunks.ds64.offset + 8)).toBe(6e9);
+        expect(readUint64(chunks.ds64.offset + 16)).toBe(1e9);
+
+        const small = new DataView(window.buildWavHeader(1200, 48000, 2, { rf64: true }).buffer);
+        expect(readAscii(small, 0, 4)).toBe('RF64');
+        expect(readAscii(new DataView(window.buildWavHeader(1200, 48000, 2).buffer), 0, 4)).toBe('RIFF');
+    });
+
+    test('32-bit float keeps overs and 16-bit dither stays within one step', () => {
+        const float = window.encodeWavSamples([new Float32Array([1.5, -0.25])], 1, window.WAV_FORMATS.float32);
+        expect([float.getFloat32(0, true), float.getFloat32(4, true)]).toEqual([1.5, -0.25]);
+
+        const input = new Float32Array(64).fill(0.25);
+        const plain = window.encodeWavSamples([input], 1, window.WAV_FORMATS.pcm16);
+        const dithered = window.encodeWavSamples([input], 1, window.WAV_FORMATS.pcm16, { dither: true });
+        const values = Array.from({ length: 64 }, (_, i) => dithered.getInt16(i * 2, true));
+        expect(plain.getInt16(0, true)).toBe(8191);
+        values.forEach(value => expect(Math.abs(value - 8191.75)).toBeLessThan(2));
+        expect(new Set(values).size).toBeGreaterThan(1);
+    });
+
+    test('recording falls back to a ScriptProcessor when the worklet cannot load', async () => {
+        setupWorklet(jest.fn().mockRejectedValue(new Error('blocked')));
+        try {
+            document.getElementById('recordStart').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(window.AudioWorkletNode).not.toHaveBeenCalled();
+            expect(mockContext.createScriptProcessor).toHaveBeenCalled();
+            expect(document.getElementById('recordStop').disabled).toBe(false);
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    const readBlob = blob => new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+
+    const frequencyOf = osc => osc.frequency.setValueAtTime.mock.calls[0][0];
+
+    test('pre-roll keeps the seconds before the press and cuts the take on the audio clock', async () => {
+        const node = setupWorklet(jest.fn().mockResolvedValue());
+        mockContext.sampleRate = 10;
+        const preRoll = document.getElementById('recordPreRoll');
+        try {
+            preRoll.value = '2';
+            preRoll.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(gainNodes[0].connect).toHaveBeenCalledWith(node);
+
+            const frames = (length, value) => new Float32Array(length).fill(value);
+            node.port.onmessage({ data: { type: 'chunk', channels: [frames(30, 0.5), frames(30, 0.5)], startFrame: 0 } });
+            mockContext.currentTime = 3;
+            document.getElementById('recordStart').click();
+            expect(document.getElementById('recordStop').disabled).toBe(false);
+
+            mockContext.currentTime = 4;
+            document.getElementById('recordStop').click();
+            expect(node.port.postMessage).toHaveBeenCalledWith('flush');
+            node.port.onmessage({ data: { type: 'chunk', channels: [frames(20, 0.25), frames(20, 0.25)], startFrame: 30 } });
+            node.port.onmessage({ data: { type: 'flushed' } });
+            // Pre-roll keeps the capture running for the next take.
+            expect(node.disconnect).not.toHaveBeenCalled();
+
+            const wav = await readBlobBytes(window.URL.createObjectURL.mock.calls[1][0]);
+            const chunks = readWavChunks(wav);
+            // Frames 10-29 from the pre-roll and 30-39 up to the stop.
+            expect(chunks.data.size).toBe(30 * 2 * 2);
+            expect(wav.getInt16(chunks.data.offset + (19 * 4), true)).toBe(16383);
+            expect(wav.getInt16(chunks.data.offset + (20 * 4), true)).toBe(8191);
+            expect(document.getElementById('recordMeter').innerText).toBe('Saved 0:00:03 · 0 KB');
+
+            preRoll.value = '0';
+            preRoll.dispatchEvent(new Event('change'));
+            expect(node.disconnect).toHaveBeenCalled();
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    const scriptProcessorEvent = value => ({
+        inputBuffer: { numberOfChannels: 2, getChannelData: () => new Float32Array(4).fill(value) },
+        outputBuffer: { numberOfChannels: 1, getChannelData: () => new Float32Array(4) }
+    });
+
+    test('an armed recording starts on the first note and stops once its release has faded', () => {
+        document.getElementById('recordArm').checked = true;
+        document.getElementById('recordAutoStop').value = 'release';
+        jest.useFakeTimers();
+        try {
+            mockContext.currentTime = 1;
+            document.getElementById('recordStart').click();
+            expect(document.getElementById('recordMeter').innerText).toBe('Armed · waiting for the first note');
+            expect(document.getElementById('recordStop').disabled).toBe(false);
+            lastRecorderNode.onaudioprocess(scriptProcessorEvent(0));
+
+            mockContext.currentTime = 1.5;
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+            lastRecorderNode.onaudioprocess(scriptProcessorEvent(0.5));
+            mockContext.currentTime = 2;
+            window.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+            expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+
+            mockContext.currentTime = 3;
+            jest.advanceTimersByTime(1000);
+            expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+            expect(document.getElementById('recordStart').disabled).toBe(false);
+        } finally {
+            jest.useRealTimers();
+        }
+
+        return readBlobBytes(window.URL.createObjectURL.mock.calls[0][0]).then((wav) => {
+            expect(readWavChunks(wav).data.size).toBe(4 * 2 * 2);
+        });
+    });
+
+    test('silence auto-stop ends the take without its trailing silence', async () => {
+        const node = setupWorklet(jest.fn().mockResolvedValue());
+        mockContext.sampleRate = 10;
+        document.getElementById('recordAutoStop').value = 'silence';
+        try {
+            document.getElementById('recordStart').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const chunk = (length, value) => ({ data: { type: 'chunk', channels: [new Float32Array(length).fill(value)] } });
+            node.port.onmessage(chunk(3, 0));
+            node.port.onmessage(chunk(5, 0.5));
+            node.port.onmessage(chunk(10, 0.0001));
+            expect(node.port.postMessage).not.toHaveBeenCalled();
+            node.port.onmessage(chunk(15, 0));
+            expect(node.port.postMessage).toHaveBeenCalledWith('stop');
+            node.port.onmessage({ data: { type: 'done' } });
+
+            const wav = await readBlobBytes(window.URL.createObjectURL.mock.calls[1][0]);
+            const chunks = readWavChunks(wav);
+            expect(chunks.data.size).toBe(8 * 2);
+            expect(wav.getInt16(chunks.data.offset + (7 * 2), true)).toBe(16383);
+        } finally {
+            delete window.AudioWorkletNode;
+        }
+    });
+
+    test('the performance log keeps sampled pitches and replays them exactly', async () => {
+        document.getElementById('variance').value = '50';
+        document.getElementById('driftMean').value = '20';
+
+        mockContext.currentTime = 1;
+        document.getElementById('logStart').click();
+        expect(document.getElementById('logStatus').innerText).toBe('Logging…');
+        expect(document.getElementById('logStart').disabled).toBe(true);
+        mockContext.currentTime = 1.5;
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        mockContext.currentTime = 2.25;
+        window.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+        mockContext.currentTime = 3;
+        document.getElementById('logEnd').click();
+        expect(document.getElementById('logStatus').innerText).toBe('Logged 1 notes');
+        expect(document.getElementById('logEnd').disabled).toBe(true);
+
+        window.URL.createObjectURL.mockClear();
+        document.getElementById('logExport').click();
+        const log = JSON.parse(await readBlob(window.URL.createObjectURL.mock.calls[0][0]));
+        expect(log).toMatchObject({ format: 'uncertain-keys-performance', version: 2, duration: 2 });
+        expect(log.events).toEqual([
+            expect.objectContaining({ time: 0.5, type: 'on', keyId: 0, source: 'keyboard' }),
+            { time: 1.25, type: 'off', keyId: 0 }
+        ]);
+        const [on] = log.events;
+        expect(on.settings).toMatchObject({ variance: '50', driftMean: '20' });
+        expect(on.sample.startFreq).not.toBe(on.freq);
+        expect(Number.isFinite(on.sample.driftRate)).toBe(true);
+        const liveOsc = mockContext.createOscillator.mock.results
+            .map(result => result.value)
+            .find(osc => frequencyOf(osc) === on.sample.startFreq);
+        expect(liveOsc).toBeDefined();
+
+        jest.useFakeTimers();
+        try {
+            const oscillatorCount = mockContext.createOscillator.mock.results.length;
+            mockContext.currentTime = 10;
+            document.getElementById('logReplay').click();
+            mockContext.currentTime = 10.5;
+            jest.advanceTimersByTime(25);
+            const replayed = mockContext.createOscillator.mock.results.slice(oscillatorCount).map(result => result.value);
+            expect(replayed).toHaveLength(1);
+            expect(frequencyOf(replayed[0])).toBe(on.sample.startFreq);
+            expect(replayed[0].detune.linearRampToValueAtTime.mock.calls.map(([value]) => value))
+                .toEqual(liveOsc.detune.linearRampToValueAtTime.mock.calls.map(([value]) => value));
+            document.getElementById('logStop').click();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('an exported log can be imported', async () => {
+        const log = {
+            format: 'uncertain-keys-performance',
+            version: 1,
+            duration: 1,
+            events: [
+                {
+                    time: 0, type: 'on', keyId: 3, source: 'pointer', freq: 440,
+                    settings: { waveType: 'sine', variance: '80' }, sample: { startFreq: 452.5, driftRate: null, driftRates: [] }
+                },
+                { time: 0.5, type: 'off', keyId: 3 }
+            ]
+        };
+        const input = document.getElementById('logImport');
+        Object.defineProperty(input, 'files', {
+            value: [new File([JSON.stringify(log)], 'take.json', { type: 'application/json' })],
+            configurable: true
+        });
+        input.dispatchEvent(new Event('change'));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(document.getElementById('logStatus').innerText).toBe('Loaded 1 notes: take.json');
+        expect(document.getElementById('logReplay').disabled).toBe(false);
+        expect(document.getElementById('renderOffline').disabled).toBe(false);
+
+        Object.defineProperty(input, 'files', { value: [new File(['{"events": []}'], 'other.json')] });
+        input.dispatchEvent(new Event('change'));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(document.getElementById('logStatus').innerText).toBe('Could not load other.json: Not a performance log');
+    });
+
+    test('offline export re-renders the captured take', async () => {
+        const renderedBuffer = {
+            numberOfChannels: 2,
+            sampleRate: 44100,
+            duration: 2.65,
+            getChannelData: jest.fn(() => new Float32Array(8))
+        };
+        const offlineContext = {
+            state: 'suspended',
+            currentTime: 0,
+            destination: {},
+            resume: jest.fn(),
+            startRendering: jest.fn().mockResolvedValue(renderedBuffer)
+        };
+        const offlineOscillators = addVoiceNodes(offlineContext);
+        offlineContext.createGain = jest.fn(() => ({ gain: createParam(), connect: jest.fn(), disconnect: jest.fn() }));
+        window.OfflineAudioContext = jest.fn(() => offlineContext);
+
+        const renderButton = document.getElementById('renderOffline');
+        expect(renderButton.disabled).toBe(true);
+
+        mockContext.currentTime = 1;
+        document.getElementById('logStart').click();
+        mockContext.currentTime = 1.5;
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+        mockContext.currentTime = 2.25;
+        window.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+        mockContext.currentTime = 3;
+        document.getElementById('logEnd').click();
+        window.URL.createObjectURL.mockClear();
+
+        expect(renderButton.disabled).toBe(false);
+        renderButton.click();
+        await Promise.resolve();
+        await Promise.resolve();
+
+        // Take length (2 s) plus the default 150 ms release and the render tail.
+        expect(window.OfflineAudioContext).toHaveBeenCalledWith(2, Math.ceil(2.65 * 44100), 44100);
+        expect(offlineContext.resume).not.toHaveBeenCalled();
+        expect(offlineOscillators).toHaveLength(1);
+        expect(offlineOscillators[0].start).toHaveBeenCalledWith(0.5);
+        expect(offlineOscillators[0].stop).toHaveBeenCalledWith(expect.closeTo(1.25 + 0.15 + 0.01, 8));
+        expect(offlineContext.startRendering).toHaveBeenCalled();
+        expect(window.URL.createObjectURL).toHaveBeenCalled();
+        expect(document.getElementById('renderStatus').innerText).toBe('Exported 2.6 s');
+        delete window.OfflineAudioContext;
+    });
 });
@@ -0,0 +1,353 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+const fs = require('fs');
+const path = require('path');
+const runApp = require('./helpers/runApp');
+const setupAudioMocks = require('./helpers/audioMocks');
+
+const appJsPath = path.resolve(__dirname, '../js/app.js');
+const appJsContent = fs.readFileSync(appJsPath, 'utf8');
+
+const buildDom = () => {
+    document.body.innerHTML = `
+        <div id="overlay"></div>
+        <div id="piano"></div>
+        <select id="waveform"><option value="sine">Sine</option></select>
+        <select id="varianceDistribution"><option value="gaussian">Gaussian</option></select>
+        <span id="varianceLabel"></span>
+        <input id="variance" type="range" min="0" max="100" step="0.1" value="0" />
+        <span id="varianceVal"></span>
+        <input id="cutoff" type="range" min="100" max="20000" step="10" value="20000" />
+        <span id="cutoffVal"></span>
+        <input id="driftDirection" type="range" value="50" />
+        <span id="driftDirectionVal"></span>
+        <input id="driftMean" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftMeanVal"></span>
+        <input id="driftSpread" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftSpreadVal"></span>
+        <input id="driftMode" type="checkbox" />
+        <select id="driftShape"><option value="linear">Linear Ramp</option></select>
+        <input id="driftTime" type="range" min="0.1" max="300" step="0.1" value="10" />
+        <input id="release" type="range" min="5" max="10000" step="1" value="150" />
+        <span id="releaseVal"></span>
+        <select id="layout"><option value="US">US</option></select>
+        <button id="octaveDown"></button>
+        <button id="octaveUp"></button>
+        <span id="octaveVal"></span>
+        <button id="aboutBtn"></button>
+        <div id="aboutModal"></div>
+        <button id="aboutClose"></button>
+        <select id="tuning">
+            <option value="12-tet">12-TET</option>
+            <option value="just">Just</option>
+            <option value="pythagorean">Pythagorean</option>
+            <option value="meantone">Meantone</option>
+            <option value="edo">n-EDO</option>
+            <option value="scala" disabled>Scala</option>
+        </select>
+        <input id="tuningEdo" type="number" min="1" max="72" value="19" disabled />
+        <select id="referenceStandard">
+            <option value="415">Baroque (415)</option>
+            <option value="432">Verdi (432)</option>
+            <option value="440" selected>ISO 16 (440)</option>
+            <option value="custom">Custom</option>
+        </select>
+        <input id="referencePitch" type="number" min="300" max="600" step="0.1" value="440" />
+        <input id="scalaImport" type="file" multiple />
+        <button id="tuningClearMapping" disabled>Clear .kbm</button>
+        <span id="tuningStatus"></span>
+        <select id="presetSelect"></select>
+        <input type="text" id="presetName">
+        <button id="presetSave">Save</button>
+        <button id="presetDelete" disabled>Delete</button>
+    `;
+};
+
+const startApp = () => {
+    buildDom();
+    const oscillators = setupAudioMocks();
+    runApp(appJsContent + `
+        try { window.getBuiltinTuning = getBuiltinTuning; } catch(e) {}
+        try { window.createTuning = createTuning; } catch(e) {}
+        try { window.tuningNoteToFrequency = tuningNoteToFrequency; } catch(e) {}
+        try { window.parseScalaScale = parseScalaScale; } catch(e) {}
+        try { window.parseScalaMapping = parseScalaMapping; } catch(e) {}
+        try { window.midiNoteToFrequency = midiNoteToFrequency; } catch(e) {}
+    `);
+    document.getElementById('overlay').click();
+    return oscillators;
+};
+
+const pressKey = (key) => {
+    window.dispatchEvent(new KeyboardEvent('keydown', { key }));
+    window.dispatchEvent(new KeyboardEvent('keyup', { key }));
+};
+
+const playedFrequency = oscillator => oscillator.frequency.setValueAtTime.mock.calls[0][0];
+
+const readStatus = () => document.getElementById('tuningStatus').innerText;
+
+// Files are read one after another, so wait for the status the last one leaves.
+const importFiles = async (files, expectedStatus) => {
+    const input = document.getElementById('scalaImport');
+    Object.defineProperty(input, 'files', { value: files, configurable: true });
+    input.dispatchEvent(new Event('change'));
+    for (let attempt = 0; attempt < 100 && readStatus() !== expectedStatus; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(readStatus()).toBe(expectedStatus);
+};
+
+const PELOG_SCL = `! pelog.scl
+!
+Pelog-ish, 7 notes
+ 7
+!
+ 120.0
+ 270.0
+ 540.0
+ 670.0
+ 785.0
+ 950.0
+ 2/1
+`;
+
+describe('Tuning', () => {
+    let oscillators;
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        oscillators = startApp();
+    });
+
+    test('built-in tunings put 1/1 on middle C at its equal-tempered pitch', () => {
+        const equal = window.getBuiltinTuning('12-tet');
+        for (const note of [0, 21, 60, 69, 127]) {
+            expect(window.tuningNoteToFrequency(equal, note)).toBeCloseTo(window.midiNoteToFrequency(note), 6);
+        }
+
+        const middleC = window.midiNoteToFrequency(60);
+        const just = window.getBuiltinTuning('just');
+        expect(window.tuningNoteToFrequency(just, 64)).toBeCloseTo(middleC * 5 / 4, 6);
+        expect(window.tuningNoteToFrequency(just, 67 - 12)).toBeCloseTo(middleC * 3 / 4, 6);
+        expect(window.tuningNoteToFrequency(window.getBuiltinTuning('pythagorean'), 62)).toBeCloseTo(middleC * 9 / 8, 6);
+        expect(window.tuningNoteToFrequency(window.getBuiltinTuning('meantone'), 64)).toBeCloseTo(middleC * 5 / 4, 6);
+
+        const edo = window.getBuiltinTuning('edo', 19);
+        expect(edo.name).toBe('19-EDO');
+        expect(window.tuningNoteToFrequency(edo, 61)).toBeCloseTo(middleC * Math.pow(2, 1 / 19), 6);
+        expect(window.tuningNoteToFrequency(edo, 60 + 19)).toBeCloseTo(middleC * 2, 6);
+        expect(window.getBuiltinTuning('edo', 500).name).toBe('72-EDO');
+
+        // Concert pitch scales every note.
+        expect(window.tuningNoteToFrequency(equal, 69, 415)).toBeCloseTo(415, 6);
+    });
+
+    test('Scala scales and keyboard mappings are parsed and validated', () => {
+        const scale = window.parseScalaScale(PELOG_SCL);
+        expect(scale.description).toBe('Pelog-ish, 7 notes');
+        expect(scale.cents).toHaveLength(7);
+        expect(scale.cents[6]).toBeCloseTo(1200, 6);
+        expect(window.parseScalaScale('Fifth\n1\n3/2 fifth\n').cents[0]).toBeCloseTo(701.955, 3);
+
+        expect(() => window.parseScalaScale('just a line')).toThrow('Not a Scala scale file');
+        expect(() => window.parseScalaScale('Short\n3\n100.0\n')).toThrow('Scala scale lists 1 of 3 pitches');
+        expect(() => window.parseScalaScale('Bad\n1\nabc\n')).toThrow('Invalid Scala pitch "abc"');
+        expect(() => window.parseScalaScale('Down\n1\n-100.0\n')).toThrow('Scala scale must end above 1/1');
+
+        // White keys only: C, D, E, F, G, A, B play the seven degrees, black keys are silent.
+        const whiteKeys = `! white.kbm
+12
+0
+127
+60
+69
+440.0
+7
+0
+x
+1
+x
+2
+3
+x
+4
+x
+5
+x
+6
+`;
+        const tuning = window.createTuning('Pelog', scale, window.parseScalaMapping(whiteKeys, 7));
+        expect(window.tuningNoteToFrequency(tuning, 69)).toBeCloseTo(440, 6);
+        expect(window.tuningNoteToFrequency(tuning, 61)).toBeNull();
+        expect(window.tuningNoteToFrequency(tuning, 62)).toBeCloseTo(440 * Math.pow(2, (120 - 785) / 1200), 6);
+        expect(window.tuningNoteToFrequency(tuning, 72)).toBeCloseTo(440 * Math.pow(2, (1200 - 785) / 1200), 6);
+
+        expect(() => window.parseScalaMapping('12\n0\n127', 7)).toThrow('Not a Scala keyboard mapping');
+        expect(() => window.parseScalaMapping('3\n0\n127\n60\n60\n261.6\n7\n0\n1\n', 7)).toThrow('Keyboard mapping lists 2 of 3 keys');
+        expect(() => window.parseScalaMapping('1\n0\n127\n60\n60\n261.6\n7\n-2\n', 7)).toThrow('Keyboard mapping has invalid degrees');
+        expect(() => window.parseScalaMapping('2\n0\n127\n60\n61\n261.6\n7\n0\nx\n', 7))
+            .toThrow('Keyboard mapping leaves its reference note unmapped');
+        expect(window.parseScalaMapping('0\n0\n127\n60\n60\n261.6\n0\n', 7)).toMatchObject({ octaveDegree: 7, keys: [0, 1, 2, 3, 4, 5, 6] });
+    });
+
+    test('the tuning menu and reference pitch retune the computer keyboard', () => {
+        const tuningSelect = document.getElementById('tuning');
+        expect(document.getElementById('tuningStatus').innerText).toBe('12-TET');
+
+        tuningSelect.value = 'just';
+        tuningSelect.dispatchEvent(new Event('change'));
+        pressKey('d');
+        expect(playedFrequency(oscillators[0])).toBeCloseTo(window.midiNoteToFrequency(60) * 5 / 4, 6);
+
+        tuningSelect.value = 'edo';
+        tuningSelect.dispatchEvent(new Event('change'));
+        expect(document.getElementById('tuningEdo').disabled).toBe(false);
+        expect(document.getElementById('tuningStatus').innerText).toBe('19-EDO');
+
+        tuningSelect.value = '12-tet';
+        tuningSelect.dispatchEvent(new Event('change'));
+        const referencePitch = document.getElementById('referencePitch');
+        referencePitch.value = '432';
+        referencePitch.dispatchEvent(new Event('change'));
+        pressKey('h');
+        expect(playedFrequency(oscillators[1])).toBeCloseTo(432, 6);
+    });
+
+    test('reference pitch standards and free entry retune every key and are saved with presets', () => {
+        const standard = document.getElementById('referenceStandard');
+        const referencePitch = document.getElementById('referencePitch');
+        standard.value = '415';
+        standard.dispatchEvent(new Event('change'));
+        expect(referencePitch.value).toBe('415');
+        pressKey('h');
+        expect(playedFrequency(oscillators[0])).toBeCloseTo(415, 6);
+        pressKey('a');
+        expect(playedFrequency(oscillators[1])).toBeCloseTo(415 * Math.pow(2, -9 / 12), 6);
+
+        referencePitch.value = '433.5';
+        referencePitch.dispatchEvent(new Event('input'));
+        expect(standard.value).toBe('custom');
+        referencePitch.value = '9000';
+        referencePitch.dispatchEvent(new Event('change'));
+        expect(referencePitch.value).toBe('600');
+        referencePitch.value = '432';
+        referencePitch.dispatchEvent(new Event('change'));
+        expect(standard.value).toBe('432');
+
+        document.getElementById('presetName').value = 'Verdi';
+        document.getElementById('presetSave').click();
+        expect(JSON.parse(window.localStorage.getItem('uncertainKeys.presets'))[0].settings.referencePitch).toBe('432');
+
+        standard.value = '440';
+        standard.dispatchEvent(new Event('change'));
+        const presetSelect = document.getElementById('presetSelect');
+        presetSelect.value = 'user:Verdi';
+        presetSelect.dispatchEvent(new Event('change'));
+        expect(referencePitch.value).toBe('432');
+        expect(standard.value).toBe('432');
+        pressKey('h');
+        expect(playedFrequency(oscillators[2])).toBeCloseTo(432, 6);
+    });
+
+    test('the tuning choice and n-EDO steps are saved with presets and shared links', () => {
+        const tuningSelect = document.getElementById('tuning');
+        const tuningEdo = document.getElementById('tuningEdo');
+        tuningSelect.value = 'edo';
+        tuningSelect.dispatchEvent(new Event('change'));
+        tuningEdo.value = '22';
+        tuningEdo.dispatchEvent(new Event('input'));
+        expect(readStatus()).toBe('22-EDO');
+        pressKey('j');
+        expect(playedFrequency(oscillators[0])).toBeCloseTo(window.midiNoteToFrequency(60) * Math.pow(2, 11 / 22), 6);
+
+        document.getElementById('presetName').value = 'Porcupine';
+        document.getElementById('presetSave').click();
+        const saved = JSON.parse(window.localStorage.getItem('uncertainKeys.presets'))[0].settings;
+        expect(saved).toMatchObject({ tuning: 'edo', tuningEdo: '22' });
+
+        tuningSelect.value = '12-tet';
+        tuningSelect.dispatchEvent(new Event('change'));
+        const presetSelect = document.getElementById('presetSelect');
+        presetSelect.value = 'user:Porcupine';
+        presetSelect.dispatchEvent(new Event('change'));
+        expect(tuningSelect.value).toBe('edo');
+        expect(readStatus()).toBe('22-EDO');
+
+        try {
+            window.history.replaceState(null, '', '#tuning=edo&tuningEdo=31');
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+            expect(tuningEdo.value).toBe('31');
+            expect(readStatus()).toBe('31-EDO');
+
+            // A Scala choice only applies while a scale is loaded.
+            window.history.replaceState(null, '', '#tuning=scala');
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+            expect(tuningSelect.value).toBe('edo');
+        } finally {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    });
+
+    test('imported .scl and .kbm files become the Scala tuning', async () => {
+        const mapping = '12\n0\n127\n60\n69\n440.0\n7\n0\nx\n1\nx\n2\n3\nx\n4\nx\n5\nx\n6\n';
+        await importFiles([
+            new File([mapping], 'white.kbm'),
+            new File([PELOG_SCL], 'pelog.scl')
+        ], 'Pelog-ish, 7 notes · white.kbm');
+
+        const tuningSelect = document.getElementById('tuning');
+        expect(tuningSelect.value).toBe('scala');
+        const option = tuningSelect.querySelector('option[value="scala"]');
+        expect(option.disabled).toBe(false);
+        expect(option.textContent).toBe('Scala: pelog.scl');
+        expect(document.getElementById('tuningClearMapping').disabled).toBe(false);
+
+        pressKey('w');
+        expect(oscillators).toHaveLength(0);
+        pressKey('h');
+        expect(playedFrequency(oscillators[0])).toBeCloseTo(440, 6);
+
+        document.getElementById('tuningClearMapping').click();
+        expect(document.getElementById('tuningStatus').innerText).toBe('Pelog-ish, 7 notes');
+        pressKey('w');
+        expect(playedFrequency(oscillators[1])).toBeCloseTo(window.midiNoteToFrequency(60) * Math.pow(2, 120 / 1200), 6);
+
+        await importFiles([new File(['nothing here'], 'broken.scl')], 'Could not load broken.scl: Not a Scala scale file');
+        expect(tuningSelect.value).toBe('scala');
+    });
+
+    test('a .kbm reference frequency is used as written whatever the A4 reference', async () => {
+        const referencePitch = document.getElementById('referencePitch');
+        referencePitch.value = '432';
+        referencePitch.dispatchEvent(new Event('change'));
+        const baroque = '12\n0\n127\n60\n69\n415.0\n7\n0\nx\n1\nx\n2\n3\nx\n4\nx\n5\nx\n6\n';
+        await importFiles([
+            new File([baroque], 'baroque.kbm'),
+            new File([PELOG_SCL], 'pelog.scl')
+        ], 'Pelog-ish, 7 notes · baroque.kbm');
+        expect(referencePitch.disabled).toBe(true);
+        expect(document.getElementById('referenceStandard').disabled).toBe(true);
+
+        pressKey('h');
+        expect(playedFrequency(oscillators[0])).toBeCloseTo(415, 6);
+
+        document.getElementById('tuningClearMapping').click();
+        expect(referencePitch.disabled).toBe(false);
+        pressKey('w');
+        expect(playedFrequency(oscillators[1])).toBeCloseTo(window.midiNoteToFrequency(60) * (432 / 440) * Math.pow(2, 120 / 1200), 6);
+    });
+});
@@ -0,0 +1,161 @@
+/*
+Copyright (c) 2026 Christopher Lepenik
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, version 3.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program. If not, see <https://www.gnu.org/licenses/>.
+*/
+const fs = require('fs');
+const path = require('path');
+const runApp = require('./helpers/runApp');
+
+const appJsPath = path.resolve(__dirname, '../js/app.js');
+const appJsContent = fs.readFileSync(appJsPath, 'utf8');
+
+const buildDom = () => {
+    document.body.innerHTML = `
+        <div id="overlay"></div>
+        <div id="piano"></div>
+        <select id="waveform">
+            <option value="sine">Sine</option>
+            <option value="square">Square</option>
+        </select>
+        <select id="varianceDistribution">
+            <option value="gaussian">Gaussian</option>
+            <option value="cauchy">Cauchy</option>
+        </select>
+        <span id="varianceLabel"></span>
+        <input id="variance" type="range" min="0" max="100" step="0.1" value="0" />
+        <span id="varianceVal"></span>
+        <div id="varianceShapeGroup" hidden>
+            <span id="varianceShapeLabel"></span>
+            <input id="varianceShape" type="range" min="1" max="1200" step="1" value="300" />
+            <span id="varianceShapeVal"></span>
+        </div>
+        <input id="cutoff" type="range" min="100" max="20000" step="10" value="20000" />
+        <span id="cutoffVal"></span>
+        <input id="driftDirection" type="range" min="0" max="100" step="1" value="50" />
+        <span id="driftDirectionVal"></span>
+        <input id="driftMean" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftMeanVal"></span>
+        <input id="driftSpread" type="range" min="0" max="150" step="0.1" value="0" />
+        <span id="driftSpreadVal"></span>
+        <input id="driftMode" type="checkbox" />
+        <span id="driftModeLabelGaussian"></span>
+        <span id="driftModeLabelUniform"></span>
+        <span id="driftMeanLabel"></span>
+        <span id="driftSpreadLabel"></span>
+        <select id="velocityCurve">
+            <option value="linear">Linear</option>
+            <option value="fixed">Fixed</option>
+        </select>
+        <input id="defaultVelocity" type="range" min="1" max="127" step="1" value="127" />
+        <span id="defaultVelocityVal"></span>
+        <select id="layout">
+            <option value="US">US</option>
+            <option value="DE">DE</option>
+        </select>
+        <button id="octaveDown"></button>
+        <button id="octaveUp"></button>
+        <span id="octaveVal"></span>
+        <input type="text" id="seed">
+        <button id="seedRewind" disabled></button>
+        <button id="aboutBtn"></button>
+        <div id="aboutModal"></div>
+        <button id="aboutClose"></button>
+    `;
+};
+
+const startApp = (hash = '') => {
+    window.history.replaceState(null, '', `${window.location.pathname}${hash}`);
+    buildDom();
+    runApp(appJsContent);
+};
+
+const setRange = (id, value) => {
+    const el = document.getElementById(id);
+    el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+describe('URL state', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        window.history.replaceState(null, '', window.location.pathname);
+    });
+
+    test('changes to the patch are written to the hash and restored from it', () => {
+        jest.useFakeTimers();
+        startApp();
+        expect(window.location.hash).toBe('');
+
+        document.getElementById('waveform').value = 'square';
+        document.getElementById('waveform').dispatchEvent(new Event('change', { bubbles: true }));
+        setRange('cutoff', '1500');
+        setRange('driftMean', '12');
+        setRange('driftSpread', '3');
+        const driftMode = document.getElementById('driftMode');
+        driftMode.checked = true;
+        driftMode.dispatchEvent(new Event('change', { bubbles: true }));
+        setRange('driftSpread', '40');
+        document.getElementById('layout').value = 'DE';
+        document.getElementById('layout').dispatchEvent(new Event('change', { bubbles: true }));
+        document.getElementById('octaveDown').click();
+        const seed = document.getElementById('seed');
+        seed.value = 'take 1';
+        seed.dispatchEvent(new Event('change', { bubbles: true }));
+        jest.advanceTimersByTime(250);
+
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        expect(params.get('waveType')).toBe('square');
+        expect(params.get('cutoff')).toBe('1500');
+        expect(params.get('driftMode')).toBe('uniform');
+        expect(params.get('gaussian')).toBe('12,3');
+        expect(params.get('uniform')).toBe('0,40');
+        expect(params.get('layout')).toBe('DE');
+        expect(params.get('octaveShift')).toBe('-1');
+        expect(params.get('seed')).toBe('take 1');
+
+        startApp(window.location.hash);
+        expect(document.getElementById('waveform').value).toBe('square');
+        expect(document.getElementById('cutoff').value).toBe('1500');
+        expect(document.getElementById('cutoffVal').innerText).toBe('1500');
+        expect(document.getElementById('driftMode').checked).toBe(true);
+        expect(document.getElementById('driftSpread').value).toBe('40');
+        expect(document.getElementById('layout').value).toBe('DE');
+        expect(document.getElementById('octaveVal').innerText).toBe('-1');
+        expect(document.getElementById('seed').value).toBe('take 1');
+
+        // The gaussian memory came from the link as well.
+        document.getElementById('driftMode').checked = false;
+        document.getElementById('driftMode').dispatchEvent(new Event('change', { bubbles: true }));
+        expect(document.getElementById('driftMean').value).toBe('12');
+        expect(document.getElementById('driftSpread').value).toBe('3');
+    });
+
+    test('invalid values are ignored and out-of-range values clamped to the sliders', () => {
+        startApp('#waveType=noise&cutoff=99999&variance=abc&driftDirection=-5&velocity=64.4'
+            + '&varianceDistribution=cauchy&varianceShape=5000&octaveShift=12&driftMode=sideways'
+            + '&gaussian=500,2&uniform=x,1&layout=FR');
+        expect(document.getElementById('waveform').value).toBe('sine');
+        expect(document.getElementById('cutoff').value).toBe('20000');
+        expect(document.getElementById('variance').value).toBe('0');
+        expect(document.getElementById('driftDirection').value).toBe('0');
+        expect(document.getElementById('defaultVelocity').value).toBe('64');
+        expect(document.getElementById('varianceDistribution').value).toBe('cauchy');
+        expect(document.getElementById('varianceShape').value).toBe('1200');
+        expect(document.getElementById('octaveVal').innerText).toBe('+4');
+        expect(document.getElementById('driftMode').checked).toBe(false);
+        expect(document.getElementById('driftMean').value).toBe('150');
+        expect(document.getElementById('driftSpread').value).toBe('2');
+        expect(document.getElementById('layout').value).toBe('US');
+    });
+});
@@ -18,22 +18,744 @@ along with this program. If not, see <https://www.gnu.org/licenses/>.
 // --- utils ---
 const DRIFT_DURATION_SECONDS = 24 * 60 * 60;
 
-function gaussianRandom() {
+// Looked up on every draw so Math.random can still be swapped out (e.g. by tests).
+const defaultRandomSource = () => Math.random();
+
+function normalizeSeed(seed) {
+    if (seed === null || typeof seed === 'undefined') return '';
+    return String(seed).trim();
+}
+
+function hashSeed(seed) {
+    // FNV-1a, so any seed text (not just integers) maps to a 32-bit state.
+    const text = normalizeSeed(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function createSeededRandom(seed) {
+    // mulberry32: tiny, fast and plenty for musical sampling. Returns values in [0, 1).
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function gaussianRandom(random = defaultRandomSource) {
     let u = 0, v = 0;
-    while(u === 0) u = Math.random(); 
-    while(v === 0) v = Math.random();
+    while(u === 0) u = random(); 
+    while(v === 0) v = random();
     return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 
-function getGaussianPitch(baseFreq, varianceCents) {
+function getGaussianPitch(baseFreq, varianceCents, random = defaultRandomSource) {
     if (varianceCents == 0) return baseFreq;
-    const z = gaussianRandom(); 
+    const z = gaussianRandom(random); 
     const deviation = z * varianceCents; 
     // 1200 cents = 1 octave (factor of 2)
     return baseFreq * Math.pow(2, deviation / 1200);
 }
 
+// Note-on pitch offset distributions. `amount` is always in cents; `shape` is the
+// optional second parameter whose meaning depends on the distribution.
+const VARIANCE_DISTRIBUTIONS = {
+    gaussian: { amountLabel: 'Pitch Instability (Cents)', shape: null },
+    uniform: { amountLabel: 'Half Width (Cents)', shape: null },
+    laplace: { amountLabel: 'Laplace Scale (Cents)', shape: null },
+    cauchy: {
+        amountLabel: 'Cauchy Scale (Cents)',
+        shape: { label: 'Tail Limit (Cents)', min: '1', max: '1200', step: '1', value: '300' }
+    },
+    triangular: {
+        amountLabel: 'Half Width (Cents)',
+        shape: { label: 'Peak Position (%)', min: '-100', max: '100', step: '1', value: '0' }
+    },
+    steps: {
+        amountLabel: 'Step Size (Cents)',
+        shape: { label: 'Max Steps (±)', min: '1', max: '12', step: '1', value: '2' }
+    }
+};
+
+function samplePitchOffsetCents(distribution, amount, shape, random = defaultRandomSource) {
+    const scale = parseFloat(amount) || 0;
+    if (scale === 0) return 0;
+    const param = parseFloat(shape);
+
+    switch (distribution) {
+        case 'uniform':
+            return ((random() * 2) - 1) * scale;
+        case 'laplace': {
+            let u = 0;
+            while (u === 0) u = random();
+            // Inverse CDF: the two halves of u pick the sign, the remainder the magnitude.
+            return u < 0.5 ? scale * Math.log(2 * u) : -scale * Math.log(2 * (1 - u));
+        }
+        case 'cauchy': {
+            let u = 0;
+            while (u === 0) u = random();
+            const offset = scale * Math.tan(Math.PI * (u - 0.5));
+            const limit = param > 0 ? param : Infinity;
+            return Math.min(limit, Math.max(-limit, offset));
+        }
+        case 'triangular': {
+            const peak = Number.isFinite(param) ? Math.min(1, Math.max(-1, param / 100)) : 0;
+            const mode = (peak + 1) / 2;
+            const u = random();
+            const x = u < mode ? Math.sqrt(u * mode) : 1 - Math.sqrt((1 - u) * (1 - mode));
+            return ((x * 2) - 1) * scale;
+        }
+        case 'steps': {
+            const maxSteps = Math.max(1, Math.round(param) || 1);
+            const step = Math.floor(random() * ((maxSteps * 2) + 1)) - maxSteps;
+            return step * scale;
+        }
+        default:
+            return gaussianRandom(random) * scale;
+    }
+}
+
+function getDistributedPitch(baseFreq, distribution, amount, shape, random = defaultRandomSource) {
+    const offsetCents = samplePitchOffsetCents(distribution, amount, shape, random);
+    if (offsetCents === 0) return baseFreq;
+    return baseFreq * Math.pow(2, offsetCents / 1200);
+}
+
+// Per-note drift curves. The time parameter is the time constant, period,
+// step length or outbound time of the selected shape.
+const DRIFT_SHAPES = {
+    linear: { timeLabel: null },
+    exponential: { timeLabel: 'Time Constant (s)' },
+    sine: { timeLabel: 'Wander Period (s)' },
+    walk: { timeLabel: 'Step Length (s)' },
+    return: { timeLabel: 'Drift Time (s)' }
+};
+const DEFAULT_DRIFT_TIME_SECONDS = 10;
+const MIN_DRIFT_TIME_SECONDS = 0.1;
+// Random walks are planned a short way ahead of the audio clock and extended while the voice sounds,
+// up to DRIFT_DURATION_SECONDS, so a note only draws the segment rates it reaches.
+const RANDOM_WALK_LOOKAHEAD_SECONDS = 2;
+const RANDOM_WALK_SCHEDULE_INTERVAL_MS = 250;
+
+function sampleDriftRate(driftDirection, driftMode, driftMean, driftSpread, random = defaultRandomSource) {
+    const dMean = parseFloat(driftMean);
+    const dSpread = parseFloat(driftSpread);
+
+    // Determine Direction (1 = Up, -1 = Down)
+    const dirProb = parseInt(driftDirection) / 100; // 0.0 to 1.0
+    const direction = random() < dirProb ? 1 : -1;
+
+    // Determine Speed (Cents per second)
+    let speed;
+    if (driftMode === 'uniform') {
+        let min = dMean;
+        let max = dSpread;
+        if (max < min) {
+            const tmp = min;
+            min = max;
+            max = tmp;
+        }
+        speed = min + (random() * (max - min));
+    } else {
+        // Gaussian centered at dMean with stdDev dSpread
+        speed = dMean + (gaussianRandom(random) * dSpread);
+    }
+
+    return direction * speed; // Cents per second
+}
+
+// Drift plan for a sampled rate: what Synth.scheduleDrift puts on the oscillator, without the audio graph.
+// `resampleRate` supplies each further random-walk segment and `duration` how far (s) the walk is planned;
+// `bounds` clamps the detune (cents).
+function planDrift(driftRate, options = {}) {
+    const shape = DRIFT_SHAPES[options.shape] ? options.shape : 'linear';
+    const time = Math.max(MIN_DRIFT_TIME_SECONDS, parseFloat(options.time) || DEFAULT_DRIFT_TIME_SECONDS);
+    const bounds = options.bounds || null;
+    const clampDetune = (value) => bounds ? Math.min(bounds.max, Math.max(bounds.min, value)) : value;
+
+    if (shape === 'exponential') {
+        // Initial slope equals the sampled rate; the offset then settles at rate * timeConstant.
+        return { shape, rate: driftRate, target: clampDetune(driftRate * time), timeConstant: time };
+    }
+
+    if (shape === 'sine') {
+        // Peak slope equals the sampled rate; the sign picks the initial direction.
+        let amplitude = Math.abs(driftRate) * time / (2 * Math.PI);
+        if (bounds) amplitude = Math.min(amplitude, bounds.max, -bounds.min);
+        return { shape, rate: driftRate, depth: Math.sign(driftRate) * amplitude, period: time };
+    }
+
+    if (shape === 'walk') {
+        const plan = { shape, rate: driftRate, step: time, bounds, points: [{ time: 0, value: 0 }] };
+        extendRandomWalk(plan, options.duration || RANDOM_WALK_LOOKAHEAD_SECONDS, options.resampleRate);
+        return plan;
+    }
+
+    const points = [{ time: 0, value: 0 }];
+    if (shape === 'return') {
+        points.push({ time, value: clampDetune(driftRate * time) });
+        points.push({ time: time * 2, value: 0 });
+    } else {
+        return { shape, rate: driftRate, duration: DRIFT_DURATION_SECONDS, bounds };
+    }
+    // Endpoints are clamped, so every linear segment between them stays in bounds too.
+    return { shape, rate: driftRate, points };
+}
+
+// Appends random-walk segments until the plan covers `elapsed` seconds (at most DRIFT_DURATION_SECONDS) and
+// returns the new points. The first segment moves at the plan's rate, later ones at `resampleRate()`.
+function extendRandomWalk(plan, elapsed, resampleRate) {
+    const { points, step, bounds } = plan;
+    const end = Math.min(elapsed, DRIFT_DURATION_SECONDS);
+    const added = [];
+    while (points[points.length - 1].time < end) {
+        const last = points[points.length - 1];
+        const rate = points.length === 1 ? plan.rate : (resampleRate ? resampleRate() : 0);
+        let value = last.value + (rate * step);
+        if (bounds) value = Math.min(bounds.max, Math.max(bounds.min, value));
+        const point = { time: last.time + step, value };
+        points.push(point);
+        added.push(point);
+    }
+    return added;
+}
+
+// Replays a logged drift sample's random-walk rates after the first; the walk holds once they run out.
+function createDriftRateReplay(sample) {
+    const rates = Array.isArray(sample.driftRates) ? sample.driftRates : [];
+    let index = 0;
+    return () => {
+        index++;
+        return index < rates.length ? rates[index] : 0;
+    };
+}
+
+// Evaluates a drift plan returned by Synth.scheduleDrift at an audio-clock time (cents of detune).
+function getDriftOffsetCents(drift, time) {
+    if (!drift) return 0;
+    const elapsed = Math.max(0, time - drift.startTime);
+
+    if (drift.shape === 'exponential') {
+        return drift.target * (1 - Math.exp(-elapsed / drift.timeConstant));
+    }
+    if (drift.shape === 'sine') {
+        return drift.depth * Math.sin(2 * Math.PI * elapsed / drift.period);
+    }
+    if (drift.points) {
+        const points = drift.points;
+        const nextIdx = points.findIndex(point => point.time > elapsed);
+        if (nextIdx === -1) return points[points.length - 1].value;
+        const prev = points[nextIdx - 1];
+        const next = points[nextIdx];
+        return prev.value + ((next.value - prev.value) * (elapsed - prev.time) / (next.time - prev.time));
+    }
+
+    const value = drift.rate * Math.min(elapsed, drift.duration);
+    return drift.bounds ? Math.min(drift.bounds.max, Math.max(drift.bounds.min, value)) : value;
+}
+
+// Velocity response. Curves (linear, exponential, fixed) map MIDI velocity (1-127) to a voice gain factor;
+// the cutoff amount closes the filter by up to VELOCITY_CUTOFF_OCTAVES on soft hits.
+const VELOCITY_CUTOFF_OCTAVES = 4;
+const VELOCITY_EXPONENTIAL_RANGE_DB = 40;
+
+function normalizeVelocity(velocity) {
+    const value = parseFloat(velocity);
+    if (!Number.isFinite(value)) return 1;
+    return Math.min(1, Math.max(0, value / 127));
+}
+
+function velocityToGain(velocity, curve) {
+    const amount = normalizeVelocity(velocity);
+    if (curve === 'fixed') return 1;
+    if (curve === 'exponential') {
+        if (amount === 0) return 0;
+        return Math.pow(10, ((amount - 1) * VELOCITY_EXPONENTIAL_RANGE_DB) / 20);
+    }
+    return amount;
+}
+
+// How strongly (0-100%) softer hits reduce a parameter; full velocity always leaves it unchanged.
+function getVelocityScale(velocity, sensitivityPercent) {
+    const sensitivity = Math.min(1, Math.max(0, (parseFloat(sensitivityPercent) || 0) / 100));
+    return 1 - (sensitivity * (1 - normalizeVelocity(velocity)));
+}
+
+// MIDI performance controllers.
+const DEFAULT_PITCH_BEND_RANGE_SEMITONES = 2;
+const PITCH_BEND_SMOOTHING_SECONDS = 0.005;
+const VIBRATO_RATE_HZ = 5.5;
+const VIBRATO_MAX_DEPTH_CENTS = 50;
+const MOD_WHEEL_CUTOFF_OCTAVES = 4;
+
+// 14-bit pitch bend value (0-16383, centre 8192) to cents for a +/- range in semitones.
+function pitchBendToCents(lsb, msb, rangeSemitones) {
+    const value = ((msb & 0x7F) << 7) | (lsb & 0x7F);
+    const normalized = value >= 8192 ? (value - 8192) / 8191 : (value - 8192) / 8192;
+    const range = parseFloat(rangeSemitones);
+    return normalized * (Number.isFinite(range) ? range : DEFAULT_PITCH_BEND_RANGE_SEMITONES) * 100;
+}
+
+const MAX_MIDI_TRANSPOSE = 48;
+
+// MIDI output. In MPE mode notes rotate over the lower-zone member channels (2-16) so each one
+// carries its own pitch bend; the bend range is the MPE default of 48 semitones.
+const MPE_MEMBER_CHANNELS = 15;
+const MPE_PITCH_BEND_RANGE_SEMITONES = 48;
+const MIDI_OUTPUT_BEND_INTERVAL_MS = 20;
+
+function midiNoteToFrequency(noteNumber) {
+    return 440 * Math.pow(2, (noteNumber - 69) / 12);
+}
+
+function frequencyToMidiNote(freq) {
+    return Math.round(69 + (12 * Math.log2(freq / 440)));
+}
+
+// Cents to a 14-bit pitch bend value (the inverse of pitchBendToCents), clamped to the range.
+function centsToPitchBend(cents, rangeSemitones) {
+    const range = rangeSemitones * 100;
+    const normalized = range > 0 ? Math.min(1, Math.max(-1, cents / range)) : 0;
+    return 8192 + Math.round(normalized * (normalized >= 0 ? 8191 : 8192));
+}
+
+// MPE input: the master channel is 1 (lower zone) or 16 (upper zone); member channels carry
+// per-note bend, pressure and timbre (CC74). Pressure and timbre close the filter by up to
+// MPE_CUTOFF_OCTAVES; pressure as gain spans MPE_PRESSURE_GAIN_RANGE_DB.
+const MPE_CUTOFF_OCTAVES = 4;
+const MPE_PRESSURE_GAIN_RANGE_DB = 24;
+
+function getMpeMemberChannels(zone, memberCount) {
+    const count = Math.min(MPE_MEMBER_CHANNELS, Math.max(1, parseInt(memberCount, 10) || MPE_MEMBER_CHANNELS));
+    return Array.from({ length: count }, (_, i) => (zone === 'upper' ? 14 - i : 1 + i));
+}
+
+// Pressure and timbre arrive as 0-127; null means the controller has not been touched on this channel.
+function getMpeExpression(pressure, timbre, pressureTarget) {
+    const expression = { gain: 1, cutoffScale: 1 };
+    if (pressure !== null && pressureTarget === 'gain') {
+        expression.gain = Math.pow(10, (-MPE_PRESSURE_GAIN_RANGE_DB * (1 - (pressure / 127))) / 20);
+    }
+    if (pressure !== null && pressureTarget === 'cutoff') {
+        expression.cutoffScale *= Math.pow(2, -MPE_CUTOFF_OCTAVES * (1 - (pressure / 127)));
+    }
+    if (timbre !== null) {
+        expression.cutoffScale *= Math.pow(2, -MPE_CUTOFF_OCTAVES * (1 - (timbre / 127)));
+    }
+    return expression;
+}
+
+// MIDI learn: channel-voice controllers 0-119 can be bound; 120-127 are channel mode messages.
+const MAX_LEARNABLE_CONTROLLER = 119;
+const MIDI_BINDINGS_STORAGE_KEY = 'uncertainKeys.midiBindings';
+
+// A range input's min/max as numbers, with the browser defaults (0-100) for missing attributes.
+function getRangeBounds(min, max) {
+    const lo = parseFloat(min);
+    const hi = parseFloat(max);
+    return { low: Number.isFinite(lo) ? lo : 0, high: Number.isFinite(hi) ? hi : 100 };
+}
+
+// Snaps `raw` to a range input's step and clamps it to its min/max, formatted like the step.
+function snapToRange(raw, min, max, step) {
+    const { low, high } = getRangeBounds(min, max);
+    const stepSize = parseFloat(step);
+    if (!(stepSize > 0)) return String(Math.min(high, Math.max(low, raw)));
+    const snapped = low + (Math.round((raw - low) / stepSize) * stepSize);
+    const decimals = String(step).includes('.') ? String(step).split('.')[1].length : 0;
+    return Math.min(high, Math.max(low, snapped)).toFixed(decimals);
+}
+
+// Maps a 7-bit controller value onto a range input's min/max, snapped to its step.
+function mapControllerToRange(value, min, max, step) {
+    const { low, high } = getRangeBounds(min, max);
+    const raw = low + ((Math.min(127, Math.max(0, value)) / 127) * (high - low));
+    if (!(parseFloat(step) > 0)) return String(raw);
+    return snapToRange(raw, min, max, step);
+}
+
+// Fits an untrusted value (a shared link, an imported preset) onto a range input; null if it is not a number.
+function clampRangeValue(value, min, max, step) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? String(parseFloat(snapToRange(number, min, max, step))) : null;
+}
+
+// localStorage can be unavailable (privacy modes, some file:// pages); persistence is best effort.
+function readStoredJson(key) {
+    try {
+        const raw = window.localStorage ? window.localStorage.getItem(key) : null;
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStoredJson(key, value) {
+    try {
+        if (window.localStorage) window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // Ignore quota and access errors.
+    }
+}
+
+// --- tuning ---
+// A tuning is a Scala-style scale (cents of each degree above 1/1, the last one being the period)
+// plus a keyboard mapping. Frequencies are worked out for a 440 Hz concert pitch and then scaled.
+const STANDARD_REFERENCE_PITCH = 440;
+// Scala's default mapping: 1/1 on middle C, which sounds at its equal-tempered pitch.
+const TUNING_ROOT_NOTE = 60;
+const QUARTER_COMMA_FIFTH_CENTS = 1200 * Math.log2(Math.pow(5, 0.25));
+const MIN_EDO_STEPS = 1;
+const MAX_EDO_STEPS = 72;
+
+function ratioToCents(numerator, denominator = 1) {
+    return 1200 * Math.log2(numerator / denominator);
+}
+
+// Twelve notes from a chain of fifths, from `lowest` fifths below 1/1 upwards, folded into one octave.
+function chainOfFifthsCents(fifthCents, lowest) {
+    const cents = [];
+    for (let step = lowest; step < lowest + 12; step++) {
+        const value = ((step * fifthCents) % 1200 + 1200) % 1200;
+        if (value > 1e-9) cents.push(value);
+    }
+    return [...cents.sort((a, b) => a - b), 1200];
+}
+
+function edoCents(steps) {
+    return Array.from({ length: steps }, (_, index) => (1200 * (index + 1)) / steps);
+}
+
+const BUILTIN_TUNINGS = {
+    '12-tet': { label: '12-TET', scale: () => edoCents(12) },
+    just: {
+        label: '5-limit Just Intonation',
+        scale: () => [[16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8], [2, 1]]
+            .map(([numerator, denominator]) => ratioToCents(numerator, denominator))
+    },
+    pythagorean: { label: 'Pythagorean', scale: () => chainOfFifthsCents(ratioToCents(3, 2), -5) },
+    meantone: { label: 'Quarter-comma Meantone', scale: () => chainOfFifthsCents(QUARTER_COMMA_FIFTH_CENTS, -3) },
+    edo: { label: 'Equal Division (n-EDO)', scale: steps => edoCents(steps) }
+};
+
+// The mapping Scala uses without a .kbm file: every key is the next degree, 1/1 on middle C.
+// Its reference follows the chosen A4; a .kbm reference frequency is absolute.
+function createLinearMapping(scaleSize) {
+    return {
+        followsReferencePitch: true,
+        first: 0,
+        last: 127,
+        middle: TUNING_ROOT_NOTE,
+        referenceNote: TUNING_ROOT_NOTE,
+        referenceFrequency: midiNoteToFrequency(TUNING_ROOT_NOTE),
+        octaveDegree: scaleSize,
+        keys: Array.from({ length: scaleSize }, (_, index) => index)
+    };
+}
+
+function createTuning(name, scale, mapping = createLinearMapping(scale.cents.length)) {
+    return { name, scale, mapping };
+}
+
+function getBuiltinTuning(name, edoSteps = 12) {
+    const builtin = BUILTIN_TUNINGS[name] || BUILTIN_TUNINGS['12-tet'];
+    const steps = Math.round(Math.min(MAX_EDO_STEPS, Math.max(MIN_EDO_STEPS, edoSteps)));
+    const label = name === 'edo' ? `${steps}-EDO` : builtin.label;
+    return createTuning(label, { description: label, cents: builtin.scale(steps) });
+}
+
+// Cents of a scale degree above 1/1; degrees past the scale continue into the next periods.
+function getDegreeCents(scale, degree) {
+    const size = scale.cents.length;
+    const periods = Math.floor(degree / size);
+    const index = degree - (periods * size);
+    return (periods * scale.cents[size - 1]) + (index === 0 ? 0 : scale.cents[index - 1]);
+}
+
+// The scale degree a MIDI note plays and how many mapping repeats it lies above the middle note,
+// or null for a key the mapping leaves out.
+function getMappedKey(mapping, noteNumber) {
+    if (noteNumber < mapping.first || noteNumber > mapping.last) return null;
+    const size = mapping.keys.length;
+    const offset = noteNumber - mapping.middle;
+    const repeats = Math.floor(offset / size);
+    const degree = mapping.keys[offset - (repeats * size)];
+    return degree === null ? null : { repeats, degree };
+}
+
+// Cents of a MIDI note above the middle note's 1/1, or null for an unmapped key.
+function getMappedCents(tuning, noteNumber) {
+    const key = getMappedKey(tuning.mapping, noteNumber);
+    if (!key) return null;
+    return (key.repeats * getDegreeCents(tuning.scale, tuning.mapping.octaveDegree)) + getDegreeCents(tuning.scale, key.degree);
+}
+
+// Frequency of a MIDI note in `tuning` at the given concert pitch, or null when the key is unmapped.
+// A .kbm mapping keeps its own reference frequency whatever the concert pitch.
+function tuningNoteToFrequency(tuning, noteNumber, referencePitch = STANDARD_REFERENCE_PITCH) {
+    const cents = getMappedCents(tuning, noteNumber);
+    if (cents === null) return null;
+    const { mapping } = tuning;
+    const referenceCents = getMappedCents(tuning, mapping.referenceNote);
+    const frequency = mapping.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+    return mapping.followsReferencePitch ? frequency * (referencePitch / STANDARD_REFERENCE_PITCH) : frequency;
+}
+
+// Scala files: '!' starts a comment line; values may be followed by free text.
+function readScalaLines(text) {
+    return String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+// A pitch line is cents when it has a period, otherwise a ratio such as 3/2 or 2.
+function parseScalaPitch(line) {
+    const value = line.trim().split(/\s+/)[0] || '';
+    if (value.includes('.')) {
+        const cents = Number(value);
+        if (Number.isFinite(cents)) return cents;
+    } else {
+        const match = value.match(/^(\d+)(?:\/(\d+))?$/);
+        if (match && Number(match[1]) > 0 && (!match[2] || Number(match[2]) > 0)) {
+            return ratioToCents(Number(match[1]), match[2] ? Number(match[2]) : 1);
+        }
+    }
+    throw new Error(`Invalid Scala pitch "${line.trim()}"`);
+}
+
+// .scl: a description line, the number of notes, then one pitch per note (1/1 is implied).
+function parseScalaScale(text) {
+    const lines = readScalaLines(text);
+    if (lines.length < 2) throw new Error('Not a Scala scale file');
+    const count = Number(lines[1].trim().split(/\s+/)[0]);
+    if (!Number.isInteger(count) || count < 1) throw new Error('Not a Scala scale file');
+    const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+    if (pitchLines.length < count) throw new Error(`Scala scale lists ${pitchLines.length} of ${count} pitches`);
+    const cents = pitchLines.slice(0, count).map(parseScalaPitch);
+    if (!(cents[count - 1] > 0)) throw new Error('Scala scale must end above 1/1');
+    return { description: lines[0].trim(), cents };
+}
+
+// .kbm: map size, first and last note, middle note, reference note and frequency, the degree
+// that repeats the mapping, then one degree per key ('x' for an unmapped key).
+function parseScalaMapping(text, scaleSize) {
+    const values = readScalaLines(text)
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(value => value !== '' && typeof value !== 'undefined');
+    if (values.length < 7) throw new Error('Not a Scala keyboard mapping');
+    const [size, first, last, middle, referenceNote] = values.slice(0, 5).map(Number);
+    const referenceFrequency = Number(values[5]);
+    const octaveDegree = Number(values[6]);
+    const isNote = value => Number.isInteger(value) && value >= 0 && value <= 127;
+    if (!Number.isInteger(size) || size < 0 || ![first, last, middle, referenceNote].every(isNote)
+        || !(referenceFrequency > 0) || !Number.isInteger(octaveDegree) || octaveDegree < 0) {
+        throw new Error('Not a Scala keyboard mapping');
+    }
+    const keys = size === 0
+        ? Array.from({ length: scaleSize }, (_, index) => index)
+        : values.slice(7, 7 + size).map(value => (value.toLowerCase() === 'x' ? null : Number(value)));
+    if (keys.length < Math.max(size, 1)) throw new Error(`Keyboard mapping lists ${keys.length} of ${size} keys`);
+    if (keys.some(degree => degree !== null && (!Number.isInteger(degree) || degree < 0))) {
+        throw new Error('Keyboard mapping has invalid degrees');
+    }
+    const mapping = {
+        first, last, middle, referenceNote, referenceFrequency,
+        octaveDegree: octaveDegree || scaleSize,
+        keys
+    };
+    if (!getMappedKey(mapping, referenceNote)) {
+        throw new Error('Keyboard mapping leaves its reference note unmapped');
+    }
+    return mapping;
+}
+
+// --- presets ---
+const PRESETS_STORAGE_KEY = 'uncertainKeys.presets';
+const PRESET_FILE_FORMAT = 'uncertain-keys-presets';
+const PRESET_FILE_VERSION = 1;
+const DRIFT_MODES = ['gaussian', 'uniform'];
+// Preset fields stored as control values, keyed to the control they set. The distribution comes
+// before the variance amount because switching distributions restores that distribution's amount.
+const PRESET_CONTROLS = {
+    waveType: 'waveform',
+    cutoff: 'cutoff',
+    varianceDistribution: 'varianceDistribution',
+    variance: 'variance',
+    varianceShape: 'varianceShape',
+    driftDirection: 'driftDirection',
+    driftShape: 'driftShape',
+    driftTime: 'driftTime',
+    attack: 'attack',
+    decay: 'decay',
+    sustain: 'sustain',
+    release: 'release',
+    tuning: 'tuning',
+    tuningEdo: 'tuningEdo',
+    referencePitch: 'referencePitch'
+};
+// Besides the controls, a preset keeps the octave, the drift mode and both modes' remembered mean/spread.
+const FACTORY_PRESETS = [
+    {
+        name: 'Init',
+        settings: {
+            waveType: 'sine', cutoff: '20000', varianceDistribution: 'gaussian', variance: '0', varianceShape: '300',
+            driftDirection: '50', driftShape: 'linear', driftTime: '10',
+            attack: '20', decay: '0', sustain: '100', release: '150',
+            octaveShift: 0, driftMode: 'gaussian',
+            driftModes: { gaussian: { mean: '0', spread: '0' }, uniform: { mean: '0', spread: '0' } }
+        }
+    },
+    {
+        name: 'Worn Tape',
+        settings: {
+            waveType: 'triangle', cutoff: '6000', varianceDistribution: 'gaussian', variance: '6', varianceShape: '300',
+            driftDirection: '50', driftShape: 'sine', driftTime: '4',
+            attack: '30', decay: '0', sustain: '100', release: '400',
+            octaveShift: 0, driftMode: 'gaussian',
+            driftModes: { gaussian: { mean: '3', spread: '2' }, uniform: { mean: '0', spread: '0' } }
+        }
+    },
+    {
+        name: 'Detuned Organ',
+        settings: {
+            waveType: 'square', cutoff: '3000', varianceDistribution: 'uniform', variance: '15', varianceShape: '300',
+            driftDirection: '50', driftShape: 'walk', driftTime: '2',
+            attack: '10', decay: '0', sustain: '100', release: '120',
+            octaveShift: 0, driftMode: 'gaussian',
+            driftModes: { gaussian: { mean: '1', spread: '1' }, uniform: { mean: '0', spread: '0' } }
+        }
+    },
+    {
+        name: 'Sinking Drone',
+        settings: {
+            waveType: 'sawtooth', cutoff: '1200', varianceDistribution: 'gaussian', variance: '4', varianceShape: '300',
+            driftDirection: '15', driftShape: 'exponential', driftTime: '30',
+            attack: '1500', decay: '0', sustain: '100', release: '4000',
+            octaveShift: -1, driftMode: 'uniform',
+            driftModes: { gaussian: { mean: '0', spread: '0' }, uniform: { mean: '5', spread: '20' } }
+        }
+    },
+    {
+        name: 'Cracked Bells',
+        settings: {
+            waveType: 'sine', cutoff: '20000', varianceDistribution: 'cauchy', variance: '12', varianceShape: '200',
+            driftDirection: '50', driftShape: 'return', driftTime: '3',
+            attack: '2', decay: '1200', sustain: '0', release: '2500',
+            octaveShift: 1, driftMode: 'gaussian',
+            driftModes: { gaussian: { mean: '4', spread: '3' }, uniform: { mean: '0', spread: '0' } }
+        }
+    }
+];
+
+// Presets and shared links keep the octave shift within ±OCTAVE_SHIFT_LIMIT, so a stray value can never
+// push a note's frequency out of range.
+const OCTAVE_SHIFT_LIMIT = 4;
+
+function clampOctaveShift(octaveShift) {
+    return Math.max(-OCTAVE_SHIFT_LIMIT, Math.min(OCTAVE_SHIFT_LIMIT, octaveShift));
+}
+
+// Keeps the known fields of a stored or imported preset; returns null for anything that is not one.
+function normalizePreset(preset) {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return null;
+    if (!preset.settings || typeof preset.settings !== 'object') return null;
+    const source = preset.settings;
+    const settings = {};
+    Object.keys(PRESET_CONTROLS).forEach((key) => {
+        if (typeof source[key] === 'string' || Number.isFinite(source[key])) settings[key] = String(source[key]);
+    });
+    if (Number.isInteger(source.octaveShift)) settings.octaveShift = clampOctaveShift(source.octaveShift);
+    if (DRIFT_MODES.includes(source.driftMode)) settings.driftMode = source.driftMode;
+    if (source.driftModes && typeof source.driftModes === 'object') {
+        settings.driftModes = {};
+        DRIFT_MODES.forEach((mode) => {
+            const values = source.driftModes[mode];
+            if (!values || !Number.isFinite(parseFloat(values.mean)) || !Number.isFinite(parseFloat(values.spread))) return;
+            settings.driftModes[mode] = { mean: String(values.mean), spread: String(values.spread) };
+        });
+    }
+    return { name: preset.name.trim(), settings };
+}
+
+function buildPresetFile(presets) {
+    return { format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets };
+}
+
+function parsePresetFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a preset file');
+    }
+    if (!file || file.format !== PRESET_FILE_FORMAT || !Array.isArray(file.presets)) {
+        throw new Error('Not a preset file');
+    }
+    if (file.version > PRESET_FILE_VERSION) throw new Error(`Unsupported preset file version ${file.version}`);
+    const presets = file.presets.map(normalizePreset);
+    if (!presets.length || presets.includes(null)) throw new Error('Preset file has invalid presets');
+    return presets;
+}
+
+// --- url state ---
+// A shared link carries the preset fields plus these controls, the seed and both drift-mode memories.
+const URL_STATE_CONTROLS = {
+    ...PRESET_CONTROLS,
+    velocity: 'defaultVelocity',
+    velocityCurve: 'velocityCurve',
+    velocityToCutoff: 'velocityToCutoff',
+    velocityToVariance: 'velocityToVariance',
+    layout: 'layout'
+};
+const URL_STATE_UPDATE_DELAY_MS = 250;
+
+// State -> hash parameters, e.g. `waveType=sine&cutoff=20000&…&gaussian=0,0&uniform=5,20`.
+function encodeUrlState(state) {
+    const params = new URLSearchParams();
+    Object.keys(URL_STATE_CONTROLS).forEach((key) => {
+        if (typeof state[key] !== 'undefined') params.set(key, state[key]);
+    });
+    params.set('octaveShift', state.octaveShift);
+    params.set('driftMode', state.driftMode);
+    DRIFT_MODES.forEach((mode) => {
+        const values = state.driftModes[mode];
+        if (values) params.set(mode, `${values.mean},${values.spread}`);
+    });
+    if (state.seed) params.set('seed', state.seed);
+    return params.toString();
+}
+
+// Hash -> state with raw strings; numbers are range-checked against the page's controls when applied.
+function decodeUrlState(hash) {
+    const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+    const state = {};
+    Object.keys(URL_STATE_CONTROLS).forEach((key) => {
+        if (params.has(key)) state[key] = params.get(key);
+    });
+    const octaveShift = Number(params.get('octaveShift'));
+    if (params.has('octaveShift') && Number.isInteger(octaveShift)) {
+        state.octaveShift = clampOctaveShift(octaveShift);
+    }
+    if (DRIFT_MODES.includes(params.get('driftMode'))) state.driftMode = params.get('driftMode');
+    DRIFT_MODES.forEach((mode) => {
+        if (!params.has(mode)) return;
+        const [mean, spread] = params.get(mode).split(',');
+        if (typeof spread === 'undefined') return;
+        state.driftModes = state.driftModes || {};
+        state.driftModes[mode] = { mean, spread };
+    });
+    if (params.has('seed')) state.seed = params.get('seed');
+    return state;
+}
+
 // --- notes ---
+// Computer-keyboard keys from middle C; `freq` is each key's 12-TET pitch, played keys follow the tuning.
+const NOTES_FIRST_MIDI_NOTE = 60;
 const notes = [
     { note: "C4",  freq: 261.63, type: "white", keyUS: "a", keyDE: "a" },
     { note: "C#4", freq: 277.18, type: "black", keyUS: "w", keyDE: "w" },
@@ -54,6 +776,57 @@ const notes = [
     { note: "E5",  freq: 659.25, type: "white", keyUS: ";", keyDE: "ö" } 
 ];
 
+// --- keyboard layout ---
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_KEY_PITCH_CLASSES = [1, 3, 6, 8, 10];
+const KEYBOARD_STORAGE_KEY = 'uncertainKeys.keyboard';
+const DEFAULT_KEYBOARD_START = 60;
+const DEFAULT_KEYBOARD_OCTAVES = 2;
+const MIN_KEYBOARD_OCTAVES = 1;
+const MAX_KEYBOARD_OCTAVES = 7;
+const WHITE_KEY_WIDTH_PX = 50;
+
+function getNoteName(noteNumber) {
+    return `${NOTE_NAMES[((noteNumber % 12) + 12) % 12]}${Math.floor(noteNumber / 12) - 1}`;
+}
+
+function isBlackKey(noteNumber) {
+    return BLACK_KEY_PITCH_CLASSES.includes(noteNumber % 12);
+}
+
+// Keys from `startNote` up whole octaves (capped at note 127); a black start moves down to the white
+// key below. `whiteOffset` counts the white keys to the left, so a black key sits on the edge after them.
+function buildKeyboardLayout(startNote, octaves) {
+    const first = isBlackKey(startNote) ? startNote - 1 : startNote;
+    const last = Math.min(127, first + (octaves * 12));
+    const keys = [];
+    let whiteOffset = 0;
+    for (let noteNumber = first; noteNumber <= last; noteNumber++) {
+        const type = isBlackKey(noteNumber) ? 'black' : 'white';
+        keys.push({ noteNumber, name: getNoteName(noteNumber), type, whiteOffset });
+        if (type === 'white') whiteOffset++;
+    }
+    return keys;
+}
+
+// --- voice monitor ---
+const VOICE_MONITOR_INTERVAL_MS = 50;
+// The meter spans ± this many cents; larger deviations pin the needle to the edge.
+const VOICE_METER_RANGE_CENTS = 100;
+const VOICE_DIRECTION_WINDOW_SECONDS = 0.05;
+const DRIFT_DIRECTION_SYMBOLS = { 1: '↑', '-1': '↓', 0: '·' };
+
+function formatCents(cents) {
+    const rounded = Math.round(cents * 10) / 10;
+    return `${rounded < 0 ? '−' : '+'}${Math.abs(rounded).toFixed(1)}¢`;
+}
+
+// Needle position across the meter, 0-100%, with 50% at the nominal pitch.
+function getMeterPosition(cents) {
+    const clamped = Math.min(VOICE_METER_RANGE_CENTS, Math.max(-VOICE_METER_RANGE_CENTS, cents));
+    return 50 + ((clamped / VOICE_METER_RANGE_CENTS) * 50);
+}
+
 // --- synth ---
 class Synth {
     constructor() {
@@ -64,14 +837,43 @@ class Synth {
         this.masterOutputConnected = false;
         this.baseVoiceGain = 0.18;
         this.noteAttackTime = 0.02;
+        this.noteDecayTime = 0;
+        this.noteSustainLevel = 1;
+        this.noteReleaseTime = 0.15;
+        this.minReleaseTime = 0.005;
+        this.minFilterCutoff = 20;
         this.releaseFloorGain = 0.0001;
         this.minOscillatorFrequency = 1;
         this.nyquistHeadroom = 0.45;
+        this.seed = '';
+        this.random = defaultRandomSource;
+        // The latest bend and mod wheel set; changes scheduled ahead are kept in controlChanges.
+        this.pitchBendCents = 0;
+        this.modulationAmount = 0;
+        this.modulationTarget = 'vibrato';
+        this.controlChanges = { pitchBendCents: [], modulationAmount: [], modulationTarget: [] };
+        this.vibratoLfo = null;
+        this.vibratoGain = null;
+        this.driftTimer = null;
+        // Called with every note on/off ({ type, keyId, time, freq, settings }), e.g. to capture a take;
+        // a scheduled note dropped before it sounds is reported as `cancel`.
+        this.noteListener = null;
+    }
+
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        this.random = this.seed === '' ? defaultRandomSource : createSeededRandom(this.seed);
+    }
+
+    // Restart the seeded sequence so the same notes sample the same pitches again.
+    resetRandom() {
+        this.setSeed(this.seed);
     }
 
-    init() {
+    // `context` lets the same graph run in another context, e.g. an OfflineAudioContext for export.
+    init(context = null) {
         if (!this.audioCtx) {
-            this.audioCtx = new (window.AudioContext || window.webkitAudioContext)({ latencyHint: 'interactive' });
+            this.audioCtx = context || new (window.AudioContext || window.webkitAudioContext)({ latencyHint: 'interactive' });
         }
         if (!this.masterGain) {
             this.masterGain = this.audioCtx.createGain();
@@ -92,21 +894,44 @@ class Synth {
             this.masterGain.connect(this.audioCtx.destination);
             this.masterOutputConnected = true;
         }
-        if (this.audioCtx.state === 'suspended') {
+        // Offline contexts start suspended until rendering begins.
+        if (this.audioCtx.state === 'suspended' && typeof this.audioCtx.startRendering !== 'function') {
             this.audioCtx.resume();
         }
     }
 
-    playNote(freq, keyId, settings) {
+    // `options.when` schedules the note on the audio clock (e.g. MIDI file playback); default is now.
+    // `options.sample` ({ startFreq, driftRate, driftRates }) replays logged values instead of sampling;
+    // `options.source` labels the note for the note listener; `options.noteNumber` is the MIDI note played,
+    // before the octave shift, for labelling the voice.
+    playNote(freq, keyId, settings, options = {}) {
         if (!this.audioCtx) return;
         if (this.activeVoices[keyId]) return; // Monophonic per key
 
-        const { variance, waveType, cutoff, octaveShift, driftDirection, driftMode, driftMean, driftSpread } = settings;
+        const {
+            variance, varianceDistribution, varianceShape, waveType, cutoff, octaveShift,
+            driftDirection, driftMode, driftMean, driftSpread, driftShape, driftTime, seed,
+            velocity, velocityCurve, velocityToCutoff, velocityToVariance, voiceBend, expression
+        } = settings;
+        const sample = options.sample || null;
+        // Replayed notes carry their sampled values, so they leave the live random stream alone.
+        if (!sample && typeof seed !== 'undefined' && normalizeSeed(seed) !== this.seed) {
+            this.setSeed(seed);
+        }
+        const random = this.random;
         
         // Shift base frequency by octave: freq * 2^shift
         const baseFreq = freq * Math.pow(2, parseInt(octaveShift) || 0);
-        const finalFreq = getGaussianPitch(baseFreq, variance);
-        const now = this.audioCtx.currentTime;
+        const noteNumber = Number.isFinite(options.noteNumber) ? options.noteNumber + (12 * (parseInt(octaveShift) || 0)) : null;
+        let finalFreq;
+        if (sample && Number.isFinite(sample.startFreq)) {
+            finalFreq = sample.startFreq;
+        } else {
+            const varianceScale = getVelocityScale(velocity, velocityToVariance) * this.getVarianceModulation(this.getScheduleTime(options.when));
+            const scaledVariance = varianceScale === 1 ? variance : (parseFloat(variance) || 0) * varianceScale;
+            finalFreq = getDistributedPitch(baseFreq, varianceDistribution, scaledVariance, varianceShape, random);
+        }
+        const now = this.getScheduleTime(options.when);
 
         // 1. Oscillator (Source)
         const osc = this.audioCtx.createOscillator();
@@ -115,136 +940,457 @@ class Synth {
         // Pitch Drift Logic
         const useFirefoxSineSafeguard = this.shouldApplyFrequencySafeguard(waveType);
         const startFreq = useFirefoxSineSafeguard ? this.clampFrequency(finalFreq) : finalFreq;
-        osc.frequency.setValueAtTime(startFreq, now);
+        const bendCents = Number.isFinite(voiceBend) ? voiceBend : 0;
+        osc.frequency.setValueAtTime(this.getBentFrequency(startFreq, useFirefoxSineSafeguard, bendCents, now), now);
 
         const dMean = parseFloat(driftMean);
         const dSpread = parseFloat(driftSpread);
+        const modulators = [];
+        let drift = null;
+        // Every drift rate used by the voice (random walks add one per segment).
+        const driftRates = [];
+        let resampleDriftRate = null;
+        const hasDrift = sample ? Number.isFinite(sample.driftRate) : (dMean > 0 || dSpread > 0);
 
-        if (dMean > 0 || dSpread > 0) {
-            // Determine Direction (1 = Up, -1 = Down)
-            const dirProb = parseInt(driftDirection) / 100; // 0.0 to 1.0
-            const direction = Math.random() < dirProb ? 1 : -1;
-
-            // Determine Speed (Cents per second)
-            let speed;
-            if (driftMode === 'uniform') {
-                let min = dMean;
-                let max = dSpread;
-                if (max < min) {
-                    const tmp = min;
-                    min = max;
-                    max = tmp;
-                }
-                speed = min + (Math.random() * (max - min));
-            } else {
-                // Gaussian centered at dMean with stdDev dSpread
-                speed = dMean + (gaussianRandom() * dSpread);
-            }
-            
-            // Apply drift
-            const driftRate = direction * speed; // Cents per second
-            
-            // Use detune for long-duration drift (24 hours)
-            const duration = DRIFT_DURATION_SECONDS; 
+        if (hasDrift) {
+            // Later walk segments are drawn on a timer and at release, so they come from a stream of the
+            // voice's own, seeded once here: the shared stream then advances by the same amount per note
+            // however long notes are held.
+            const driftRate = sample ? sample.driftRate : sampleDriftRate(driftDirection, driftMode, dMean, dSpread, random);
+            const walkRandom = !sample && driftShape === 'walk' ? createSeededRandom(random()) : null;
+            const nextRate = sample
+                ? createDriftRateReplay(sample)
+                : () => sampleDriftRate(driftDirection, driftMode, dMean, dSpread, walkRandom || random);
+            driftRates.push(driftRate);
+            resampleDriftRate = () => {
+                const rate = nextRate();
+                driftRates.push(rate);
+                return rate;
+            };
             osc.detune.setValueAtTime(0, now);
-            this.scheduleDetuneRamp(osc.detune, now, startFreq, driftRate, duration, useFirefoxSineSafeguard);
+            drift = this.scheduleDrift(osc, now, startFreq, driftRate, {
+                shape: driftShape,
+                time: driftTime,
+                modulators,
+                resampleRate: resampleDriftRate
+            }, useFirefoxSineSafeguard);
         }
 
         // 2. Filter (Tone)
         const filter = this.audioCtx.createBiquadFilter();
         filter.type = "lowpass";
-        filter.frequency.setValueAtTime(cutoff, now);
+        const cutoffScale = Math.pow(2, -VELOCITY_CUTOFF_OCTAVES * (1 - getVelocityScale(velocity, velocityToCutoff)));
+        const expressionCutoffScale = expression ? expression.cutoffScale : 1;
+        filter.frequency.setValueAtTime(
+            this.scaleCutoff(cutoff, cutoffScale * expressionCutoffScale * this.getCutoffModulation(now)),
+            now
+        );
         filter.Q.value = 1; // Slight resonance for flavor
 
         // 3. Amplifier (Envelope)
         const gainNode = this.audioCtx.createGain();
 
-        // Envelope: Attack (no click) -> Sustain
+        // Envelope: Attack (no click) -> Decay -> Sustain. Release happens in stopNote.
+        const envelope = this.getEnvelope(settings);
+        const peakGain = this.baseVoiceGain * velocityToGain(velocity, velocityCurve);
+        const attackEnd = now + envelope.attack;
         gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(this.baseVoiceGain, now + this.noteAttackTime);
+        gainNode.gain.linearRampToValueAtTime(peakGain, attackEnd);
+        if (envelope.sustain < 1) {
+            gainNode.gain.linearRampToValueAtTime(peakGain * envelope.sustain, attackEnd + envelope.decay);
+        }
         
-        // Wiring: Osc -> Filter -> Gain -> Output
+        // Wiring: Osc -> Filter -> Gain -> (Expression) -> Output
         osc.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        let expressionGain = null;
+        if (expression) {
+            // Per-note expression (MPE pressure) gets its own gain so it never fights the envelope.
+            expressionGain = this.audioCtx.createGain();
+            expressionGain.gain.setValueAtTime(expression.gain, now);
+            gainNode.connect(expressionGain);
+            expressionGain.connect(this.masterGain);
+        } else {
+            gainNode.connect(this.masterGain);
+        }
         
-        osc.start();
+        if (this.vibratoGain) this.vibratoGain.connect(osc.detune);
+        
+        osc.start(now);
+        modulators.forEach(node => node.start(now));
 
-        this.activeVoices[keyId] = { osc, gainNode, filter };
+        this.activeVoices[keyId] = {
+            osc, gainNode, filter, modulators, drift, envelope, cutoff, cutoffScale,
+            expressionGain, expressionCutoffScale, bendCents, startTime: now, peakGain,
+            baseFreq, noteNumber, startFreq, driftRates, resampleDriftRate, useSafeguard: useFirefoxSineSafeguard
+        };
+        this.syncDriftTimer();
+        if (this.noteListener) {
+            this.noteListener({
+                type: 'on', keyId, time: now, freq, settings, source: options.source,
+                startFreq, driftRate: hasDrift ? driftRates[0] : null, driftRates
+            });
+        }
     }
 
-    stopNote(keyId) {
+    // `options.releaseTime` overrides the note's own release (e.g. for MIDI All Sound Off);
+    // `options.when` schedules the release on the audio clock.
+    stopNote(keyId, options = {}) {
         if (!this.activeVoices[keyId]) return;
 
-        const { osc, gainNode } = this.activeVoices[keyId];
+        const voice = this.activeVoices[keyId];
+        const { osc, gainNode, modulators, envelope } = voice;
         // Check if audioCtx is still available/valid
         if (!this.audioCtx) return;
         
-        const now = this.audioCtx.currentTime;
+        const now = this.getScheduleTime(options.when);
 
-        // Release envelope: Fade out over 0.15s
-        this.holdGainAutomation(gainNode.gain, now);
-        const releaseStart = Math.max(gainNode.gain.value, this.releaseFloorGain);
-        gainNode.gain.setValueAtTime(releaseStart, now);
-        gainNode.gain.exponentialRampToValueAtTime(this.releaseFloorGain, now + 0.15);
+        // Release envelope: Fade out over the note's release time (0.15s by default)
+        const noteRelease = envelope ? envelope.release : this.noteReleaseTime;
+        const releaseTime = Number.isFinite(options.releaseTime) ? Math.max(this.minReleaseTime, options.releaseTime) : noteRelease;
+        const scheduled = now > this.audioCtx.currentTime;
+        if (scheduled && typeof gainNode.gain.cancelAndHoldAtTime !== "function") {
+            // Without cancelAndHoldAtTime, release from the level the envelope will have reached.
+            gainNode.gain.cancelScheduledValues(now);
+            gainNode.gain.setValueAtTime(Math.max(this.getEnvelopeLevel(voice, now), this.releaseFloorGain), now);
+        } else {
+            // A scheduled release ramps from whatever level the held automation reaches by then.
+            this.holdGainAutomation(gainNode.gain, now);
+            if (!scheduled) {
+                const releaseStart = Math.max(gainNode.gain.value, this.releaseFloorGain);
+                gainNode.gain.setValueAtTime(releaseStart, now);
+            }
+        }
+        gainNode.gain.exponentialRampToValueAtTime(this.releaseFloorGain, now + releaseTime);
         
-        osc.stop(now + 0.16);
+        const stopTime = now + releaseTime + 0.01;
+        osc.stop(stopTime);
+        // The shared vibrato gain is connected to every voice's detune; drop this one once it has stopped.
+        const { vibratoGain } = this;
+        if (vibratoGain) osc.onended = () => vibratoGain.disconnect(osc.detune);
+        (modulators || []).forEach(node => node.stop(stopTime));
+        // The walk keeps going through the release tail.
+        this.extendVoiceDrift(voice, stopTime);
 
         delete this.activeVoices[keyId];
+        this.syncDriftTimer();
+        if (this.noteListener) {
+            this.noteListener({ type: 'off', keyId, time: now, endTime: stopTime, driftRates: this.getUsedDriftRates(voice, stopTime) });
+        }
     }
 
-    getFrequencyBounds() {
-        const sampleRate = (this.audioCtx && this.audioCtx.sampleRate) ? this.audioCtx.sampleRate : 44100;
-        const maxFreq = Math.max(this.minOscillatorFrequency, sampleRate * this.nyquistHeadroom);
-        return { min: this.minOscillatorFrequency, max: maxFreq };
+    // Drops a voice that is scheduled but has not started yet (e.g. a MIDI file note planned at an old
+    // tempo), so it never sounds. Returns whether the voice was dropped.
+    cancelNote(keyId) {
+        const voice = this.activeVoices[keyId];
+        if (!voice || !this.audioCtx || voice.startTime <= this.audioCtx.currentTime) return false;
+        const { osc, modulators, startTime } = voice;
+        // Stopping a source at its start time keeps it silent.
+        osc.stop(startTime);
+        (modulators || []).forEach(node => node.stop(startTime));
+        const { vibratoGain } = this;
+        if (vibratoGain) osc.onended = () => vibratoGain.disconnect(osc.detune);
+
+        delete this.activeVoices[keyId];
+        this.syncDriftTimer();
+        if (this.noteListener) this.noteListener({ type: 'cancel', keyId, time: startTime });
+        return true;
     }
 
-    clampFrequency(freq) {
-        if (!Number.isFinite(freq)) return this.minOscillatorFrequency;
-        const bounds = this.getFrequencyBounds();
-        return Math.min(bounds.max, Math.max(bounds.min, freq));
+    // Drift rates a voice has used by `time`; a random walk is planned a little ahead of the note.
+    getUsedDriftRates(voice, time) {
+        const rates = voice.driftRates || [];
+        if (!voice.drift || voice.drift.shape !== 'walk' || rates.length < 2) return rates;
+        const used = Math.floor((time - voice.drift.startTime) / voice.drift.step) + 1;
+        return rates.slice(0, Math.max(1, Math.min(rates.length, used)));
     }
 
-    shouldApplyFrequencySafeguard(waveType) {
-        return waveType === "sine";
+    // Schedules a voice's random walk on until the audio-clock `time`.
+    extendVoiceDrift(voice, time) {
+        const { drift, osc } = voice;
+        if (!drift || drift.shape !== 'walk') return;
+        extendRandomWalk(drift, time - drift.startTime, voice.resampleDriftRate)
+            .forEach(point => osc.detune.linearRampToValueAtTime(point.value, drift.startTime + point.time));
     }
 
-    holdGainAutomation(gainParam, now) {
-        if (typeof gainParam.cancelAndHoldAtTime === "function") {
-            gainParam.cancelAndHoldAtTime(now);
-            return;
+    // Runs the random-walk timer while a walking voice is held. Offline renders need no timer: every note's
+    // release is scheduled before rendering, and stopNote extends the walk to it.
+    syncDriftTimer() {
+        const walking = Object.values(this.activeVoices).some(voice => voice.drift && voice.drift.shape === 'walk');
+        if (walking && !this.driftTimer && typeof this.audioCtx.startRendering !== 'function') {
+            this.driftTimer = setInterval(() => {
+                const until = this.audioCtx.currentTime + RANDOM_WALK_LOOKAHEAD_SECONDS;
+                Object.values(this.activeVoices).forEach(voice => this.extendVoiceDrift(voice, until));
+            }, RANDOM_WALK_SCHEDULE_INTERVAL_MS);
+        } else if (!walking && this.driftTimer) {
+            clearInterval(this.driftTimer);
+            this.driftTimer = null;
         }
-        // Fallback for browsers without cancelAndHoldAtTime.
-        const currentValue = gainParam.value;
-        gainParam.cancelScheduledValues(now);
-        gainParam.setValueAtTime(currentValue, now);
     }
 
-    scheduleDetuneRamp(detuneParam, now, startFreq, driftRate, duration, useSafeguard) {
-        const targetDetune = driftRate * duration;
-        if (!useSafeguard) {
-            detuneParam.linearRampToValueAtTime(targetDetune, now + duration);
-            return;
+    // Attack/decay/sustain level of a voice at an audio-clock time, before any release.
+    getEnvelopeLevel(voice, time) {
+        const { envelope, peakGain, startTime } = voice;
+        if (!envelope || typeof peakGain !== 'number') return 0;
+        const elapsed = time - startTime;
+        if (elapsed <= 0) return 0;
+        if (elapsed < envelope.attack) return peakGain * (elapsed / envelope.attack);
+        const decayElapsed = elapsed - envelope.attack;
+        const sustainGain = peakGain * envelope.sustain;
+        if (decayElapsed < envelope.decay) {
+            return peakGain + ((sustainGain - peakGain) * (decayElapsed / envelope.decay));
         }
+        return sustainGain;
+    }
 
-        const safeStartFreq = this.clampFrequency(startFreq);
-        const bounds = this.getFrequencyBounds();
-        const minDetune = 1200 * Math.log2(bounds.min / safeStartFreq);
-        const maxDetune = 1200 * Math.log2(bounds.max / safeStartFreq);
-        if (!Number.isFinite(minDetune) || !Number.isFinite(maxDetune) || driftRate === 0) {
-            detuneParam.linearRampToValueAtTime(targetDetune, now + duration);
-            return;
-        }
+    getScheduleTime(when) {
+        const now = this.audioCtx.currentTime;
+        return Number.isFinite(when) ? Math.max(now, when) : now;
+    }
 
-        const withinBounds = targetDetune >= minDetune && targetDetune <= maxDetune;
-        if (withinBounds) {
-            detuneParam.linearRampToValueAtTime(targetDetune, now + duration);
+    scaleCutoff(cutoff, scale) {
+        const value = parseFloat(cutoff);
+        if (scale === 1 || !Number.isFinite(value)) return cutoff;
+        return Math.max(this.minFilterCutoff, value * scale);
+    }
+
+    // Applies a new cutoff to every sounding voice, keeping each voice's velocity scaling.
+    setCutoff(cutoff) {
+        if (!this.audioCtx) return;
+        const now = this.audioCtx.currentTime;
+        Object.values(this.activeVoices).forEach(voice => {
+            voice.cutoff = cutoff;
+            this.applyVoiceCutoff(voice, now);
+        });
+    }
+
+    applyVoiceCutoff(voice, now) {
+        if (!voice.filter) return;
+        const velocityScale = typeof voice.cutoffScale === 'number' ? voice.cutoffScale : 1;
+        const expressionScale = typeof voice.expressionCutoffScale === 'number' ? voice.expressionCutoffScale : 1;
+        const scale = velocityScale * expressionScale * this.getCutoffModulation(now);
+        voice.filter.frequency.setValueAtTime(this.scaleCutoff(voice.cutoff, scale), now);
+    }
+
+    // `voiceBendCents` is a per-note (MPE) bend added to the global pitch bend in force at `time`.
+    getBentFrequency(startFreq, useSafeguard, voiceBendCents = 0, time) {
+        const cents = this.getControlValue('pitchBendCents', time) + voiceBendCents;
+        if (cents === 0) return startFreq;
+        const freq = startFreq * Math.pow(2, cents / 1200);
+        return useSafeguard ? this.clampFrequency(freq) : freq;
+    }
+
+    applyVoiceBend(voice, now) {
+        if (typeof voice.startFreq !== 'number') return;
+        const freq = this.getBentFrequency(voice.startFreq, voice.useSafeguard, voice.bendCents || 0, now);
+        voice.osc.frequency.setTargetAtTime(freq, now, PITCH_BEND_SMOOTHING_SECONDS);
+    }
+
+    // Bends are applied to the oscillator frequency, not detune: detune's automation timeline belongs to the
+    // drift (ramps, time constants, walk segments), and retargeting it would cut into that schedule. The
+    // oscillator plays frequency × 2^(detune / 1200), so a bent frequency adds the bend's cents to the drift
+    // exactly as a separate detune offset would, and the sine safeguard can clamp the bent frequency directly.
+    // Controller setters take an optional `when` on the audio clock for scheduled (replayed) moves.
+    setPitchBend(cents, when) {
+        const value = Number.isFinite(cents) ? cents : 0;
+        if (!this.audioCtx) {
+            this.pitchBendCents = value;
             return;
         }
+        const now = this.getScheduleTime(when);
+        this.setControlValue('pitchBendCents', value, now);
+        Object.values(this.activeVoices).forEach(voice => this.applyVoiceBend(voice, now));
+    }
 
-        const detuneLimit = driftRate > 0 ? maxDetune : minDetune;
-        const timeToLimit = detuneLimit / driftRate;
-        if (timeToLimit <= 0) {
+    setVoicePitchBend(keyId, cents, when) {
+        const voice = this.activeVoices[keyId];
+        if (!voice || !this.audioCtx) return;
+        voice.bendCents = Number.isFinite(cents) ? cents : 0;
+        this.applyVoiceBend(voice, this.getScheduleTime(when));
+    }
+
+    // Updates a voice's per-note expression: `gain` needs an expression gain node from playNote.
+    setVoiceExpression(keyId, expression, when) {
+        const voice = this.activeVoices[keyId];
+        if (!voice || !this.audioCtx) return;
+        const now = this.getScheduleTime(when);
+        if (voice.expressionGain && Number.isFinite(expression.gain)) {
+            voice.expressionGain.gain.setTargetAtTime(expression.gain, now, PITCH_BEND_SMOOTHING_SECONDS);
+        }
+        if (Number.isFinite(expression.cutoffScale) && expression.cutoffScale !== voice.expressionCutoffScale) {
+            voice.expressionCutoffScale = expression.cutoffScale;
+            this.applyVoiceCutoff(voice, now);
+        }
+    }
+
+    // Sampled start offset plus the drift so far, in cents from the voice's nominal pitch.
+    getVoicePitchOffsetCents(keyId, time = this.audioCtx ? this.audioCtx.currentTime : 0) {
+        const voice = this.activeVoices[keyId];
+        if (!voice || typeof voice.startFreq !== 'number') return 0;
+        return (1200 * Math.log2(voice.startFreq / voice.baseFreq)) + getDriftOffsetCents(voice.drift, time);
+    }
+
+    // Every sounding voice against its nominal pitch: the sampled start offset, the drift so far and
+    // whether the drift is currently moving up (1), down (-1) or holding still (0).
+    getVoiceDeviations(time = this.audioCtx ? this.audioCtx.currentTime : 0) {
+        return Object.entries(this.activeVoices)
+            .filter(([, voice]) => typeof voice.startFreq === 'number')
+            .map(([keyId, voice]) => {
+                const driftCents = getDriftOffsetCents(voice.drift, time);
+                const earlierCents = getDriftOffsetCents(voice.drift, time - VOICE_DIRECTION_WINDOW_SECONDS);
+                const change = driftCents - earlierCents;
+                return {
+                    keyId,
+                    // Notes played without a note number (e.g. a replayed log) fall back to the nearest one.
+                    noteNumber: Number.isFinite(voice.noteNumber) ? voice.noteNumber : frequencyToMidiNote(voice.baseFreq),
+                    startCents: 1200 * Math.log2(voice.startFreq / voice.baseFreq),
+                    driftCents,
+                    direction: Math.abs(change) < 1e-6 ? 0 : Math.sign(change)
+                };
+            });
+    }
+
+    // A controller field as it stands at `time` (default: the latest value set). A note scheduled ahead of
+    // the clock starts with the bend and mod wheel due at its start, not with a change queued after it.
+    getControlValue(name, time) {
+        if (!Number.isFinite(time)) return this[name];
+        return this.controlChanges[name].reduce((value, change) => (change.time <= time ? change.value : value), this[name]);
+    }
+
+    // Records a controller change taking effect at `time`; changes already reached collapse into one.
+    setControlValue(name, value, time) {
+        const now = this.audioCtx.currentTime;
+        const current = { time: -Infinity, value: this.getControlValue(name, now) };
+        const pending = this.controlChanges[name].filter(change => change.time > now && change.time !== time);
+        this.controlChanges[name] = [current, ...pending, { time, value }].sort((a, b) => a.time - b.time);
+        this[name] = value;
+    }
+
+    getVarianceModulation(time) {
+        return this.getControlValue('modulationTarget', time) === 'variance'
+            ? 1 + this.getControlValue('modulationAmount', time)
+            : 1;
+    }
+
+    getCutoffModulation(time) {
+        return this.getControlValue('modulationTarget', time) === 'cutoff'
+            ? Math.pow(2, -MOD_WHEEL_CUTOFF_OCTAVES * this.getControlValue('modulationAmount', time))
+            : 1;
+    }
+
+    // Mod wheel amount (0-1) routed to vibrato depth, a filter close or extra pitch instability.
+    setModulation(amount, target = this.modulationTarget, when) {
+        const value = Number.isFinite(amount) ? Math.min(1, Math.max(0, amount)) : 0;
+        if (!this.audioCtx) {
+            this.modulationAmount = value;
+            this.modulationTarget = target;
+            return;
+        }
+        const now = this.getScheduleTime(when);
+        const previousCutoffModulation = this.getCutoffModulation(now);
+        this.setControlValue('modulationAmount', value, now);
+        this.setControlValue('modulationTarget', target, now);
+
+        const vibratoDepth = target === 'vibrato' ? value * VIBRATO_MAX_DEPTH_CENTS : 0;
+        if (vibratoDepth > 0) this.ensureVibrato();
+        if (this.vibratoGain) {
+            this.vibratoGain.gain.setTargetAtTime(vibratoDepth, now, PITCH_BEND_SMOOTHING_SECONDS);
+        }
+
+        if (this.getCutoffModulation(now) !== previousCutoffModulation) {
+            Object.values(this.activeVoices).forEach(voice => this.applyVoiceCutoff(voice, now));
+        }
+    }
+
+    // Applies a controller event from a performance log at `when`.
+    applyControl(control, when) {
+        if (control.type === 'pitchBend') {
+            this.setPitchBend(control.cents, when);
+        } else if (control.type === 'modWheel') {
+            this.setModulation(control.amount, control.target, when);
+        } else if (control.type === 'noteBend') {
+            this.setVoicePitchBend(control.keyId, control.cents, when);
+        } else if (control.type === 'noteExpression') {
+            this.setVoiceExpression(control.keyId, getMpeExpression(control.pressure, control.timbre, control.target), when);
+        }
+    }
+
+    // One shared vibrato LFO feeds every voice's detune; created on first use.
+    ensureVibrato() {
+        if (this.vibratoLfo || !this.audioCtx) return;
+        const now = this.audioCtx.currentTime;
+        this.vibratoLfo = this.audioCtx.createOscillator();
+        this.vibratoLfo.type = 'sine';
+        this.vibratoLfo.frequency.setValueAtTime(VIBRATO_RATE_HZ, now);
+        this.vibratoGain = this.audioCtx.createGain();
+        this.vibratoGain.gain.setValueAtTime(0, now);
+        this.vibratoLfo.connect(this.vibratoGain);
+        Object.values(this.activeVoices).forEach(voice => this.vibratoGain.connect(voice.osc.detune));
+        this.vibratoLfo.start(now);
+    }
+
+    // Envelope times arrive in milliseconds and sustain in percent; missing values keep the defaults.
+    getEnvelope(settings) {
+        const toSeconds = (value, fallback) => {
+            const ms = parseFloat(value);
+            return Number.isFinite(ms) && ms >= 0 ? ms / 1000 : fallback;
+        };
+        const sustainPercent = parseFloat(settings.sustain);
+        return {
+            attack: toSeconds(settings.attack, this.noteAttackTime),
+            decay: toSeconds(settings.decay, this.noteDecayTime),
+            sustain: Number.isFinite(sustainPercent) ? Math.min(1, Math.max(0, sustainPercent / 100)) : this.noteSustainLevel,
+            release: Math.max(this.minReleaseTime, toSeconds(settings.release, this.noteReleaseTime))
+        };
+    }
+
+    getFrequencyBounds() {
+        const sampleRate = (this.audioCtx && this.audioCtx.sampleRate) ? this.audioCtx.sampleRate : 44100;
+        const maxFreq = Math.max(this.minOscillatorFrequency, sampleRate * this.nyquistHeadroom);
+        return { min: this.minOscillatorFrequency, max: maxFreq };
+    }
+
+    clampFrequency(freq) {
+        if (!Number.isFinite(freq)) return this.minOscillatorFrequency;
+        const bounds = this.getFrequencyBounds();
+        return Math.min(bounds.max, Math.max(bounds.min, freq));
+    }
+
+    shouldApplyFrequencySafeguard(waveType) {
+        return waveType === "sine";
+    }
+
+    holdGainAutomation(gainParam, now) {
+        if (typeof gainParam.cancelAndHoldAtTime === "function") {
+            gainParam.cancelAndHoldAtTime(now);
+            return;
+        }
+        // Fallback for browsers without cancelAndHoldAtTime.
+        const currentValue = gainParam.value;
+        gainParam.cancelScheduledValues(now);
+        gainParam.setValueAtTime(currentValue, now);
+    }
+
+    scheduleDetuneRamp(detuneParam, now, startFreq, driftRate, duration, useSafeguard) {
+        const targetDetune = driftRate * duration;
+        const bounds = this.getDetuneBounds(startFreq, useSafeguard);
+        if (!bounds || driftRate === 0) {
+            detuneParam.linearRampToValueAtTime(targetDetune, now + duration);
+            return;
+        }
+
+        const minDetune = bounds.min;
+        const maxDetune = bounds.max;
+
+        const withinBounds = targetDetune >= minDetune && targetDetune <= maxDetune;
+        if (withinBounds) {
+            detuneParam.linearRampToValueAtTime(targetDetune, now + duration);
+            return;
+        }
+
+        const detuneLimit = driftRate > 0 ? maxDetune : minDetune;
+        const timeToLimit = detuneLimit / driftRate;
+        if (timeToLimit <= 0) {
             detuneParam.setValueAtTime(detuneLimit, now);
             detuneParam.setValueAtTime(detuneLimit, now + duration);
             return;
@@ -259,38 +1405,1178 @@ class Synth {
         detuneParam.setValueAtTime(detuneLimit, now + duration);
     }
 
+    // Detune range (cents) that keeps a safeguarded oscillator inside the frequency bounds.
+    getDetuneBounds(startFreq, useSafeguard) {
+        if (!useSafeguard) return null;
+        const safeStartFreq = this.clampFrequency(startFreq);
+        const bounds = this.getFrequencyBounds();
+        const min = 1200 * Math.log2(bounds.min / safeStartFreq);
+        const max = 1200 * Math.log2(bounds.max / safeStartFreq);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+        return { min, max };
+    }
+
+    // Schedules the selected drift shape on the oscillator and returns its plan.
+    scheduleDrift(osc, now, startFreq, driftRate, options, useSafeguard) {
+        const plan = {
+            ...planDrift(driftRate, {
+                shape: options.shape,
+                time: options.time,
+                resampleRate: options.resampleRate,
+                bounds: this.getDetuneBounds(startFreq, useSafeguard)
+            }),
+            startTime: now
+        };
+        const detune = osc.detune;
+
+        if (plan.shape === 'exponential') {
+            detune.setTargetAtTime(plan.target, now, plan.timeConstant);
+        } else if (plan.shape === 'sine') {
+            const lfo = this.audioCtx.createOscillator();
+            lfo.type = 'sine';
+            lfo.frequency.setValueAtTime(1 / plan.period, now);
+            const lfoGain = this.audioCtx.createGain();
+            lfoGain.gain.setValueAtTime(plan.depth, now);
+            lfo.connect(lfoGain);
+            lfoGain.connect(detune);
+            options.modulators.push(lfo);
+        } else if (plan.points) {
+            plan.points.slice(1).forEach(point => detune.linearRampToValueAtTime(point.value, now + point.time));
+        } else {
+            this.scheduleDetuneRamp(detune, now, startFreq, driftRate, plan.duration, useSafeguard);
+        }
+        return plan;
+    }
+
 }
 
-// --- main ---
+// --- midi file ---
+// Standard MIDI File (format 0/1) reader. Returns the notes with start/end times in seconds
+// (tempo map applied) plus a track and channel summary for muting.
+function parseMidiFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+    const ensure = (count) => {
+        if (pos + count > bytes.length) throw new Error('MIDI file is truncated');
+    };
+    const readUint = (count) => {
+        ensure(count);
+        let value = 0;
+        for (let i = 0; i < count; i++) value = (value * 256) + bytes[pos++];
+        return value;
+    };
+    const readString = (count) => {
+        ensure(count);
+        const text = String.fromCharCode(...bytes.subarray(pos, pos + count));
+        pos += count;
+        return text;
+    };
+    const readVarLength = () => {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            ensure(1);
+            const byte = bytes[pos++];
+            value = (value * 128) + (byte & 0x7F);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error('Invalid variable-length value in MIDI file');
+    };
+
+    if (bytes.length < 14 || readString(4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+    const headerLength = readUint(4);
+    const format = readUint(2);
+    const trackCount = readUint(2);
+    const division = readUint(2);
+    pos = 8 + headerLength;
+    if (format > 1) throw new Error(`MIDI file format ${format} is not supported`);
+
+    const tempoChanges = [];
+    const tracks = [];
+    const rawNotes = [];
+
+    for (let trackIndex = 0; trackIndex < trackCount && pos < bytes.length; trackIndex++) {
+        if (readString(4) !== 'MTrk') throw new Error('Missing MIDI track chunk');
+        const trackEnd = readUint(4) + pos;
+        const track = { index: trackIndex, name: '', noteCount: 0 };
+        const openNotes = new Map();
+        let tick = 0;
+        let runningStatus = 0;
+
+        while (pos < trackEnd) {
+            tick += readVarLength();
+            ensure(1);
+            let status = bytes[pos];
+            if (status & 0x80) {
+                pos++;
+            } else if (runningStatus) {
+                status = runningStatus;
+            } else {
+                throw new Error('MIDI data byte without a status byte');
+            }
+
+            if (status === 0xFF) {
+                runningStatus = 0;
+                const type = readUint(1);
+                const length = readVarLength();
+                ensure(length);
+                if (type === 0x51 && length === 3) {
+                    tempoChanges.push({ tick, microsecondsPerQuarter: readUint(3) });
+                } else if (type === 0x03 && !track.name) {
+                    track.name = readString(length);
+                } else {
+                    pos += length;
+                }
+                if (type === 0x2F) break;
+                continue;
+            }
+            if (status === 0xF0 || status === 0xF7) {
+                runningStatus = 0;
+                pos += readVarLength();
+                continue;
+            }
+
+            runningStatus = status;
+            const messageType = status & 0xF0;
+            const channel = status & 0x0F;
+            const data1 = readUint(1);
+            const data2 = messageType === 0xC0 || messageType === 0xD0 ? 0 : readUint(1);
+            if (messageType !== 0x80 && messageType !== 0x90) continue;
+
+            const key = `${channel}:${data1}`;
+            if (messageType === 0x90 && data2 > 0) {
+                const note = { startTick: tick, endTick: null, note: data1, velocity: data2, channel, track: trackIndex };
+                if (!openNotes.has(key)) openNotes.set(key, []);
+                openNotes.get(key).push(note);
+                rawNotes.push(note);
+                track.noteCount++;
+            } else if (openNotes.has(key) && openNotes.get(key).length) {
+                // Overlapping notes of the same pitch are closed first-in, first-out.
+                openNotes.get(key).shift().endTick = tick;
+            }
+        }
+        // Notes still held at the end of the track end there.
+        openNotes.forEach(list => list.forEach((note) => {
+            note.endTick = tick;
+        }));
+        pos = trackEnd;
+        tracks.push(track);
+    }
+
+    const ticksToSeconds = createMidiTickConverter(division, tempoChanges);
+    const notes = rawNotes
+        .map(note => ({
+            start: ticksToSeconds(note.startTick),
+            end: ticksToSeconds(note.endTick),
+            note: note.note,
+            velocity: note.velocity,
+            channel: note.channel,
+            track: note.track
+        }))
+        .sort((a, b) => a.start - b.start);
+    const channels = Array.from(new Set(notes.map(note => note.channel))).sort((a, b) => a - b);
+    const duration = notes.reduce((max, note) => Math.max(max, note.end), 0);
+    return { format, division, duration, tracks, channels, notes };
+}
+
+// Ticks to seconds: metrical divisions follow the tempo map (default 120 BPM); SMPTE divisions are fixed.
+function createMidiTickConverter(division, tempoChanges) {
+    if (division & 0x8000) {
+        const framesPerSecond = 256 - (division >> 8);
+        const ticksPerFrame = division & 0xFF;
+        return tick => tick / (framesPerSecond * ticksPerFrame);
+    }
+    const ticksPerQuarter = division || 480;
+    const segments = [{ tick: 0, seconds: 0, microsecondsPerQuarter: 500000 }];
+    tempoChanges
+        .slice()
+        .sort((a, b) => a.tick - b.tick)
+        .forEach((change) => {
+            const last = segments[segments.length - 1];
+            const seconds = last.seconds + ((change.tick - last.tick) * last.microsecondsPerQuarter / ticksPerQuarter / 1e6);
+            if (change.tick === last.tick) segments.pop();
+            segments.push({ tick: change.tick, seconds, microsecondsPerQuarter: change.microsecondsPerQuarter });
+        });
+    return (tick) => {
+        let segment = segments[0];
+        for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) segment = segments[i];
+        return segment.seconds + ((tick - segment.tick) * segment.microsecondsPerQuarter / ticksPerQuarter / 1e6);
+    };
+}
+
+// Lookahead scheduling: a timer wakes every MIDI_FILE_SCHEDULE_INTERVAL_MS and hands the notes
+// due within MIDI_FILE_LOOKAHEAD_SECONDS to the synth with exact audio-clock times.
+const MIDI_FILE_SCHEDULE_INTERVAL_MS = 25;
+const MIDI_FILE_LOOKAHEAD_SECONDS = 0.1;
+const MIDI_FILE_START_DELAY_SECONDS = 0.05;
+const MIN_MIDI_FILE_TEMPO_SCALE = 0.25;
+const MAX_MIDI_FILE_TEMPO_SCALE = 2;
+
+class MidiFilePlayer {
+    constructor(synth, options = {}) {
+        this.synth = synth;
+        this.getSettings = options.getSettings || (() => ({}));
+        // MIDI note number -> frequency in the current tuning; null leaves the note out.
+        this.noteToFrequency = options.noteToFrequency || midiNoteToFrequency;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.onPositionChange = options.onPositionChange || (() => {});
+        // Called as each note is scheduled or let go, with its voice id and audio-clock time.
+        this.onNoteOn = options.onNoteOn || (() => {});
+        this.onNoteOff = options.onNoteOff || (() => {});
+        this.song = null;
+        this.events = [];
+        this.state = 'stopped';
+        this.position = 0;
+        this.tempoScale = 1;
+        this.mutedTracks = new Set();
+        this.mutedChannels = new Set();
+        this.anchorAudioTime = 0;
+        this.anchorPosition = 0;
+        this.eventIndex = 0;
+        this.timer = null;
+        this.voices = new Map();
+    }
+
+    load(song) {
+        this.stop();
+        this.song = song;
+        // Note offs sort before note ons at the same time so repeated notes retrigger cleanly;
+        // a zero-length note still starts before it stops. Controller moves (from a performance log)
+        // reach the notes starting with them, and per-note ones follow the note they belong to.
+        const order = (event) => {
+            if (event.type === 'control') return typeof event.control.keyId === 'undefined' ? 1 : 3;
+            return event.type === 'off' ? 0 : 2;
+        };
+        this.events = song.notes
+            .flatMap(note => [{ time: note.start, type: 'on', note }, { time: note.end, type: 'off', note }])
+            .concat((song.controls || []).map(control => ({ time: control.time, type: 'control', control })))
+            .sort((a, b) => (a.time - b.time) || (a.note && a.note === b.note ? order(b) - order(a) : order(a) - order(b)));
+        this.mutedTracks.clear();
+        this.mutedChannels.clear();
+        this.onStateChange(this.state);
+    }
+
+    getDuration() {
+        return this.song ? this.song.duration : 0;
+    }
+
+    // Song position in seconds (at the file's own tempo).
+    getPosition() {
+        if (this.state !== 'playing' || !this.synth.audioCtx) return this.position;
+        const elapsed = (this.synth.audioCtx.currentTime - this.anchorAudioTime) * this.tempoScale;
+        return Math.min(this.getDuration(), Math.max(0, this.anchorPosition + elapsed));
+    }
+
+    play() {
+        if (!this.song || this.state === 'playing') return;
+        this.synth.init();
+        if (this.position >= this.getDuration()) this.position = 0;
+        this.state = 'playing';
+        this.startFrom(this.position);
+        this.onStateChange(this.state);
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.position = this.getPosition();
+        this.halt();
+        this.state = 'paused';
+        this.onStateChange(this.state);
+    }
+
+    stop() {
+        this.halt();
+        this.position = 0;
+        this.state = 'stopped';
+        this.onStateChange(this.state);
+    }
+
+    seek(position) {
+        const target = Math.min(this.getDuration(), Math.max(0, parseFloat(position) || 0));
+        if (this.state === 'playing') {
+            this.halt();
+            this.startFrom(target);
+        } else {
+            this.position = target;
+        }
+        this.onPositionChange(target);
+    }
+
+    // Re-anchors the clock so the new tempo takes over from the current position. Notes queued in the
+    // lookahead window were timed at the old tempo: those not yet sounding are dropped and planned again.
+    // Releases already queued keep their time, which is at most the lookahead away.
+    setTempoScale(scale) {
+        const value = parseFloat(scale);
+        const next = Math.min(MAX_MIDI_FILE_TEMPO_SCALE, Math.max(MIN_MIDI_FILE_TEMPO_SCALE, Number.isFinite(value) ? value : 1));
+        if (this.state !== 'playing') {
+            this.tempoScale = next;
+            return;
+        }
+        const position = this.getPosition();
+        this.anchorPosition = position;
+        this.anchorAudioTime = this.synth.audioCtx.currentTime;
+        this.tempoScale = next;
+        this.voices.forEach((note, voiceId) => this.cancelVoice(voiceId));
+        this.eventIndex = this.events.findIndex(event => event.time >= position);
+        if (this.eventIndex === -1) this.eventIndex = this.events.length;
+        this.schedule();
+    }
+
+    setTrackMuted(track, muted) {
+        this.setMuted(this.mutedTracks, track, muted, note => note.track === track);
+    }
+
+    setChannelMuted(channel, muted) {
+        this.setMuted(this.mutedChannels, channel, muted, note => note.channel === channel);
+    }
+
+    setMuted(set, value, muted, matches) {
+        if (muted) {
+            set.add(value);
+            this.releaseVoices(matches);
+        } else {
+            set.delete(value);
+        }
+    }
+
+    isNoteMuted(note) {
+        return this.mutedTracks.has(note.track) || this.mutedChannels.has(note.channel);
+    }
+
+    startFrom(position) {
+        this.anchorPosition = position;
+        this.anchorAudioTime = this.synth.audioCtx.currentTime + MIDI_FILE_START_DELAY_SECONDS;
+        this.eventIndex = this.events.findIndex(event => event.time >= position);
+        if (this.eventIndex === -1) this.eventIndex = this.events.length;
+        // Notes that span the start position (after a seek or pause) sound from there, with the
+        // controllers as they stood at that point.
+        const earlierControls = this.events.filter(event => event.type === 'control' && event.time < position);
+        const applyControls = perNote => earlierControls
+            .filter(event => (typeof event.control.keyId !== 'undefined') === perNote)
+            .forEach(event => this.synth.applyControl(event.control, this.anchorAudioTime));
+        applyControls(false);
+        this.song.notes
+            .filter(note => note.start < position && note.end > position)
+            .forEach(note => this.noteOn(note, this.anchorAudioTime));
+        applyControls(true);
+        this.timer = setInterval(() => this.schedule(), MIDI_FILE_SCHEDULE_INTERVAL_MS);
+        this.schedule();
+    }
+
+    toAudioTime(position) {
+        return this.anchorAudioTime + ((position - this.anchorPosition) / this.tempoScale);
+    }
+
+    schedule() {
+        const now = this.synth.audioCtx.currentTime;
+        const horizon = now + MIDI_FILE_LOOKAHEAD_SECONDS;
+        while (this.eventIndex < this.events.length) {
+            const event = this.events[this.eventIndex];
+            const when = this.toAudioTime(event.time);
+            if (when > horizon) break;
+            this.eventIndex++;
+            if (event.type === 'on') {
+                this.noteOn(event.note, when);
+            } else if (event.type === 'off') {
+                this.noteOff(event.note, when);
+            } else {
+                this.synth.applyControl(event.control, when);
+            }
+        }
+        if (this.eventIndex >= this.events.length && now >= this.toAudioTime(this.getDuration())) {
+            this.stop();
+            return;
+        }
+        this.onPositionChange(this.getPosition());
+    }
+
+    // Performance-log notes carry their own voice id, frequency, settings and sampled pitch.
+    getVoiceId(note) {
+        return note.keyId || `file:${note.track}:${note.channel}:${note.note}`;
+    }
+
+    getNoteFrequency(note) {
+        return Number.isFinite(note.freq) ? note.freq : this.noteToFrequency(note.note);
+    }
+
+    getNoteSettings(note, settings) {
+        return note.settings ? { ...note.settings } : { ...settings, velocity: note.velocity };
+    }
+
+    noteOn(note, when) {
+        if (this.isNoteMuted(note)) return;
+        const freq = this.getNoteFrequency(note);
+        if (!Number.isFinite(freq)) return;
+        const voiceId = this.getVoiceId(note);
+        // Re-planning after a tempo change passes notes that are still sounding.
+        if (this.voices.get(voiceId) === note) return;
+        if (this.voices.has(voiceId)) this.stopVoice(voiceId, when);
+        this.synth.playNote(freq, voiceId, this.getNoteSettings(note, this.getSettings()), {
+            when,
+            source: note.source || 'file',
+            sample: note.sample,
+            noteNumber: note.note
+        });
+        if (!this.synth.activeVoices[voiceId]) return;
+        this.voices.set(voiceId, note);
+        this.onNoteOn(voiceId, note, when);
+    }
+
+    noteOff(note, when) {
+        const voiceId = this.getVoiceId(note);
+        // A later note of the same pitch may have taken over the voice.
+        if (this.voices.get(voiceId) !== note) return;
+        this.stopVoice(voiceId, when);
+    }
+
+    stopVoice(voiceId, when) {
+        this.synth.stopNote(voiceId, { when });
+        this.voices.delete(voiceId);
+        this.onNoteOff(voiceId, when);
+    }
+
+    // Drops a voice that has not started yet; returns false for one already sounding.
+    cancelVoice(voiceId) {
+        const start = this.synth.activeVoices[voiceId] ? this.synth.activeVoices[voiceId].startTime : null;
+        if (!this.synth.cancelNote(voiceId)) return false;
+        this.voices.delete(voiceId);
+        this.onNoteOff(voiceId, start);
+        return true;
+    }
+
+    releaseVoices(matches = () => true) {
+        this.voices.forEach((note, voiceId) => {
+            if (!matches(note)) return;
+            if (!this.cancelVoice(voiceId)) this.stopVoice(voiceId);
+        });
+    }
+
+    // The file as a flat note-event list at the current tempo and mutes (e.g. for offline rendering).
+    // Like live playback, a repeated note takes over its voice and the earlier note's off is dropped.
+    getRenderEvents() {
+        const settings = this.getSettings();
+        const owners = new Map();
+        const events = [];
+        this.events.forEach((event) => {
+            if (event.type === 'control') {
+                events.push({ ...event.control, time: event.time / this.tempoScale });
+                return;
+            }
+            const { note } = event;
+            if (this.isNoteMuted(note)) return;
+            const keyId = this.getVoiceId(note);
+            const time = event.time / this.tempoScale;
+            if (event.type === 'on') {
+                const freq = this.getNoteFrequency(note);
+                if (!Number.isFinite(freq)) return;
+                owners.set(keyId, note);
+                events.push({
+                    time, type: 'on', keyId, freq,
+                    settings: this.getNoteSettings(note, settings), sample: note.sample
+                });
+            } else if (owners.get(keyId) === note) {
+                owners.delete(keyId);
+                events.push({ time, type: 'off', keyId });
+            }
+        });
+        return events;
+    }
+
+    halt() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.releaseVoices();
+    }
+}
+
+// --- performance log ---
+const PERFORMANCE_LOG_FORMAT = 'uncertain-keys-performance';
+const PERFORMANCE_LOG_VERSION = 2; // 2 adds controller events
+
+// Parses exported performance-log JSON, checking every event can be replayed.
+function parsePerformanceLog(text) {
+    let log;
+    try {
+        log = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a performance log');
+    }
+    if (!log || log.format !== PERFORMANCE_LOG_FORMAT || !Array.isArray(log.events)) {
+        throw new Error('Not a performance log');
+    }
+    if (log.version > PERFORMANCE_LOG_VERSION) throw new Error(`Unsupported performance log version ${log.version}`);
+    const hasKey = event => typeof event.keyId !== 'undefined';
+    const isControllerValue = value => value === null || Number.isFinite(value);
+    const validators = {
+        on: event => hasKey(event) && Number.isFinite(event.freq) && event.settings && event.sample && Number.isFinite(event.sample.startFreq),
+        off: hasKey,
+        pitchBend: event => Number.isFinite(event.cents),
+        modWheel: event => Number.isFinite(event.amount) && typeof event.target === 'string',
+        noteBend: event => hasKey(event) && Number.isFinite(event.cents),
+        noteExpression: event => hasKey(event) && isControllerValue(event.pressure) && isControllerValue(event.timbre)
+    };
+    const isValidEvent = event => event && Number.isFinite(event.time) &&
+        Object.prototype.hasOwnProperty.call(validators, event.type) && Boolean(validators[event.type](event));
+    if (!log.events.every(isValidEvent)) throw new Error('Performance log has invalid events');
+    return log;
+}
+
+// Pairs a log's note ons and offs into MidiFilePlayer notes that replay the logged pitches and settings;
+// controller events become the song's `controls`. Voice ids get a `replay:` prefix so a replay never
+// takes over a key being played live.
+function performanceLogToSong(log) {
+    const notes = [];
+    const controls = [];
+    const held = new Map();
+    log.events.forEach((event) => {
+        const keyId = `replay:${event.keyId}`;
+        if (event.type !== 'on' && event.type !== 'off') {
+            controls.push(typeof event.keyId === 'undefined' ? { ...event } : { ...event, keyId });
+        } else if (event.type === 'on') {
+            if (held.has(keyId)) held.get(keyId).end = event.time;
+            const note = {
+                start: event.time, end: null, keyId, freq: event.freq, settings: event.settings,
+                sample: event.sample, source: event.source, velocity: event.settings.velocity, track: 0, channel: 0
+            };
+            held.set(keyId, note);
+            notes.push(note);
+        } else if (held.has(keyId)) {
+            held.get(keyId).end = event.time;
+            held.delete(keyId);
+        }
+    });
+    const duration = notes.reduce((max, note) => Math.max(max, note.end || note.start), Number(log.duration) || 0);
+    held.forEach((note) => { note.end = duration; });
+    return {
+        format: null,
+        division: null,
+        duration,
+        tracks: [{ index: 0, name: '', noteCount: notes.length }],
+        channels: [],
+        notes,
+        controls
+    };
+}
+
+// --- midi file export ---
+const MIDI_EXPORT_DIVISION = 480;
+const MIDI_EXPORT_TEMPO_MICROSECONDS = 500000; // 120 BPM, so ticks map to seconds directly
+const MIDI_EXPORT_BEND_INTERVAL_SECONDS = MIDI_OUTPUT_BEND_INTERVAL_MS / 1000;
+
+function encodeVariableLength(value) {
+    const bytes = [value & 0x7F];
+    let rest = Math.floor(value / 128);
+    while (rest > 0) {
+        bytes.unshift((rest & 0x7F) | 0x80);
+        rest = Math.floor(rest / 128);
+    }
+    return bytes;
+}
+
+function buildMidiChunk(type, data) {
+    const length = data.length;
+    return [
+        ...Array.from(type, char => char.charCodeAt(0)),
+        (length >>> 24) & 0xFF, (length >>> 16) & 0xFF, (length >>> 8) & 0xFF, length & 0xFF,
+        ...data
+    ];
+}
+
+// Writes a performance log as a format-0 Standard MIDI File laid out for MPE: each note gets a member
+// channel of its own (rotating through channels 2-16 with a ±48-semitone bend range), and the offset of
+// its sampled pitch from the nearest key, its logged drift and the logged pitch bends become that
+// channel's pitch bend, updated every 20 ms while the note is held. Logged pressure and timbre go to the
+// note's channel, the mod wheel to the master channel. Per-note pitch from MIDI 2.0 has no place in an SMF.
+function performanceLogToMidiFile(log) {
+    const ticksPerSecond = MIDI_EXPORT_DIVISION * 1000000 / MIDI_EXPORT_TEMPO_MICROSECONDS;
+    // Same-tick order: note offs, then bends and the mod wheel, then note ons, so a reused channel is bent
+    // before its next note, then per-note expression.
+    const events = [];
+    const addEvent = (seconds, order, bytes) => {
+        events.push({ tick: Math.round(seconds * ticksPerSecond), order, bytes });
+    };
+    const addRpn = (channel, parameter, value) => {
+        const status = 0xB0 | channel;
+        [[101, 0], [100, parameter], [6, value], [38, 0], [101, 127], [100, 127]]
+            .forEach(([controller, data]) => addEvent(0, -1, [status, controller, data]));
+    };
+
+    addRpn(0, 6, MPE_MEMBER_CHANNELS);
+    for (let channel = 1; channel <= MPE_MEMBER_CHANNELS; channel++) {
+        addRpn(channel, 0, MPE_PITCH_BEND_RANGE_SEMITONES);
+    }
+
+    const { notes, controls } = performanceLogToSong(log);
+    // The latest logged bend at `time`, or `fallback` before the first one.
+    const bendAt = (bends, time, fallback) => bends.reduce((cents, bend) => (bend.time <= time ? bend.cents : cents), fallback);
+    const globalBends = controls.filter(control => control.type === 'pitchBend');
+    controls
+        .filter(control => control.type === 'modWheel')
+        .forEach(control => addEvent(control.time, 1, [0xB0, 1, Math.round(control.amount * 127)]));
+
+    const channelEnds = new Array(MPE_MEMBER_CHANNELS).fill(-Infinity);
+    let nextSlot = 0;
+    notes.forEach((note) => {
+        // Skip channels whose note is still held; with all of them busy the next one is shared.
+        let slot = nextSlot;
+        for (let i = 0; i < MPE_MEMBER_CHANNELS; i++) {
+            const candidate = (nextSlot + i) % MPE_MEMBER_CHANNELS;
+            if (channelEnds[candidate] <= note.start) {
+                slot = candidate;
+                break;
+            }
+        }
+        nextSlot = (slot + 1) % MPE_MEMBER_CHANNELS;
+        channelEnds[slot] = note.end;
+        const channel = slot + 1;
+
+        const { settings, sample } = note;
+        const keyFreq = note.freq * Math.pow(2, parseInt(settings.octaveShift) || 0);
+        const noteNumber = Math.min(127, Math.max(0, frequencyToMidiNote(keyFreq)));
+        const offsetCents = 1200 * Math.log2(sample.startFreq / midiNoteToFrequency(noteNumber));
+        const drift = Number.isFinite(sample.driftRate)
+            ? {
+                ...planDrift(sample.driftRate, {
+                    shape: settings.driftShape,
+                    time: settings.driftTime,
+                    duration: note.end - note.start,
+                    resampleRate: createDriftRateReplay(sample)
+                }),
+                startTime: 0
+            }
+            : null;
+        const noteControls = controls.filter(control => control.keyId === note.keyId && control.time >= note.start && control.time < note.end);
+        const noteBends = noteControls.filter(control => control.type === 'noteBend');
+        const initialNoteBend = Number.isFinite(settings.voiceBend) ? settings.voiceBend : 0;
+        const channelBendAt = (elapsed) => {
+            const time = note.start + elapsed;
+            const cents = offsetCents + getDriftOffsetCents(drift, elapsed) +
+                bendAt(globalBends, time, 0) + bendAt(noteBends, time, initialNoteBend);
+            return centsToPitchBend(cents, MPE_PITCH_BEND_RANGE_SEMITONES);
+        };
+        const addBend = (seconds, value) => addEvent(seconds, 1, [0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F]);
+        const velocity = Math.min(127, Math.max(1, Math.round(parseFloat(settings.velocity)) || 127));
 
+        let bend = channelBendAt(0);
+        addBend(note.start, bend);
+        addEvent(note.start, 2, [0x90 | channel, noteNumber, velocity]);
+        for (let elapsed = MIDI_EXPORT_BEND_INTERVAL_SECONDS; note.start + elapsed < note.end; elapsed += MIDI_EXPORT_BEND_INTERVAL_SECONDS) {
+            const value = channelBendAt(elapsed);
+            if (value === bend) continue;
+            bend = value;
+            addBend(note.start + elapsed, value);
+        }
+        noteControls
+            .filter(control => control.type === 'noteExpression')
+            .forEach((control) => {
+                // Same-tick expression follows the note on it shapes.
+                if (control.pressure !== null) addEvent(control.time, 3, [0xD0 | channel, control.pressure]);
+                if (control.timbre !== null) addEvent(control.time, 3, [0xB0 | channel, 74, control.timbre]);
+            });
+        addEvent(note.end, 0, [0x80 | channel, noteNumber, 0]);
+    });
+
+    events.sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+    const name = Array.from('Uncertain Keys performance', char => char.charCodeAt(0));
+    const tempo = MIDI_EXPORT_TEMPO_MICROSECONDS;
+    const track = [
+        0, 0xFF, 0x03, name.length, ...name,
+        0, 0xFF, 0x51, 3, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF
+    ];
+    let lastTick = 0;
+    events.forEach((event) => {
+        track.push(...encodeVariableLength(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    });
+    track.push(0, 0xFF, 0x2F, 0);
+
+    return new Uint8Array([
+        ...buildMidiChunk('MThd', [0, 0, 0, 1, (MIDI_EXPORT_DIVISION >> 8) & 0xFF, MIDI_EXPORT_DIVISION & 0xFF]),
+        ...buildMidiChunk('MTrk', track)
+    ]);
+}
+
+// --- offline render ---
+const OFFLINE_RENDER_TAIL_SECONDS = 0.5;
+
+// Runs a note-event list ({ time, type, keyId, freq, settings, sample? }, times in seconds from 0, plus any
+// performance-log controller events) through a fresh Synth in an OfflineAudioContext: faster than real
+// time and sample-accurate. Notes still held at `options.duration` (or the last event) are released
+// there. Resolves with the AudioBuffer.
+function renderNoteEventsOffline(events, options = {}) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) return Promise.reject(new Error('Offline rendering is not supported in this browser'));
+
+    const sampleRate = options.sampleRate || 44100;
+    const offlineSynth = new Synth();
+    const end = events.reduce((max, event) => Math.max(max, event.time), options.duration || 0);
+    const longestRelease = events.reduce((max, event) => (
+        event.type === 'on' ? Math.max(max, offlineSynth.getEnvelope(event.settings).release) : max
+    ), 0);
+    const length = Math.max(1, Math.ceil((end + longestRelease + OFFLINE_RENDER_TAIL_SECONDS) * sampleRate));
+    const context = new OfflineContext(options.channelCount || 2, length, sampleRate);
+    offlineSynth.init(context);
+
+    events.forEach((event) => {
+        if (event.type === 'on') {
+            if (offlineSynth.activeVoices[event.keyId]) offlineSynth.stopNote(event.keyId, { when: event.time });
+            offlineSynth.playNote(event.freq, event.keyId, event.settings, { when: event.time, sample: event.sample });
+        } else if (event.type === 'off') {
+            offlineSynth.stopNote(event.keyId, { when: event.time });
+        } else {
+            offlineSynth.applyControl(event, event.time);
+        }
+    });
+    Object.keys(offlineSynth.activeVoices).forEach(keyId => offlineSynth.stopNote(keyId, { when: end }));
+    return context.startRendering();
+}
+
+// --- wav ---
+// Sample formats for WAV files: integer PCM clips at full scale, 32-bit float keeps overs intact.
+const WAV_FORMATS = {
+    pcm16: { bitsPerSample: 16, float: false },
+    pcm24: { bitsPerSample: 24, float: false },
+    float32: { bitsPerSample: 32, float: true }
+};
+const WAV_SOFTWARE_NAME = 'Uncertain Keys';
+// RIFF sizes are 32-bit; larger files are written as RF64 (EBU Tech 3306) with 64-bit sizes in a ds64 chunk.
+const RIFF_MAX_SIZE = 0xFFFFFFFF;
+const BEXT_DESCRIPTION_LENGTH = 256;
+
+// Interleaves channel data (missing channels repeat the first) into little-endian WAV samples.
+// `options.dither` adds TPDF noise of up to ±1 LSB before integer samples are rounded.
+function encodeWavSamples(channels, channelCount, format, options = {}) {
+    const frames = channels[0].length;
+    const bytesPerSample = format.bitsPerSample / 8;
+    const view = new DataView(new ArrayBuffer(frames * channelCount * bytesPerSample));
+    const random = options.random || Math.random;
+    const dither = Boolean(options.dither) && !format.float;
+    const maxPositive = Math.pow(2, format.bitsPerSample - 1) - 1;
+    for (let ch = 0; ch < channelCount; ch++) {
+        const samples = channels[ch] || channels[0];
+        for (let i = 0; i < frames; i++) {
+            const offset = ((i * channelCount) + ch) * bytesPerSample;
+            if (format.float) {
+                view.setFloat32(offset, samples[i], true);
+                continue;
+            }
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            let value;
+            if (dither) {
+                value = Math.round((s * maxPositive) + random() - random());
+                value = Math.max(-maxPositive - 1, Math.min(maxPositive, value));
+            } else {
+                value = Math.trunc(s < 0 ? s * (maxPositive + 1) : s * maxPositive) || 0;
+            }
+            if (bytesPerSample === 2) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+        }
+    }
+    return view;
+}
+
+// RIFF chunk: id, little-endian size and body, padded to an even length.
+function buildRiffChunk(id, body) {
+    const bytes = new Uint8Array(8 + body.length + (body.length % 2));
+    const view = new DataView(bytes.buffer);
+    writeAscii(bytes, 0, id, 4);
+    view.setUint32(4, body.length, true);
+    bytes.set(body, 8);
+    return bytes;
+}
+
+// Writes `text` as ASCII into a fixed-length field (non-ASCII characters become '?').
+function writeAscii(bytes, offset, text, length) {
+    for (let i = 0; i < length; i++) {
+        const code = i < text.length ? text.charCodeAt(i) : 0;
+        bytes[offset + i] = code > 0x7E ? 0x3F : code;
+    }
+}
+
+function asciiBytes(text, length = text.length) {
+    const bytes = new Uint8Array(length);
+    writeAscii(bytes, 0, text, length);
+    return bytes;
+}
+
+function formatMetadataDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    };
+}
+
+// Settings as "name=value" pairs for the broadcast-wave description.
+function summarizeSettings(settings) {
+    return Object.keys(settings)
+        .filter(key => settings[key] !== undefined && settings[key] !== '' && typeof settings[key] !== 'object')
+        .map(key => `${key}=${settings[key]}`)
+        .join(', ');
+}
+
+// Broadcast Wave (EBU Tech 3285, version 1) description chunk.
+function buildBextChunk(metadata, codingHistory) {
+    const body = new Uint8Array(602 + codingHistory.length);
+    const { date, time } = formatMetadataDate(metadata.date);
+    writeAscii(body, 0, metadata.description || '', BEXT_DESCRIPTION_LENGTH);
+    writeAscii(body, 256, WAV_SOFTWARE_NAME, 32);
+    writeAscii(body, 320, date, 10);
+    writeAscii(body, 330, time, 8);
+    const view = new DataView(body.buffer);
+    // Samples since midnight at the first sample, so segments of one take line up in an editor.
+    if (Number.isFinite(metadata.timeReference)) setUint64(view, 338, metadata.timeReference);
+    view.setUint16(346, 1, true);
+    writeAscii(body, 602, codingHistory, codingHistory.length);
+    return buildRiffChunk('bext', body);
+}
+
+function setUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+// LIST/INFO chunk: software, creation date and a comment.
+function buildInfoChunk(metadata) {
+    const fields = [
+        ['ISFT', WAV_SOFTWARE_NAME],
+        ['ICRD', formatMetadataDate(metadata.date).date],
+        ['ICMT', metadata.comment || '']
+    ].filter(([, text]) => text);
+    const subChunks = fields.map(([id, text]) => buildRiffChunk(id, asciiBytes(`${text}\0`)));
+    const body = new Uint8Array(4 + subChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    writeAscii(body, 0, 'INFO', 4);
+    let offset = 4;
+    subChunks.forEach((chunk) => {
+        body.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return buildRiffChunk('LIST', body);
+}
+
+// Everything before the sample data. `options.metadata` ({ date, description, comment, timeReference })
+// adds bext and LIST/INFO chunks; without it a 16-bit file has the plain 44-byte header.
+// `options.rf64` forces RF64; files too large for RIFF switch to it on their own.
+function buildWavHeader(dataLength, sampleRate, channelCount, options = {}) {
+    const format = options.format || WAV_FORMATS.pcm16;
+    const blockAlign = channelCount * format.bitsPerSample / 8;
+    const fmt = new DataView(new ArrayBuffer(16));
+    fmt.setUint16(0, format.float ? 3 : 1, true);
+    fmt.setUint16(2, channelCount, true);
+    fmt.setUint32(4, sampleRate, true);
+    fmt.setUint32(8, sampleRate * blockAlign, true);
+    fmt.setUint16(12, blockAlign, true);
+    fmt.setUint16(14, format.bitsPerSample, true);
+
+    const chunks = [];
+    const { metadata } = options;
+    if (metadata) {
+        const mode = channelCount === 1 ? 'mono' : 'stereo';
+        const codingHistory = `A=${format.float ? 'FLOAT' : 'PCM'},F=${sampleRate},W=${format.bitsPerSample},M=${mode},T=${WAV_SOFTWARE_NAME}\r\n`;
+        chunks.push(buildBextChunk(metadata, codingHistory));
+    }
+    chunks.push(buildRiffChunk('fmt ', new Uint8Array(fmt.buffer)));
+    if (format.float) {
+        // Non-PCM formats carry the frame count in a fact chunk.
+        const fact = new DataView(new ArrayBuffer(4));
+        fact.setUint32(0, Math.min(RIFF_MAX_SIZE, Math.floor(dataLength / blockAlign)), true);
+        chunks.push(buildRiffChunk('fact', new Uint8Array(fact.buffer)));
+    }
+    if (metadata) chunks.push(buildInfoChunk(metadata));
+
+    let chunkLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let riffSize = 4 + chunkLength + 8 + dataLength + (dataLength % 2);
+    const rf64 = Boolean(options.rf64) || riffSize + 36 > RIFF_MAX_SIZE;
+    if (rf64) {
+        const ds64 = new DataView(new ArrayBuffer(28));
+        riffSize += 36;
+        setUint64(ds64, 0, riffSize);
+        setUint64(ds64, 8, dataLength);
+        setUint64(ds64, 16, Math.floor(dataLength / blockAlign));
+        chunks.unshift(buildRiffChunk('ds64', new Uint8Array(ds64.buffer)));
+        chunkLength += 36;
+    }
+    const header = new Uint8Array(12 + chunkLength + 8);
+    const view = new DataView(header.buffer);
+    writeAscii(header, 0, rf64 ? 'RF64' : 'RIFF', 4);
+    view.setUint32(4, rf64 ? RIFF_MAX_SIZE : riffSize, true);
+    writeAscii(header, 8, 'WAVE', 4);
+    let offset = 12;
+    chunks.forEach((chunk) => {
+        header.set(chunk, offset);
+        offset += chunk.length;
+    });
+    writeAscii(header, offset, 'data', 4);
+    view.setUint32(offset + 4, rf64 ? RIFF_MAX_SIZE : dataLength, true);
+    return header;
+}
+
+// A WAV Blob from already encoded sample data (DataViews or Blobs).
+function buildWavFile(dataParts, dataLength, sampleRate, channelCount, options = {}) {
+    const parts = [buildWavHeader(dataLength, sampleRate, channelCount, options), ...dataParts];
+    if (dataLength % 2) parts.push(new Uint8Array(1));
+    return new Blob(parts, { type: 'audio/wav' });
+}
+
+// `channels` holds one Float32Array per channel.
+function encodeWav(channels, sampleRate, options = {}) {
+    const format = options.format || WAV_FORMATS.pcm16;
+    const data = encodeWavSamples(channels, channels.length, format, options);
+    return buildWavFile([data], data.byteLength, sampleRate, channels.length, options);
+}
+
+// --- recorder worklet ---
+const RECORDER_WORKLET_NAME = 'uncertain-keys-recorder';
+const RECORDING_CHANNEL_COUNT = 2;
+// Compressed recording formats, by container type in order of preference.
+const MEDIA_RECORDING_TYPES = {
+    flac: [
+        { mimeType: 'audio/flac', extension: 'flac' },
+        { mimeType: 'audio/ogg;codecs=flac', extension: 'oga' },
+        { mimeType: 'audio/mp4;codecs=flac', extension: 'm4a' }
+    ],
+    ogg: [
+        { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' },
+        { mimeType: 'audio/ogg', extension: 'ogg' }
+    ]
+};
+const MEDIA_RECORDER_TIMESLICE_MS = 1000;
+// Long-recording splits: each WAV segment ends after this much audio or this many bytes of samples.
+const RECORDING_SPLITS = {
+    none: null,
+    'time-10': { seconds: 10 * 60 },
+    'time-30': { seconds: 30 * 60 },
+    'time-60': { seconds: 60 * 60 },
+    'size-1024': { bytes: 1024 * 1024 * 1024 },
+    'size-2048': { bytes: 2 * 1024 * 1024 * 1024 }
+};
+const RECORD_METER_INTERVAL_MS = 500;
+// Frames the worklet gathers before posting them to the main thread (about 93 ms at 44.1 kHz).
+const RECORDER_BATCH_FRAMES = 4096;
+// Encoded audio is gathered into a Blob every this many seconds, which the browser may keep out of the page's memory.
+const RECORDING_BLOB_SECONDS = 10;
+// How long a stopping recorder may take to hand over its last frames (e.g. while the context is suspended).
+const RECORDER_STOP_TIMEOUT_MS = 1000;
+// Silence auto-stop: the take ends once the peak level stays below -60 dBFS for this long.
+const RECORD_SILENCE_LEVEL = 0.001;
+const RECORD_SILENCE_SECONDS = 2;
+
+// Audio-thread side of the recorder, loaded from a Blob URL so it also works when the page is opened
+// from disk. Quanta without an active input (nothing sounding) are recorded as silence to keep time.
+// Each batch carries the audio-clock frame it starts at; 'flush' hands over a partial batch and keeps running.
+const RECORDER_WORKLET_SOURCE = `
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.batchFrames = options.processorOptions.batchFrames;
+        this.channelCount = options.processorOptions.channelCount;
+        this.chunks = [];
+        this.frames = 0;
+        this.startFrame = null;
+        this.stopped = false;
+        this.port.onmessage = (event) => {
+            if (event.data === 'flush') {
+                this.flush();
+                this.port.postMessage({ type: 'flushed' });
+            } else if (event.data === 'stop') {
+                this.flush();
+                this.stopped = true;
+                this.port.postMessage({ type: 'done' });
+            }
+        };
+    }
+
+    flush() {
+        if (this.frames === 0) return;
+        const channels = [];
+        for (let ch = 0; ch < this.channelCount; ch++) {
+            const data = new Float32Array(this.frames);
+            let offset = 0;
+            this.chunks.forEach((chunk) => {
+                data.set(chunk[ch] || chunk[0], offset);
+                offset += chunk[0].length;
+            });
+            channels.push(data);
+        }
+        this.port.postMessage({ type: 'chunk', channels, startFrame: this.startFrame }, channels.map(data => data.buffer));
+        this.chunks = [];
+        this.frames = 0;
+    }
+
+    process(inputs, outputs) {
+        if (this.stopped) return false;
+        const input = inputs[0];
+        const frames = outputs[0] && outputs[0][0] ? outputs[0][0].length : 128;
+        const chunk = input && input.length
+            ? input.slice(0, this.channelCount).map(data => data.slice())
+            : [new Float32Array(frames)];
+        if (this.frames === 0) this.startFrame = typeof currentFrame === 'number' ? currentFrame : null;
+        this.chunks.push(chunk);
+        this.frames += chunk[0].length;
+        if (this.frames >= this.batchFrames) this.flush();
+        return true;
+    }
+}
+registerProcessor('${RECORDER_WORKLET_NAME}', RecorderProcessor);
+`;
+
+// --- main ---
 // Ensure DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
 
     const synth = new Synth();
+    synth.noteListener = (event) => {
+        handleRecordingNoteEvent(event);
+        logNoteEvent(event);
+        syncVoiceMonitor();
+    };
     let currentLayout = 'US';
+    // Scale and mapping for every played note, at the chosen concert pitch.
+    let tuning = getBuiltinTuning('12-tet');
+    let referencePitch = STANDARD_REFERENCE_PITCH;
+    let scalaScale = null;
+    let scalaScaleName = '';
+    let scalaMappingText = null;
+    let scalaMappingName = '';
     let octaveShift = 0;
-    let recorderNode = null;
-    let recorderSilentGain = null;
-    let recorderInputConnected = false;
+    // Capture node shared by WAV takes and the pre-roll buffer, and the silent sink that keeps it running.
+    let captureNode = null;
+    let captureSilentGain = null;
+    let captureOpening = null;
     let isRecording = false;
-    let recordedLength = 0;
-    let recordedBuffers = [];
+    let recorderBusy = false;
+    // Armed: waiting for the first note. Finishing: a stopped WAV take waiting for its last frames.
+    let recordingArmed = false;
+    let armedMediaType = null;
+    let recordingFinishing = false;
+    let recordingFinishTimer = null;
+    // Audio-clock frames bounding the take; only worklet chunks carry a position to cut them by.
+    let recordingStartFrame = 0;
+    let recordingStopFrame = null;
+    // Last few seconds before a take, as { channels, startFrame } chunks.
+    let preRollChunks = [];
+    let preRollFrames = 0;
+    // Auto-stop: 'off', 'release' or 'silence', plus the silent audio held back since the last sound.
+    let recordingAutoStop = 'off';
+    let recordingHeardSound = false;
+    let recordingTrimSilence = false;
+    let recordingReleaseEnd = 0;
+    let releaseStopTimer = null;
+    let heldSilence = [];
+    let heldSilenceFrames = 0;
+    let recordingFormat = WAV_FORMATS.pcm16;
+    let recordingDither = false;
+    // Settings and start time written into the WAV file's metadata.
+    let recordingMetadata = null;
+    let mediaRecorder = null;
+    let mediaRecordingType = null;
+    let mediaDestination = null;
+    let recorderWorkletLoad = null;
+    // Recorded audio as 16-bit PCM: finished Blobs plus the chunks not yet gathered into one.
+    let recordedParts = [];
+    let pendingRecordedParts = [];
+    let pendingRecordedFrames = 0;
+    let recordedChannelCount = 0;
+    // Long recordings: frames in the current segment and before it, the segment number and file name base.
+    let segmentFrames = 0;
+    let segmentStartFrame = 0;
+    let recordingSegment = 0;
+    let recordingSplit = null;
+    let recordingRf64 = false;
+    let recordingFileBase = '';
+    let recordingStartTime = 0;
+    let recordingStopTime = 0;
+    let recordedByteCount = 0;
+    let recordMeterTimer = null;
+    // The URL hash follows the patch once the page has restored any state it was opened with.
+    let urlStateReady = false;
+    let urlStateTimer = null;
     let lastRecordingUrl = null;
+    // The performance log being captured, the last finished (or imported) one, and the live bend and
+    // mod wheel a replay hands back when it stops.
+    let currentLog = null;
+    let performanceLog = null;
+    let controlsBeforeReplay = null;
+    let offlineRendering = false;
     let midiAccess = null;
-    let selectedMidiInput = null;
-    let selectedMidiInputId = "";
+    // Per-device settings, keyed by MIDIInput id: { enabled, channel (null = omni), transpose }.
+    const midiInputConfigs = new Map();
+    const attachedMidiInputs = new Map();
+    // Sounding MIDI voices (voiceId -> input id), split into held keys and pedal-held notes.
     const midiActiveNotes = new Map();
+    const sustainedMidiNotes = new Map();
+    // Sounding MIDI voices shown on the keyboard: voiceId -> { keyIndex, velocity }.
+    const midiKeyNotes = new Map();
+    const sustainPedalInputs = new Set();
+    let midiBindings = [];
+    let midiLearnActive = false;
+    let midiLearnTarget = null;
+    // MPE member-channel state, keyed by `${inputId}:${channel}`: { bend (cents), pressure, timbre }.
+    const mpeChannelStates = new Map();
+    let selectedMidiOutput = null;
+    // Notes sent to the MIDI output: keyId -> { channel, note, bend }.
+    const midiOutputNotes = new Map();
+    let mpeNextChannel = 1;
+    let midiOutputBendTimer = null;
 
     const recordStartBtn = document.getElementById('recordStart');
     const recordStopBtn = document.getElementById('recordStop');
+    const recordFormatSelect = document.getElementById('recordFormat');
+    const recordDitherToggle = document.getElementById('recordDither');
+    const recordSplitSelect = document.getElementById('recordSplit');
+    const recordRf64Toggle = document.getElementById('recordRf64');
+    const recordPreRollSelect = document.getElementById('recordPreRoll');
+    const recordArmToggle = document.getElementById('recordArm');
+    const recordAutoStopSelect = document.getElementById('recordAutoStop');
+    const recordMeterEl = document.getElementById('recordMeter');
+    const renderSourceSelect = document.getElementById('renderSource');
+    const renderOfflineBtn = document.getElementById('renderOffline');
+    const renderStatusEl = document.getElementById('renderStatus');
+    const logStartBtn = document.getElementById('logStart');
+    const logEndBtn = document.getElementById('logEnd');
+    const logReplayBtn = document.getElementById('logReplay');
+    const logStopBtn = document.getElementById('logStop');
+    const logExportBtn = document.getElementById('logExport');
+    const logExportMidiBtn = document.getElementById('logExportMidi');
+    const logImportInput = document.getElementById('logImport');
+    const logStatusEl = document.getElementById('logStatus');
     const midiEnableBtn = document.getElementById('midiEnable');
-    const midiInputSelect = document.getElementById('midiInputSelect');
+    const midiInputList = document.getElementById('midiInputList');
     const midiRefreshBtn = document.getElementById('midiRefresh');
     const midiStatusEl = document.getElementById('midiStatus');
+    const midiLearnBtn = document.getElementById('midiLearn');
+    const mpeZoneSelect = document.getElementById('mpeZone');
+    const mpeMemberChannelsInput = document.getElementById('mpeMemberChannels');
+    const mpeBendRangeInput = document.getElementById('mpeBendRange');
+    const mpePressureTargetSelect = document.getElementById('mpePressureTarget');
+    const midiOutputSelect = document.getElementById('midiOutputSelect');
+    const midiFileInput = document.getElementById('midiFileInput');
+    const midiFilePlayBtn = document.getElementById('midiFilePlay');
+    const midiFilePauseBtn = document.getElementById('midiFilePause');
+    const midiFileStopBtn = document.getElementById('midiFileStop');
+    const midiFileSeek = document.getElementById('midiFileSeek');
+    const midiFileTimeEl = document.getElementById('midiFileTime');
+    const midiFileTempoInput = document.getElementById('midiFileTempo');
+    const midiFileStatusEl = document.getElementById('midiFileStatus');
+    const midiFileMutesEl = document.getElementById('midiFileMutes');
+    const midiOutputMpeToggle = document.getElementById('midiOutputMpe');
+    const midiBindingsList = document.getElementById('midiBindings');
+    const pitchBendRangeInput = document.getElementById('pitchBendRange');
+    const modWheelTargetSelect = document.getElementById('modWheelTarget');
+    const seedInput = document.getElementById('seed');
+    const seedRewindBtn = document.getElementById('seedRewind');
+
+    function timestampedName(ext, kind = 'recording') {
+        return `${timestampedBase(kind)}.${ext}`;
+    }
 
-    function timestampedName(ext) {
+    function timestampedBase(kind) {
         const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-        return `uncertain-keys-recording-${stamp}.${ext}`;
+        return `uncertain-keys-${kind}-${stamp}`;
     }
 
     function downloadBlob(blob, filename) {
@@ -314,162 +2600,823 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 1000);
     }
 
-    function setRecordingUI(recording) {
-        if (recordStartBtn) recordStartBtn.disabled = recording;
+    // `busy` covers loading the recorder and handing over the last frames after a stop.
+    function setRecordingUI(recording, busy = false) {
+        if (recordStartBtn) recordStartBtn.disabled = recording || busy;
         if (recordStopBtn) recordStopBtn.disabled = !recording;
+        updateRecordFormatUI(recording || busy);
+    }
+
+    // Recorded audio is encoded as it arrives and gathered into Blobs every few seconds,
+    // so a long take does not keep growing the page's memory.
+    function resetRecordedAudio() {
+        recordedParts = [];
+        pendingRecordedParts = [];
+        pendingRecordedFrames = 0;
+        recordedChannelCount = 0;
+        segmentFrames = 0;
+        segmentStartFrame = 0;
+        recordingSegment = 1;
+        recordedByteCount = 0;
+    }
+
+    function getRecordingSampleRate() {
+        return synth.audioCtx ? synth.audioCtx.sampleRate : 44100;
+    }
+
+    function getRecordedBlockAlign() {
+        return (recordedChannelCount || 1) * (recordingFormat.bitsPerSample / 8);
+    }
+
+    // Frames per segment for the chosen split, or 0 for one file.
+    function getSegmentLimitFrames() {
+        if (!recordingSplit) return 0;
+        if (recordingSplit.seconds) return Math.round(recordingSplit.seconds * getRecordingSampleRate());
+        return Math.max(1, Math.floor(recordingSplit.bytes / getRecordedBlockAlign()));
+    }
+
+    // `channels` holds one Float32Array per channel; the first chunk fixes the file's channel count.
+    // A chunk that crosses a segment boundary is cut there, so the segments join without a gap.
+    function appendRecordedAudio(channels) {
+        if (!channels.length || !channels[0].length) return;
+        if (!recordedChannelCount) recordedChannelCount = Math.min(RECORDING_CHANNEL_COUNT, channels.length);
+        const frames = channels[0].length;
+        const limit = getSegmentLimitFrames();
+        let offset = 0;
+        while (offset < frames) {
+            const count = limit ? Math.min(limit - segmentFrames, frames - offset) : frames;
+            const part = count === frames ? channels : channels.map(data => data.subarray(offset, offset + count));
+            pendingRecordedParts.push(encodeWavSamples(part, recordedChannelCount, recordingFormat, { dither: recordingDither }));
+            pendingRecordedFrames += count;
+            segmentFrames += count;
+            recordedByteCount += count * getRecordedBlockAlign();
+            offset += count;
+            if (limit && segmentFrames >= limit) {
+                downloadRecordedSegment();
+            } else if (pendingRecordedFrames >= getRecordingSampleRate() * RECORDING_BLOB_SECONDS) {
+                flushRecordedAudio();
+            }
+        }
+    }
+
+    function flushRecordedAudio() {
+        if (pendingRecordedParts.length === 0) return;
+        recordedParts.push(new Blob(pendingRecordedParts));
+        pendingRecordedParts = [];
+        pendingRecordedFrames = 0;
+    }
+
+    // Writes the current segment (the whole take without splitting) and starts the next one.
+    function downloadRecordedSegment() {
+        flushRecordedAudio();
+        const sampleRate = getRecordingSampleRate();
+        const channelCount = recordedChannelCount || 1;
+        const wavBlob = buildWavFile(recordedParts, segmentFrames * getRecordedBlockAlign(), sampleRate, channelCount, {
+            format: recordingFormat,
+            rf64: recordingRf64,
+            metadata: {
+                ...recordingMetadata,
+                timeReference: recordingMetadata.timeReference + segmentStartFrame
+            }
+        });
+        const suffix = recordingSplit ? `-part${String(recordingSegment).padStart(3, '0')}` : '';
+        downloadBlob(wavBlob, `${recordingFileBase}${suffix}.wav`);
+        recordedParts = [];
+        segmentStartFrame += segmentFrames;
+        segmentFrames = 0;
+        recordingSegment++;
+    }
+
+    // The last segment; an empty one is only written when the take produced no audio at all.
+    function downloadRecordedAudio() {
+        if (segmentFrames > 0 || segmentStartFrame === 0) downloadRecordedSegment();
+        updateRecordMeter();
+        resetRecordedAudio();
+    }
+
+    function formatElapsedTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const minutes = Math.floor(total / 60) % 60;
+        return `${Math.floor(total / 3600)}:${String(minutes).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    function formatByteSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    // Elapsed time and audio written so far, plus the segment being written when splitting.
+    function updateRecordMeter() {
+        if (!recordMeterEl || !synth.audioCtx) return;
+        if (recordingArmed) {
+            recordMeterEl.innerText = 'Armed · waiting for the first note';
+            return;
+        }
+        const end = isRecording ? synth.audioCtx.currentTime : recordingStopTime;
+        const summary = `${formatElapsedTime(end - recordingStartTime)} · ${formatByteSize(recordedByteCount)}`;
+        if (isRecording) {
+            const segment = recordingSplit && !mediaRecorder ? ` · part ${recordingSegment}` : '';
+            recordMeterEl.innerText = `● ${summary}${segment}`;
+            return;
+        }
+        const files = recordingSegment - 1;
+        recordMeterEl.innerText = `Saved ${summary}${files > 1 ? ` in ${files} files` : ''}`;
+    }
+
+    // Compressed formats go through MediaRecorder, using the first container type the browser supports.
+    function getMediaRecordingType(formatName) {
+        const types = MEDIA_RECORDING_TYPES[formatName];
+        if (!types || typeof window.MediaRecorder !== 'function' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return null;
+        }
+        return types.find(type => MediaRecorder.isTypeSupported(type.mimeType)) || null;
+    }
+
+    function getSelectedRecordingFormat() {
+        return recordFormatSelect ? recordFormatSelect.value : 'pcm16';
+    }
+
+    // WAV format for recordings and offline exports; compressed choices fall back to 16-bit.
+    function getWavOptions() {
+        const format = WAV_FORMATS[getSelectedRecordingFormat()] || WAV_FORMATS.pcm16;
+        const dither = format === WAV_FORMATS.pcm16 && Boolean(recordDitherToggle && recordDitherToggle.checked);
+        return { format, dither };
+    }
+
+    function updateRecordFormatUI(locked = isRecording || recordingArmed || recorderBusy) {
+        if (recordSplitSelect) recordSplitSelect.disabled = locked;
+        if (recordRf64Toggle) recordRf64Toggle.disabled = locked;
+        if (recordArmToggle) recordArmToggle.disabled = locked;
+        if (recordAutoStopSelect) recordAutoStopSelect.disabled = locked;
+        if (recordFormatSelect) {
+            Array.from(recordFormatSelect.options).forEach((option) => {
+                if (MEDIA_RECORDING_TYPES[option.value]) option.disabled = !getMediaRecordingType(option.value);
+            });
+            if (recordFormatSelect.selectedOptions[0] && recordFormatSelect.selectedOptions[0].disabled) {
+                recordFormatSelect.value = 'pcm16';
+            }
+            recordFormatSelect.disabled = locked;
+        }
+        if (recordDitherToggle) recordDitherToggle.disabled = locked || getSelectedRecordingFormat() !== 'pcm16';
+        if (recordPreRollSelect) {
+            recordPreRollSelect.disabled = locked || Boolean(getMediaRecordingType(getSelectedRecordingFormat()));
+        }
+    }
+
+    function canUseRecorderWorklet() {
+        return Boolean(synth.audioCtx.audioWorklet && typeof window.AudioWorkletNode === 'function');
+    }
+
+    // The processor module is added to the context once.
+    function loadRecorderWorklet() {
+        if (!recorderWorkletLoad) {
+            const url = URL.createObjectURL(new Blob([RECORDER_WORKLET_SOURCE], { type: 'application/javascript' }));
+            recorderWorkletLoad = synth.audioCtx.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+        }
+        return recorderWorkletLoad;
+    }
+
+    function createWorkletRecorder() {
+        const node = new window.AudioWorkletNode(synth.audioCtx, RECORDER_WORKLET_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            channelCount: RECORDING_CHANNEL_COUNT,
+            channelCountMode: 'explicit',
+            processorOptions: { batchFrames: RECORDER_BATCH_FRAMES, channelCount: RECORDING_CHANNEL_COUNT }
+        });
+        node.port.onmessage = (event) => {
+            if (!event.data) return;
+            if (event.data.type === 'chunk') handleCapturedAudio(event.data.channels, event.data.startFrame);
+            if (event.data.type === 'flushed' || event.data.type === 'done') finishWavRecording();
+        };
+        return node;
+    }
+
+    // Fallback for browsers without AudioWorklet. Its buffers carry no position on the audio clock.
+    function createScriptProcessorRecorder() {
+        const bufferSize = 4096;
+        const node = synth.audioCtx.createScriptProcessor(bufferSize, RECORDING_CHANNEL_COUNT, RECORDING_CHANNEL_COUNT);
+        node.onaudioprocess = (event) => {
+            const input = event.inputBuffer;
+            const channels = [];
+            for (let ch = 0; ch < Math.min(RECORDING_CHANNEL_COUNT, input.numberOfChannels); ch++) {
+                channels.push(input.getChannelData(ch));
+            }
+            handleCapturedAudio(channels);
+            const output = event.outputBuffer;
+            for (let ch = 0; ch < output.numberOfChannels; ch++) {
+                output.getChannelData(ch).fill(0);
+            }
+        };
+        return node;
+    }
+
+    // --- capture ---
+    // WAV takes and the pre-roll buffer share one capture node, which stays connected between
+    // takes while pre-roll is on. Resolves once audio flows into it.
+    function openCapture() {
+        if (captureNode) return Promise.resolve(captureNode);
+        if (!captureOpening) {
+            if (!canUseRecorderWorklet()) {
+                connectCapture(createScriptProcessorRecorder());
+                return Promise.resolve(captureNode);
+            }
+            captureOpening = loadRecorderWorklet()
+                .then(() => createWorkletRecorder())
+                .catch(() => createScriptProcessorRecorder())
+                .then((node) => {
+                    captureOpening = null;
+                    connectCapture(node);
+                    return node;
+                });
+        }
+        return captureOpening;
+    }
+
+    function connectCapture(node) {
+        captureNode = node;
+        captureSilentGain = synth.audioCtx.createGain();
+        captureSilentGain.gain.value = 0;
+        synth.masterGain.connect(captureNode);
+        captureNode.connect(captureSilentGain);
+        captureSilentGain.connect(synth.audioCtx.destination);
+    }
+
+    function closeCapture() {
+        clearPreRoll();
+        if (!captureNode) return;
+        synth.masterGain.disconnect(captureNode);
+        if (captureNode.port) {
+            captureNode.port.onmessage = null;
+            captureNode.port.postMessage('stop');
+        } else {
+            captureNode.onaudioprocess = null;
+        }
+        captureNode.disconnect();
+        captureSilentGain.disconnect();
+        captureNode = null;
+        captureSilentGain = null;
+    }
+
+    // Pre-roll only applies to WAV recordings.
+    function getPreRollSeconds() {
+        if (!recordPreRollSelect || getMediaRecordingType(getSelectedRecordingFormat())) return 0;
+        return Number(recordPreRollSelect.value) || 0;
+    }
+
+    // Opens the capture node when pre-roll is chosen and closes it when nothing needs it.
+    function syncPreRollCapture() {
+        if (isRecording || recordingArmed || recorderBusy) return;
+        if (!getPreRollSeconds()) {
+            closeCapture();
+            return;
+        }
+        synth.init();
+        if (synth.audioCtx && synth.masterGain) openCapture();
+    }
+
+    function clearPreRoll() {
+        preRollChunks = [];
+        preRollFrames = 0;
+    }
+
+    // The buffer holds at least the pre-roll length, dropping whole chunks from its front.
+    function keepPreRoll(channels, startFrame) {
+        preRollChunks.push({ channels: channels.map(data => data.slice()), startFrame });
+        preRollFrames += channels[0].length;
+        const limit = Math.ceil(getPreRollSeconds() * getRecordingSampleRate());
+        while (preRollChunks.length && preRollFrames - preRollChunks[0].channels[0].length >= limit) {
+            preRollFrames -= preRollChunks.shift().channels[0].length;
+        }
+    }
+
+    // Where a take beginning at `time` starts: up to the pre-roll length earlier, if the buffer reaches that far.
+    function getPreRollStart(time) {
+        const seconds = getPreRollSeconds();
+        if (!seconds || !preRollChunks.length) return time;
+        const sampleRate = getRecordingSampleRate();
+        const first = preRollChunks[0];
+        const oldest = Number.isFinite(first.startFrame)
+            ? first.startFrame / sampleRate
+            : synth.audioCtx.currentTime - (preRollFrames / sampleRate);
+        return Math.min(time, Math.max(time - seconds, oldest));
+    }
+
+    // Moves the buffered audio into the take. Chunks without a clock position are counted back from now.
+    function drainPreRoll(startTime) {
+        const chunks = preRollChunks;
+        let skip = preRollFrames - Math.round((synth.audioCtx.currentTime - startTime) * getRecordingSampleRate());
+        clearPreRoll();
+        chunks.forEach((chunk) => {
+            if (Number.isFinite(chunk.startFrame)) {
+                handleCapturedAudio(chunk.channels, chunk.startFrame);
+                return;
+            }
+            const frames = chunk.channels[0].length;
+            if (skip >= frames) {
+                skip -= frames;
+                return;
+            }
+            handleCapturedAudio(skip > 0 ? chunk.channels.map(data => data.subarray(skip)) : chunk.channels);
+            skip = 0;
+        });
+    }
+
+    // Cuts a chunk to the take's start and stop frames when its position on the audio clock is known.
+    function clipToRecording(channels, startFrame) {
+        if (!Number.isFinite(startFrame)) return channels;
+        const frames = channels[0].length;
+        const from = Math.max(0, recordingStartFrame - startFrame);
+        const to = recordingStopFrame === null ? frames : Math.min(frames, recordingStopFrame - startFrame);
+        if (from >= to) return null;
+        return from === 0 && to === frames ? channels : channels.map(data => data.subarray(from, to));
+    }
+
+    function handleCapturedAudio(channels, startFrame = null) {
+        if (!channels.length || !channels[0].length) return;
+        if (isRecording || recordingFinishing) {
+            const clipped = clipToRecording(channels, startFrame);
+            if (clipped) recordCapturedAudio(clipped);
+        } else if (getPreRollSeconds()) {
+            keepPreRoll(channels, startFrame);
+        }
+    }
+
+    // With silence auto-stop, quiet audio after the first sound is held back: it joins the take
+    // when sound returns and is dropped when the silence lasts long enough to end the take.
+    function recordCapturedAudio(channels) {
+        if (recordingAutoStop !== 'silence') {
+            appendRecordedAudio(channels);
+            return;
+        }
+        const peak = channels.reduce((max, data) => data.reduce((m, value) => Math.max(m, Math.abs(value)), max), 0);
+        if (peak >= RECORD_SILENCE_LEVEL) {
+            recordingHeardSound = true;
+            releaseHeldSilence();
+            appendRecordedAudio(channels);
+        } else if (!recordingHeardSound) {
+            appendRecordedAudio(channels);
+        } else {
+            heldSilence.push(channels.map(data => data.slice()));
+            heldSilenceFrames += channels[0].length;
+            const sampleRate = getRecordingSampleRate();
+            if (isRecording && heldSilenceFrames >= RECORD_SILENCE_SECONDS * sampleRate) {
+                stopRecording({ at: synth.audioCtx.currentTime - (heldSilenceFrames / sampleRate), trimSilence: true });
+            }
+        }
+    }
+
+    function releaseHeldSilence() {
+        heldSilence.forEach(appendRecordedAudio);
+        heldSilence = [];
+        heldSilenceFrames = 0;
+    }
+
+    // Arming starts the take on the first note; release auto-stop ends it once every voice has faded out.
+    function handleRecordingNoteEvent(event) {
+        if (recordingArmed && event.type === 'on') beginRecording(armedMediaType, event.time);
+        if (!isRecording || recordingAutoStop !== 'release') return;
+        clearTimeout(releaseStopTimer);
+        releaseStopTimer = null;
+        if (event.type !== 'off') return;
+        recordingReleaseEnd = Math.max(recordingReleaseEnd, event.endTime);
+        if (Object.keys(synth.activeVoices).length) return;
+        const end = recordingReleaseEnd;
+        releaseStopTimer = setTimeout(() => {
+            releaseStopTimer = null;
+            if (!Object.keys(synth.activeVoices).length) stopRecording({ at: end });
+        }, Math.max(0, end - synth.audioCtx.currentTime) * 1000);
+    }
+
+    function startRecording() {
+        if (isRecording || recordingArmed || recorderBusy) return;
+        synth.init();
+        if (!synth.audioCtx || !synth.masterGain) return;
+
+        const mediaType = getMediaRecordingType(getSelectedRecordingFormat());
+        const useMedia = Boolean(mediaType && synth.audioCtx.createMediaStreamDestination);
+        const ready = () => {
+            // A seeded take starts from the top of its sequence so it can be re-recorded identically.
+            synth.resetRandom();
+            if (recordArmToggle && recordArmToggle.checked) {
+                armRecording(useMedia ? mediaType : null);
+            } else {
+                beginRecording(useMedia ? mediaType : null);
+            }
+        };
+        if (useMedia) {
+            closeCapture();
+            ready();
+            return;
+        }
+        const opening = openCapture();
+        if (captureNode) {
+            ready();
+            return;
+        }
+        recorderBusy = true;
+        setRecordingUI(false, true);
+        opening.then(() => {
+            recorderBusy = false;
+            ready();
+        });
+    }
+
+    function armRecording(mediaType) {
+        recordingArmed = true;
+        armedMediaType = mediaType;
+        setRecordingUI(true);
+        updateRecordMeter();
+    }
+
+    function disarmRecording() {
+        recordingArmed = false;
+        armedMediaType = null;
+        if (recordMeterEl) recordMeterEl.innerText = '';
+        setRecordingUI(false);
+        syncPreRollCapture();
+    }
+
+    // `mediaType` is set for a compressed recording through MediaRecorder; otherwise the capture node
+    // is open. `time` is when the take begins, before any pre-roll.
+    function beginRecording(mediaType = null, time = synth.audioCtx.currentTime) {
+        recordingArmed = false;
+        armedMediaType = null;
+        resetRecordedAudio();
+        ({ format: recordingFormat, dither: recordingDither } = getWavOptions());
+        recordingSplit = mediaType ? null : (RECORDING_SPLITS[recordSplitSelect ? recordSplitSelect.value : 'none'] || null);
+        recordingRf64 = Boolean(recordRf64Toggle && recordRf64Toggle.checked);
+        recordingAutoStop = recordAutoStopSelect ? recordAutoStopSelect.value : 'off';
+        if (mediaType && recordingAutoStop === 'silence') recordingAutoStop = 'off';
+        recordingFileBase = timestampedBase('recording');
+        const startTime = mediaType ? time : getPreRollStart(time);
+        recordingStartTime = startTime;
+        recordingStartFrame = Math.round(startTime * getRecordingSampleRate());
+        recordingStopFrame = null;
+        recordingTrimSilence = false;
+        recordingHeardSound = false;
+        recordingReleaseEnd = 0;
+        heldSilence = [];
+        heldSilenceFrames = 0;
+        const settings = getSettings();
+        const date = new Date(Date.now() - ((synth.audioCtx.currentTime - startTime) * 1000));
+        const secondsSinceMidnight = (date - new Date(date).setHours(0, 0, 0, 0)) / 1000;
+        recordingMetadata = {
+            date,
+            description: summarizeSettings(settings),
+            comment: JSON.stringify(settings),
+            timeReference: Math.round(secondsSinceMidnight * getRecordingSampleRate())
+        };
+
+        isRecording = true;
+        if (mediaType) {
+            mediaDestination = synth.audioCtx.createMediaStreamDestination();
+            synth.masterGain.connect(mediaDestination);
+            mediaRecorder = new MediaRecorder(mediaDestination.stream, { mimeType: mediaType.mimeType });
+            mediaRecordingType = mediaType;
+            mediaRecorder.ondataavailable = (event) => {
+                if (!event.data || !event.data.size) return;
+                recordedParts.push(event.data);
+                recordedByteCount += event.data.size;
+            };
+            mediaRecorder.start(MEDIA_RECORDER_TIMESLICE_MS);
+        } else {
+            drainPreRoll(startTime);
+        }
+
+        setRecordingUI(true);
+        updateRecordMeter();
+        recordMeterTimer = setInterval(updateRecordMeter, RECORD_METER_INTERVAL_MS);
+    }
+
+    // `at` ends the take earlier than now (an auto-stop after a release or a silence); `trimSilence`
+    // drops the silence held back since the last sound.
+    function stopRecording({ at = null, trimSilence = false } = {}) {
+        if (recordingArmed) {
+            disarmRecording();
+            return;
+        }
+        if (!isRecording) return;
+        isRecording = false;
+        clearTimeout(releaseStopTimer);
+        releaseStopTimer = null;
+        const now = synth.audioCtx.currentTime;
+        recordingStopTime = at === null ? now : Math.min(now, Math.max(recordingStartTime, at));
+        recordingStopFrame = Math.round(recordingStopTime * getRecordingSampleRate());
+        recordingTrimSilence = trimSilence;
+        clearInterval(recordMeterTimer);
+        recordMeterTimer = null;
+
+        if (mediaRecorder) {
+            const recorder = mediaRecorder;
+            const type = mediaRecordingType;
+            synth.masterGain.disconnect(mediaDestination);
+            mediaRecorder = null;
+            mediaDestination = null;
+            recorderBusy = true;
+            setRecordingUI(false, true);
+            recorder.onstop = () => {
+                recorderBusy = false;
+                downloadBlob(new Blob(recordedParts, { type: type.mimeType }), `${recordingFileBase}.${type.extension}`);
+                updateRecordMeter();
+                resetRecordedAudio();
+                setRecordingUI(false);
+                syncPreRollCapture();
+            };
+            recorder.stop();
+        } else {
+            recordingFinishing = true;
+            if (captureNode && captureNode.port) {
+                // The worklet still holds up to one batch. It is stopped with it unless pre-roll keeps it running.
+                recorderBusy = true;
+                setRecordingUI(false, true);
+                recordingFinishTimer = setTimeout(finishWavRecording, RECORDER_STOP_TIMEOUT_MS);
+                captureNode.port.postMessage(getPreRollSeconds() ? 'flush' : 'stop');
+            } else {
+                finishWavRecording();
+            }
+        }
     }
 
-    function mergeBuffers(buffers, totalLength) {
-        const result = new Float32Array(totalLength);
-        let offset = 0;
-        buffers.forEach(buffer => {
-            result.set(buffer, offset);
-            offset += buffer.length;
-        });
-        return result;
+    function finishWavRecording() {
+        if (!recordingFinishing) return;
+        recordingFinishing = false;
+        recorderBusy = false;
+        clearTimeout(recordingFinishTimer);
+        recordingFinishTimer = null;
+        if (recordingTrimSilence) {
+            heldSilence = [];
+            heldSilenceFrames = 0;
+        } else {
+            releaseHeldSilence();
+        }
+        downloadRecordedAudio();
+        setRecordingUI(false);
+        syncPreRollCapture();
     }
 
-    function interleave(left, right) {
-        const length = left.length + right.length;
-        const result = new Float32Array(length);
-        let index = 0;
-        for (let i = 0; i < left.length; i++) {
-            result[index++] = left[i];
-            result[index++] = right[i];
+    // --- performance log ---
+    // Logging runs on its own, independent of audio recording.
+    function startPerformanceLog() {
+        if (currentLog) return;
+        synth.init();
+        currentLog = {
+            startTime: synth.audioCtx.currentTime,
+            startedAt: new Date().toISOString(),
+            events: [],
+            heldNotes: new Map()
+        };
+        // Controllers already moved keep their position at the start of the log.
+        if (synth.pitchBendCents !== 0) logControlEvent({ type: 'pitchBend', cents: synth.pitchBendCents });
+        if (synth.modulationAmount !== 0) {
+            logControlEvent({ type: 'modWheel', amount: synth.modulationAmount, target: synth.modulationTarget });
         }
-        return result;
+        setLogStatus('Logging…');
+        updateLogControls();
     }
 
-    function floatTo16BitPCM(view, offset, input) {
-        for (let i = 0; i < input.length; i++, offset += 2) {
-            let s = Math.max(-1, Math.min(1, input[i]));
-            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-        }
+    function stopPerformanceLog() {
+        if (!currentLog) return;
+        finishPerformanceLog();
+        setLogStatus(`Logged ${countLoggedNotes(performanceLog)} notes`);
+        updateLogControls();
+        updateOfflineRenderUI();
     }
 
-    function writeString(view, offset, string) {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
+    // Each note on keeps the pitch and drift actually sampled, so a replay reproduces it exactly.
+    // Notes already sounding when logging starts are left out, including their release.
+    function logNoteEvent(event) {
+        if (!currentLog) return;
+        const time = event.time - currentLog.startTime;
+        if (event.type === 'on') {
+            const entry = {
+                time,
+                type: 'on',
+                keyId: event.keyId,
+                source: event.source || 'unknown',
+                freq: event.freq,
+                settings: event.settings,
+                sample: { startFreq: event.startFreq, driftRate: event.driftRate, driftRates: [...event.driftRates] }
+            };
+            currentLog.heldNotes.set(event.keyId, entry);
+            currentLog.events.push(entry);
+        } else if (event.type === 'cancel') {
+            // A scheduled note dropped before it sounded leaves no trace.
+            const entry = currentLog.heldNotes.get(event.keyId);
+            if (!entry) return;
+            currentLog.heldNotes.delete(event.keyId);
+            currentLog.events.splice(currentLog.events.indexOf(entry), 1);
+        } else if (currentLog.heldNotes.has(event.keyId)) {
+            // Keep only the random-walk segments the note lived through.
+            currentLog.heldNotes.get(event.keyId).sample.driftRates = event.driftRates;
+            currentLog.heldNotes.delete(event.keyId);
+            currentLog.events.push({ time, type: 'off', keyId: event.keyId });
         }
     }
 
-    function encodeWav(buffers, sampleRate, numChannels) {
-        const bytesPerSample = 2;
-        const blockAlign = numChannels * bytesPerSample;
-        const dataLength = buffers.length * bytesPerSample;
-        const buffer = new ArrayBuffer(44 + dataLength);
-        const view = new DataView(buffer);
+    // Controller moves are logged as they reach the synth; per-note ones only for notes in the log.
+    function logControlEvent(event) {
+        if (!currentLog || (typeof event.keyId !== 'undefined' && !currentLog.heldNotes.has(event.keyId))) return;
+        currentLog.events.push({ time: synth.audioCtx.currentTime - currentLog.startTime, ...event });
+    }
 
-        writeString(view, 0, 'RIFF');
-        view.setUint32(4, 36 + dataLength, true);
-        writeString(view, 8, 'WAVE');
-        writeString(view, 12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, numChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * blockAlign, true);
-        view.setUint16(32, blockAlign, true);
-        view.setUint16(34, bytesPerSample * 8, true);
-        writeString(view, 36, 'data');
-        view.setUint32(40, dataLength, true);
+    function finishPerformanceLog(end = synth.audioCtx.currentTime) {
+        currentLog.heldNotes.forEach((entry, keyId) => {
+            const voice = synth.activeVoices[keyId];
+            if (voice) entry.sample.driftRates = synth.getUsedDriftRates(voice, end);
+        });
+        performanceLog = {
+            format: PERFORMANCE_LOG_FORMAT,
+            version: PERFORMANCE_LOG_VERSION,
+            startedAt: currentLog.startedAt,
+            duration: end - currentLog.startTime,
+            events: currentLog.events
+        };
+        currentLog = null;
+    }
 
-        floatTo16BitPCM(view, 44, buffers);
-        return new Blob([view], { type: 'audio/wav' });
+    function countLoggedNotes(log) {
+        return log.events.filter(event => event.type === 'on').length;
     }
 
-    function startRecording() {
-        if (isRecording) return;
-        synth.init();
-        if (!synth.audioCtx || !synth.masterGain) return;
+    function hasPerformanceLog() {
+        return Boolean(performanceLog && performanceLog.events.length);
+    }
 
-        const bufferSize = 4096;
-        const channelCount = 2;
-        recorderNode = synth.audioCtx.createScriptProcessor(bufferSize, channelCount, channelCount);
-        recorderSilentGain = synth.audioCtx.createGain();
-        recorderSilentGain.gain.value = 0;
+    function setLogStatus(message) {
+        if (logStatusEl) logStatusEl.innerText = message;
+    }
 
-        recordedLength = 0;
-        recordedBuffers = Array.from({ length: channelCount }, () => []);
+    function updateLogControls(state = logPlayer.state) {
+        const available = hasPerformanceLog();
+        if (logStartBtn) logStartBtn.disabled = Boolean(currentLog);
+        if (logEndBtn) logEndBtn.disabled = !currentLog;
+        if (logReplayBtn) logReplayBtn.disabled = !available || state === 'playing';
+        if (logStopBtn) logStopBtn.disabled = state === 'stopped';
+        if (logExportBtn) logExportBtn.disabled = !available;
+        if (logExportMidiBtn) logExportMidiBtn.disabled = !available;
+    }
 
-        recorderNode.onaudioprocess = (event) => {
-            const input = event.inputBuffer;
-            const channels = Math.min(channelCount, input.numberOfChannels);
-            for (let ch = 0; ch < channels; ch++) {
-                recordedBuffers[ch].push(new Float32Array(input.getChannelData(ch)));
-            }
-            recordedLength += input.length;
-            const output = event.outputBuffer;
-            for (let ch = 0; ch < output.numberOfChannels; ch++) {
-                output.getChannelData(ch).fill(0);
-            }
-        };
+    function handleLogStateChange(state) {
+        updateLogControls(state);
+        if (state === 'stopped' && logStatusEl && logStatusEl.innerText === 'Replaying…') {
+            setLogStatus('Replay finished');
+        }
+        if (state === 'stopped' && controlsBeforeReplay) {
+            synth.setPitchBend(controlsBeforeReplay.cents);
+            synth.setModulation(controlsBeforeReplay.amount, controlsBeforeReplay.target);
+            controlsBeforeReplay = null;
+        }
+    }
 
-        synth.masterGain.connect(recorderNode);
-        recorderInputConnected = true;
-        recorderNode.connect(recorderSilentGain);
-        recorderSilentGain.connect(synth.audioCtx.destination);
+    function replayPerformanceLog() {
+        if (!hasPerformanceLog()) return;
+        const song = performanceLogToSong(performanceLog);
+        logPlayer.load(song);
+        // A replayed bend or mod wheel is handed back to the live controllers once the replay stops.
+        if (song.controls.some(control => control.type === 'pitchBend' || control.type === 'modWheel')) {
+            controlsBeforeReplay = { cents: synth.pitchBendCents, amount: synth.modulationAmount, target: synth.modulationTarget };
+        }
+        setLogStatus('Replaying…');
+        logPlayer.play();
+    }
 
-        isRecording = true;
-        setRecordingUI(true);
+    function exportPerformanceLog() {
+        if (!hasPerformanceLog()) return;
+        const blob = new Blob([JSON.stringify(performanceLog, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, timestampedName('json', 'performance'));
     }
 
-    function stopRecording() {
-        if (!isRecording) return;
-        isRecording = false;
-        setRecordingUI(false);
+    function exportPerformanceMidi() {
+        if (!hasPerformanceLog()) return;
+        const blob = new Blob([performanceLogToMidiFile(performanceLog)], { type: 'audio/midi' });
+        downloadBlob(blob, timestampedName('mid', 'performance'));
+    }
 
-        if (recorderInputConnected && synth.masterGain && recorderNode) {
-            synth.masterGain.disconnect(recorderNode);
-            recorderInputConnected = false;
+    async function importPerformanceLog(file) {
+        if (!file) return;
+        try {
+            const log = parsePerformanceLog(await readFileAsText(file));
+            logPlayer.stop();
+            performanceLog = log;
+            setLogStatus(`Loaded ${countLoggedNotes(log)} notes: ${file.name}`);
+        } catch (error) {
+            setLogStatus(`Could not load ${file.name}: ${error.message}`);
         }
-        if (recorderNode) {
-            recorderNode.disconnect();
-            recorderNode.onaudioprocess = null;
-            recorderNode = null;
+        updateLogControls();
+        updateOfflineRenderUI();
+    }
+
+    // --- offline export ---
+    function getOfflineRenderSources() {
+        return {
+            log: hasPerformanceLog(),
+            file: Boolean(midiFilePlayer.song && midiFilePlayer.song.notes.length)
+        };
+    }
+
+    function updateOfflineRenderUI() {
+        const sources = getOfflineRenderSources();
+        if (renderSourceSelect) {
+            Array.from(renderSourceSelect.options).forEach((option) => {
+                option.disabled = !sources[option.value];
+            });
+            if (!sources[renderSourceSelect.value]) {
+                const available = Object.keys(sources).find(source => sources[source]);
+                if (available) renderSourceSelect.value = available;
+            }
         }
-        if (recorderSilentGain) {
-            recorderSilentGain.disconnect();
-            recorderSilentGain = null;
+        const source = renderSourceSelect ? renderSourceSelect.value : 'log';
+        if (renderOfflineBtn) renderOfflineBtn.disabled = offlineRendering || !sources[source];
+    }
+
+    function setRenderStatus(message) {
+        if (renderStatusEl) renderStatusEl.innerText = message;
+    }
+
+    function encodeAudioBuffer(audioBuffer) {
+        const channels = [];
+        for (let ch = 0; ch < Math.min(RECORDING_CHANNEL_COUNT, audioBuffer.numberOfChannels); ch++) {
+            channels.push(audioBuffer.getChannelData(ch));
         }
+        const { format, dither } = getWavOptions();
+        return encodeWav(channels, audioBuffer.sampleRate, { format, dither, metadata: { date: new Date() } });
+    }
 
-        const sampleRate = synth.audioCtx ? synth.audioCtx.sampleRate : 44100;
-        const hasSecondChannel = recordedBuffers.length > 1 && recordedBuffers[1].length > 0;
-        const merged = recordedBuffers.map(buffers => mergeBuffers(buffers, recordedLength));
-        let output;
-        let channelCount = 1;
-        if (hasSecondChannel) {
-            output = interleave(merged[0], merged[1]);
-            channelCount = 2;
-        } else {
-            output = merged[0];
+    async function exportOffline() {
+        const source = renderSourceSelect ? renderSourceSelect.value : 'log';
+        if (offlineRendering || !getOfflineRenderSources()[source]) return;
+        const events = source === 'file' ? midiFilePlayer.getRenderEvents() : performanceLog.events;
+        const duration = source === 'file' ? 0 : performanceLog.duration;
+
+        offlineRendering = true;
+        updateOfflineRenderUI();
+        setRenderStatus('Rendering…');
+        try {
+            const audioBuffer = await renderNoteEventsOffline(events, {
+                sampleRate: synth.audioCtx ? synth.audioCtx.sampleRate : 44100,
+                duration
+            });
+            downloadBlob(encodeAudioBuffer(audioBuffer), timestampedName('wav', 'offline'));
+            setRenderStatus(`Exported ${audioBuffer.duration.toFixed(1)} s`);
+        } catch (error) {
+            setRenderStatus(`Offline export failed: ${error.message}`);
+        } finally {
+            offlineRendering = false;
+            updateOfflineRenderUI();
         }
-        const wavBlob = encodeWav(output, sampleRate, channelCount);
-        downloadBlob(wavBlob, timestampedName('wav'));
-        recordedBuffers = [];
-        recordedLength = 0;
+    }
+
+    // Controls added after the core set may be absent from trimmed-down pages.
+    function readOptionalValue(id) {
+        const el = document.getElementById(id);
+        return el ? el.value : undefined;
     }
 
     function getSettings() {
         const driftModeToggle = document.getElementById('driftMode');
         return {
             variance: document.getElementById('variance').value,
+            varianceDistribution: varianceDistributionSelect ? varianceDistributionSelect.value : 'gaussian',
+            varianceShape: varianceShapeSlider ? varianceShapeSlider.value : '',
             waveType: document.getElementById('waveform').value,
             cutoff: document.getElementById('cutoff').value,
             octaveShift: octaveShift,
             driftDirection: document.getElementById('driftDirection').value,
             driftMode: (driftModeToggle && driftModeToggle.checked) ? 'uniform' : 'gaussian',
             driftMean: document.getElementById('driftMean').value,
-            driftSpread: document.getElementById('driftSpread').value
+            driftSpread: document.getElementById('driftSpread').value,
+            driftShape: driftShapeSelect ? driftShapeSelect.value : 'linear',
+            driftTime: driftTimeSlider ? driftTimeSlider.value : DEFAULT_DRIFT_TIME_SECONDS,
+            attack: readOptionalValue('attack'),
+            decay: readOptionalValue('decay'),
+            sustain: readOptionalValue('sustain'),
+            release: readOptionalValue('release'),
+            velocity: readOptionalValue('defaultVelocity'),
+            velocityCurve: readOptionalValue('velocityCurve'),
+            velocityToCutoff: readOptionalValue('velocityToCutoff'),
+            velocityToVariance: readOptionalValue('velocityToVariance'),
+            tuning: readOptionalValue('tuning'),
+            tuningEdo: readOptionalValue('tuningEdo'),
+            referencePitch,
+            seed: seedInput ? seedInput.value : ''
         };
     }
 
     function updateOctaveDisplay() {
         document.getElementById('octaveVal').innerText = (octaveShift > 0 ? "+" : "") + octaveShift;
+        scheduleUrlStateUpdate();
     }
 
     // Visuals
     function setKeyActive(keyId, isActive) {
+        // MIDI voices light their key through holdMidiKey; a stopped one lets go of it here.
+        if (isMidiVoiceId(keyId)) {
+            if (!isActive) releaseMidiKey(keyId);
+            return;
+        }
         const el = document.getElementById('key-' + keyId);
         if (el) {
             if (isActive) el.classList.add('active');
@@ -477,14 +3424,65 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function play(freq, idx) {
-        synth.playNote(freq, idx, getSettings());
+    // MIDI notes go through the same octave shift as on-screen keys, so a note lights the key that
+    // plays the same pitch: its note number after the device transpose.
+    function holdMidiKey(voiceId, noteNumber, velocity) {
+        midiKeyNotes.set(voiceId, { keyIndex: getKeyIndex(noteNumber), velocity });
+        updateMidiKeyDisplay();
+    }
+
+    function releaseMidiKey(voiceId) {
+        if (midiKeyNotes.delete(voiceId)) updateMidiKeyDisplay();
+    }
+
+    // Keys held by MIDI glow more for harder hits; notes past either end of the keyboard are listed beside it.
+    function updateMidiKeyDisplay() {
+        const velocities = new Map();
+        midiKeyNotes.forEach(({ keyIndex, velocity }) => {
+            velocities.set(keyIndex, Math.max(velocity, velocities.get(keyIndex) || 0));
+        });
+        document.querySelectorAll('#piano .key.midi-active').forEach((el) => {
+            el.classList.remove('midi-active');
+            el.style.removeProperty('--midi-velocity');
+        });
+        const below = [];
+        const above = [];
+        Array.from(velocities.keys()).sort((a, b) => a - b).forEach((keyIndex) => {
+            const el = document.getElementById('key-' + keyIndex);
+            if (el) {
+                el.classList.add('midi-active');
+                el.style.setProperty('--midi-velocity', String(velocities.get(keyIndex) / 127));
+                return;
+            }
+            const name = getNoteName(keyIndex + NOTES_FIRST_MIDI_NOTE);
+            if (keyboardFirstKey !== null && keyIndex < keyboardFirstKey) below.push(name);
+            else above.push(name);
+        });
+        setRangeIndicator(keyboardBelowEl, below.length ? `◀ ${below.join(' ')}` : '');
+        setRangeIndicator(keyboardAboveEl, above.length ? `${above.join(' ')} ▶` : '');
+    }
+
+    function setRangeIndicator(el, text) {
+        if (!el) return;
+        el.innerText = text;
+        el.hidden = !text;
+    }
+
+    // `overrides` carries per-note values such as a MIDI velocity; `source` labels the note in the performance log
+    // and `noteNumber` is the MIDI note played (on-screen keys default to their own).
+    function play(freq, idx, overrides, source, noteNumber = NOTES_FIRST_MIDI_NOTE + idx) {
+        // Keys the tuning's mapping leaves out stay silent.
+        if (!Number.isFinite(freq)) return;
+        synth.playNote(freq, idx, { ...getSettings(), ...overrides }, { source, noteNumber });
         setKeyActive(idx, true);
+        // Only on-screen and computer-keyboard notes go to the MIDI output.
+        if (!isMidiVoiceId(idx)) sendMidiOutputNoteOn(idx);
     }
 
     function stop(idx) {
         synth.stopNote(idx);
         setKeyActive(idx, false);
+        sendMidiOutputNoteOff(idx);
     }
 
     function updateMidiStatus(message) {
@@ -495,12 +3493,13 @@ document.addEventListener('DOMContentLoaded', () => {
         return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
     }
 
-    function midiNoteToFrequency(noteNumber) {
-        return 440 * Math.pow(2, (noteNumber - 69) / 12);
+    // The device id keeps identical notes from two controllers apart.
+    function buildMidiVoiceId(inputId, channel, noteNumber) {
+        return `midi:${inputId}:${channel}:${noteNumber}`;
     }
 
-    function buildMidiVoiceId(channel, noteNumber) {
-        return `midi:${channel}:${noteNumber}`;
+    function isMidiVoiceId(voiceId) {
+        return String(voiceId).startsWith('midi:');
     }
 
     function getMidiDeviceLabel(input) {
@@ -516,105 +3515,677 @@ document.addEventListener('DOMContentLoaded', () => {
         return Array.from(midiAccess.inputs.values());
     }
 
-    function getMidiInputById(id) {
-        if (!id) return null;
-        const inputs = getMidiInputs();
-        return inputs.find(input => input.id === id) || null;
+    function getMidiInputConfig(inputId) {
+        if (!midiInputConfigs.has(inputId)) {
+            midiInputConfigs.set(inputId, { enabled: false, channel: null, transpose: 0 });
+        }
+        return midiInputConfigs.get(inputId);
+    }
+
+    function stopMidiNotesForInput(inputId) {
+        [midiActiveNotes, sustainedMidiNotes].forEach((notesMap) => {
+            notesMap.forEach((noteInputId, voiceId) => {
+                if (noteInputId !== inputId) return;
+                stop(voiceId);
+                notesMap.delete(voiceId);
+            });
+        });
+        sustainPedalInputs.delete(inputId);
     }
 
     function stopAllMidiNotes() {
-        midiActiveNotes.forEach((voiceId) => {
+        midiActiveNotes.forEach((inputId, voiceId) => {
+            stop(voiceId);
+        });
+        midiActiveNotes.clear();
+        sustainedMidiNotes.forEach((inputId, voiceId) => {
+            stop(voiceId);
+        });
+        sustainedMidiNotes.clear();
+        sustainPedalInputs.clear();
+        applyPitchBend(0);
+        applyModWheel(0);
+    }
+
+    function detachMidiInput(inputId) {
+        const input = attachedMidiInputs.get(inputId);
+        if (!input) return;
+        input.onmidimessage = null;
+        attachedMidiInputs.delete(inputId);
+        stopMidiNotesForInput(inputId);
+    }
+
+    function detachAllMidiInputs() {
+        Array.from(attachedMidiInputs.keys()).forEach(detachMidiInput);
+    }
+
+    function getPitchBendRange() {
+        const value = pitchBendRangeInput ? parseFloat(pitchBendRangeInput.value) : NaN;
+        return Number.isFinite(value) ? Math.min(48, Math.max(0, value)) : DEFAULT_PITCH_BEND_RANGE_SEMITONES;
+    }
+
+    function getModWheelTarget() {
+        return modWheelTargetSelect ? modWheelTargetSelect.value : 'vibrato';
+    }
+
+    // Live controller moves go through these so the performance log sees them.
+    function applyPitchBend(cents) {
+        synth.setPitchBend(cents);
+        logControlEvent({ type: 'pitchBend', cents: synth.pitchBendCents });
+    }
+
+    function applyModWheel(amount) {
+        synth.setModulation(amount, getModWheelTarget());
+        logControlEvent({ type: 'modWheel', amount: synth.modulationAmount, target: synth.modulationTarget });
+    }
+
+    function releaseSustainedMidiNotes(inputId) {
+        sustainedMidiNotes.forEach((noteInputId, voiceId) => {
+            if (noteInputId !== inputId) return;
             stop(voiceId);
+            sustainedMidiNotes.delete(voiceId);
+        });
+    }
+
+    // All Notes Off releases the device's held keys as if they were let go, so its pedal still applies.
+    function releaseAllMidiNotes(inputId) {
+        midiActiveNotes.forEach((noteInputId, voiceId) => {
+            if (noteInputId !== inputId) return;
+            if (sustainPedalInputs.has(inputId)) {
+                sustainedMidiNotes.set(voiceId, inputId);
+            } else {
+                stop(voiceId);
+            }
+            midiActiveNotes.delete(voiceId);
         });
+    }
+
+    // All Sound Off silences everything that is sounding, whatever its source.
+    function silenceAllVoices() {
         midiActiveNotes.clear();
+        sustainedMidiNotes.clear();
+        Object.keys(synth.activeVoices).forEach((voiceId) => {
+            synth.stopNote(voiceId, { releaseTime: 0 });
+            setKeyActive(voiceId, false);
+        });
+    }
+
+    // --- MIDI learn ---
+    function getLearnableSliders() {
+        return Array.from(document.querySelectorAll('.range-control input[type="range"]'));
+    }
+
+    function getSliderLabel(slider) {
+        const group = slider.closest('.control-group');
+        const label = group ? group.querySelector('label') : null;
+        const text = label ? label.innerText || label.textContent : '';
+        return text ? text.trim() : slider.id;
+    }
+
+    function loadMidiBindings() {
+        const stored = readStoredJson(MIDI_BINDINGS_STORAGE_KEY);
+        if (!Array.isArray(stored)) return [];
+        return stored
+            .filter(binding => binding
+                && typeof binding.target === 'string'
+                && Number.isInteger(binding.controller)
+                && binding.controller >= 0 && binding.controller <= MAX_LEARNABLE_CONTROLLER)
+            .map(binding => ({
+                target: binding.target,
+                controller: binding.controller,
+                channel: Number.isInteger(binding.channel) && binding.channel >= 0 && binding.channel <= 15 ? binding.channel : null
+            }));
+    }
+
+    function saveMidiBindings() {
+        writeStoredJson(MIDI_BINDINGS_STORAGE_KEY, midiBindings);
+    }
+
+    function formatMidiChannel(channel) {
+        return channel === null ? 'Any' : String(channel + 1);
+    }
+
+    function renderMidiBindings() {
+        if (!midiBindingsList) return;
+        midiBindingsList.innerHTML = '';
+        if (midiBindings.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'midi-binding-empty';
+            empty.textContent = 'No MIDI bindings';
+            midiBindingsList.appendChild(empty);
+            return;
+        }
+        midiBindings.forEach((binding, index) => {
+            const slider = document.getElementById(binding.target);
+            const item = document.createElement('li');
+            item.className = 'midi-binding';
+
+            const name = document.createElement('span');
+            name.className = 'midi-binding-target';
+            name.textContent = slider ? getSliderLabel(slider) : binding.target;
+
+            const ccInput = document.createElement('input');
+            ccInput.type = 'number';
+            ccInput.min = '0';
+            ccInput.max = String(MAX_LEARNABLE_CONTROLLER);
+            ccInput.step = '1';
+            ccInput.value = String(binding.controller);
+            ccInput.className = 'text-input number-input';
+            ccInput.setAttribute('aria-label', `Controller number for ${name.textContent}`);
+            ccInput.addEventListener('change', () => {
+                const next = parseInt(ccInput.value, 10);
+                if (Number.isInteger(next) && next >= 0 && next <= MAX_LEARNABLE_CONTROLLER) {
+                    binding.controller = next;
+                    saveMidiBindings();
+                }
+                ccInput.value = String(binding.controller);
+            });
+
+            const channelSelect = document.createElement('select');
+            channelSelect.setAttribute('aria-label', `MIDI channel for ${name.textContent}`);
+            [null, ...Array.from({ length: 16 }, (_, ch) => ch)].forEach((channel) => {
+                const option = document.createElement('option');
+                option.value = channel === null ? '' : String(channel);
+                option.textContent = `Ch ${formatMidiChannel(channel)}`;
+                channelSelect.appendChild(option);
+            });
+            channelSelect.value = binding.channel === null ? '' : String(binding.channel);
+            channelSelect.addEventListener('change', () => {
+                binding.channel = channelSelect.value === '' ? null : parseInt(channelSelect.value, 10);
+                saveMidiBindings();
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'midi-binding-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove MIDI binding for ${name.textContent}`);
+            removeBtn.addEventListener('click', () => {
+                midiBindings.splice(index, 1);
+                saveMidiBindings();
+                renderMidiBindings();
+            });
+
+            const ccLabel = document.createElement('span');
+            ccLabel.textContent = 'CC';
+            item.append(name, ccLabel, ccInput, channelSelect, removeBtn);
+            midiBindingsList.appendChild(item);
+        });
+    }
+
+    function setPendingLearnTarget(slider) {
+        getLearnableSliders().forEach(el => el.classList.toggle('midi-learn-pending', el === slider));
+        midiLearnTarget = slider ? slider.id : null;
+        if (slider) updateMidiStatus(`MIDI learn: move a control for ${getSliderLabel(slider)}`);
+    }
+
+    function setMidiLearnMode(active) {
+        midiLearnActive = active;
+        document.body.classList.toggle('midi-learn-active', active);
+        if (midiLearnBtn) {
+            midiLearnBtn.classList.toggle('midi-btn-active', active);
+            midiLearnBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+        }
+        setPendingLearnTarget(null);
+        if (active) updateMidiStatus('MIDI learn: click a slider, then move a knob');
+    }
+
+    function learnMidiBinding(channel, controller) {
+        const target = midiLearnTarget;
+        midiBindings = midiBindings.filter(binding => binding.target !== target
+            && !(binding.controller === controller && binding.channel === channel));
+        midiBindings.push({ target, controller, channel });
+        saveMidiBindings();
+        renderMidiBindings();
+        const slider = document.getElementById(target);
+        setPendingLearnTarget(null);
+        updateMidiStatus(`Bound CC ${controller} (ch ${formatMidiChannel(channel)}) to ${slider ? getSliderLabel(slider) : target}`);
+    }
+
+    // Returns true when a learned binding consumed the controller.
+    function applyMidiBindings(channel, controller, value) {
+        let handled = false;
+        midiBindings.forEach((binding) => {
+            if (binding.controller !== controller) return;
+            if (binding.channel !== null && binding.channel !== channel) return;
+            const slider = document.getElementById(binding.target);
+            if (!slider) return;
+            slider.value = mapControllerToRange(value, slider.min, slider.max, slider.step);
+            slider.dispatchEvent(new Event('input', { bubbles: true }));
+            handled = true;
+        });
+        return handled;
+    }
+
+    function handleControlChange(inputId, channel, controller, value) {
+        if (midiLearnActive && midiLearnTarget && controller <= MAX_LEARNABLE_CONTROLLER) {
+            learnMidiBinding(channel, controller);
+            return;
+        }
+        if (applyMidiBindings(channel, controller, value)) return;
+
+        if (controller === 1) {
+            applyModWheel(value / 127);
+        } else if (controller === 64) {
+            if (value >= 64) {
+                sustainPedalInputs.add(inputId);
+            } else {
+                sustainPedalInputs.delete(inputId);
+                releaseSustainedMidiNotes(inputId);
+            }
+        } else if (controller === 120) {
+            silenceAllVoices();
+        } else if (controller === 123) {
+            releaseAllMidiNotes(inputId);
+        }
+    }
+
+    // --- MPE input ---
+    function getMpeZone() {
+        const zone = mpeZoneSelect ? mpeZoneSelect.value : 'off';
+        return zone === 'lower' || zone === 'upper' ? zone : null;
+    }
+
+    function isMpeMemberChannel(channel) {
+        const zone = getMpeZone();
+        if (!zone) return false;
+        const memberCount = mpeMemberChannelsInput ? mpeMemberChannelsInput.value : MPE_MEMBER_CHANNELS;
+        return getMpeMemberChannels(zone, memberCount).includes(channel);
+    }
+
+    function getMpeBendRange() {
+        const value = mpeBendRangeInput ? parseFloat(mpeBendRangeInput.value) : NaN;
+        return Number.isFinite(value) ? Math.min(96, Math.max(0, value)) : MPE_PITCH_BEND_RANGE_SEMITONES;
+    }
+
+    function getMpePressureTarget() {
+        return mpePressureTargetSelect ? mpePressureTargetSelect.value : 'gain';
+    }
+
+    function getMpeChannelState(inputId, channel) {
+        const key = `${inputId}:${channel}`;
+        if (!mpeChannelStates.has(key)) {
+            mpeChannelStates.set(key, { bend: 0, pressure: null, timbre: null });
+        }
+        return mpeChannelStates.get(key);
+    }
+
+    function getMpeChannelExpression(state) {
+        return getMpeExpression(state.pressure, state.timbre, getMpePressureTarget());
+    }
+
+    // Held and pedal-held voices that were started on one member channel of one device.
+    function getMpeChannelVoices(inputId, channel) {
+        const prefix = buildMidiVoiceId(inputId, channel, '');
+        return [...midiActiveNotes.keys(), ...sustainedMidiNotes.keys()].filter(voiceId => voiceId.startsWith(prefix));
+    }
+
+    // Bend, pressure and CC74 on a member channel only reach the voices on that channel.
+    function handleMpeMemberMessage(inputId, channel, messageType, data1, data2) {
+        const state = getMpeChannelState(inputId, channel);
+        const voices = getMpeChannelVoices(inputId, channel);
+
+        if (messageType === 0xE0) {
+            state.bend = pitchBendToCents(data1, data2, getMpeBendRange());
+            voices.forEach((voiceId) => {
+                synth.setVoicePitchBend(voiceId, state.bend);
+                logControlEvent({ type: 'noteBend', keyId: voiceId, cents: state.bend });
+            });
+            return true;
+        }
+        if (messageType === 0xD0) {
+            state.pressure = data1;
+        } else if (messageType === 0xB0 && data1 === 74) {
+            state.timbre = data2;
+        } else {
+            return false;
+        }
+        const expression = getMpeChannelExpression(state);
+        const { pressure, timbre } = state;
+        voices.forEach((voiceId) => {
+            synth.setVoiceExpression(voiceId, expression);
+            logControlEvent({ type: 'noteExpression', keyId: voiceId, pressure, timbre, target: getMpePressureTarget() });
+        });
+        return true;
     }
 
-    function detachSelectedMidiInputListener() {
-        if (!selectedMidiInput) return;
-        selectedMidiInput.onmidimessage = null;
-        selectedMidiInput = null;
+    function resetMpeState() {
+        stopAllMidiNotes();
+        mpeChannelStates.clear();
     }
 
-    function handleMidiMessage(event) {
+    function handleMidiMessage(event, inputId = '') {
         if (!event || !event.data || event.data.length < 2) return;
         const status = event.data[0];
         const noteNumber = event.data[1];
         const velocity = event.data.length > 2 ? event.data[2] : 0;
         const messageType = status & 0xF0;
         const channel = status & 0x0F;
+        const config = getMidiInputConfig(inputId);
+
+        if (config.channel !== null && channel !== config.channel) return;
+
+        const mpeMember = isMpeMemberChannel(channel);
+        if (mpeMember && handleMpeMemberMessage(inputId, channel, messageType, event.data[1], velocity)) return;
 
+        if (messageType === 0xE0) {
+            applyPitchBend(pitchBendToCents(event.data[1], velocity, getPitchBendRange()));
+            return;
+        }
+        if (messageType === 0xB0) {
+            handleControlChange(inputId, channel, event.data[1], velocity);
+            return;
+        }
         if (messageType !== 0x80 && messageType !== 0x90) return;
 
-        const voiceId = buildMidiVoiceId(channel, noteNumber);
+        // Voices are keyed by the incoming note so a transpose change never strands a held note.
+        const voiceId = buildMidiVoiceId(inputId, channel, noteNumber);
         const isNoteOff = messageType === 0x80 || velocity === 0;
 
         if (isNoteOff) {
             if (!midiActiveNotes.has(voiceId)) return;
-            stop(voiceId);
             midiActiveNotes.delete(voiceId);
+            if (sustainPedalInputs.has(inputId)) {
+                sustainedMidiNotes.set(voiceId, inputId);
+                return;
+            }
+            stop(voiceId);
+            return;
+        }
+
+        if (midiActiveNotes.has(voiceId)) return;
+        const freq = getTunedFrequency(noteNumber + config.transpose);
+        if (freq === null) return;
+        if (sustainedMidiNotes.has(voiceId)) {
+            // Re-striking a pedal-held note retriggers it.
+            sustainedMidiNotes.delete(voiceId);
+            stop(voiceId);
+        }
+        synth.init();
+        const overrides = { velocity };
+        if (mpeMember) {
+            // MPE controllers send the note's initial bend and pressure before its note on.
+            const state = getMpeChannelState(inputId, channel);
+            overrides.voiceBend = state.bend;
+            overrides.expression = getMpeChannelExpression(state);
+        }
+        play(freq, voiceId, overrides, 'midi', noteNumber + config.transpose);
+        if (synth.activeVoices[voiceId]) holdMidiKey(voiceId, noteNumber + config.transpose, velocity);
+        midiActiveNotes.set(voiceId, inputId);
+    }
+
+    function updateMidiConnectionStatus() {
+        const connected = getMidiInputs().filter(input => attachedMidiInputs.has(input.id));
+        if (connected.length === 0) {
+            updateMidiStatus('No MIDI input enabled');
+            return;
+        }
+        updateMidiStatus(`Connected: ${connected.map(getMidiDeviceLabel).join(', ')}`);
+    }
+
+    // Attaches listeners to enabled devices and detaches disabled or vanished ones.
+    function syncMidiInputListeners() {
+        const inputs = getMidiInputs();
+        attachedMidiInputs.forEach((input, inputId) => {
+            const stillPresent = inputs.some(candidate => candidate.id === inputId);
+            if (!stillPresent || !getMidiInputConfig(inputId).enabled) detachMidiInput(inputId);
+        });
+        inputs.forEach((input) => {
+            if (!getMidiInputConfig(input.id).enabled) return;
+            input.onmidimessage = (event) => handleMidiMessage(event, input.id);
+            attachedMidiInputs.set(input.id, input);
+        });
+        updateMidiConnectionStatus();
+    }
+
+    function buildMidiInputRow(input) {
+        const config = getMidiInputConfig(input.id);
+        const label = getMidiDeviceLabel(input);
+        const row = document.createElement('div');
+        row.className = 'midi-input-row';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'midi-input-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = config.enabled;
+        checkbox.dataset.inputId = input.id;
+        checkbox.addEventListener('change', () => {
+            config.enabled = checkbox.checked;
+            syncMidiInputListeners();
+        });
+        const name = document.createElement('span');
+        name.textContent = label;
+        toggle.append(checkbox, name);
+
+        const channelSelect = document.createElement('select');
+        channelSelect.className = 'midi-input-channel';
+        channelSelect.setAttribute('aria-label', `MIDI channel filter for ${label}`);
+        [null, ...Array.from({ length: 16 }, (_, ch) => ch)].forEach((channel) => {
+            const option = document.createElement('option');
+            option.value = channel === null ? '' : String(channel);
+            option.textContent = channel === null ? 'Omni' : `Ch ${channel + 1}`;
+            channelSelect.appendChild(option);
+        });
+        channelSelect.value = config.channel === null ? '' : String(config.channel);
+        channelSelect.addEventListener('change', () => {
+            stopMidiNotesForInput(input.id);
+            config.channel = channelSelect.value === '' ? null : parseInt(channelSelect.value, 10);
+        });
+
+        const transposeInput = document.createElement('input');
+        transposeInput.type = 'number';
+        transposeInput.className = 'text-input number-input midi-input-transpose';
+        transposeInput.min = String(-MAX_MIDI_TRANSPOSE);
+        transposeInput.max = String(MAX_MIDI_TRANSPOSE);
+        transposeInput.step = '1';
+        transposeInput.value = String(config.transpose);
+        transposeInput.title = 'Transpose (semitones)';
+        transposeInput.setAttribute('aria-label', `Transpose for ${label} (semitones)`);
+        transposeInput.addEventListener('change', () => {
+            const next = parseInt(transposeInput.value, 10);
+            config.transpose = Number.isInteger(next)
+                ? Math.min(MAX_MIDI_TRANSPOSE, Math.max(-MAX_MIDI_TRANSPOSE, next))
+                : 0;
+            transposeInput.value = String(config.transpose);
+        });
+
+        row.append(toggle, channelSelect, transposeInput);
+        return row;
+    }
+
+    function populateMidiInputOptions() {
+        if (!midiInputList) return;
+        const inputs = getMidiInputs();
+        const hasInputs = inputs.length > 0;
+        const firstRun = midiInputConfigs.size === 0;
+
+        // The first device is enabled automatically the first time devices show up.
+        if (firstRun && hasInputs) {
+            getMidiInputConfig(inputs[0].id).enabled = true;
+        }
+
+        midiInputList.innerHTML = '';
+        if (!hasInputs) {
+            const empty = document.createElement('span');
+            empty.className = 'midi-binding-empty';
+            empty.textContent = 'No MIDI inputs';
+            midiInputList.appendChild(empty);
+        }
+        inputs.forEach(input => midiInputList.appendChild(buildMidiInputRow(input)));
+
+        if (!hasInputs) {
+            detachAllMidiInputs();
+            updateMidiStatus('No MIDI inputs found');
             return;
         }
 
-        if (midiActiveNotes.has(voiceId)) return;
-        synth.init();
-        play(midiNoteToFrequency(noteNumber), voiceId);
-        midiActiveNotes.set(voiceId, voiceId);
+        syncMidiInputListeners();
+    }
+
+    // --- MIDI output ---
+    function getMidiOutputs() {
+        if (!midiAccess || !midiAccess.outputs) return [];
+        return Array.from(midiAccess.outputs.values());
+    }
+
+    function isMpeOutputEnabled() {
+        return Boolean(midiOutputMpeToggle && midiOutputMpeToggle.checked);
+    }
+
+    // `timestamp` (page clock, ms) sends the message at a later time; without it, it goes out at once.
+    function sendMidiOutput(data, timestamp) {
+        if (!selectedMidiOutput) return;
+        try {
+            if (Number.isFinite(timestamp)) selectedMidiOutput.send(data, timestamp);
+            else selectedMidiOutput.send(data);
+        } catch (error) {
+            // A device that vanished mid-send is picked up by the next statechange.
+        }
+    }
+
+    function sendRpn(channel, parameter, msb, lsb = 0) {
+        const status = 0xB0 | channel;
+        sendMidiOutput([status, 101, 0, status, 100, parameter]);
+        sendMidiOutput([status, 6, msb, status, 38, lsb]);
+        // Null RPN so later data entry messages cannot change this parameter by accident.
+        sendMidiOutput([status, 101, 127, status, 100, 127]);
+    }
+
+    function sendPitchBend(channel, value) {
+        sendMidiOutput([0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F]);
+    }
+
+    // MPE Configuration Message on the manager channel, then the bend range on every member channel.
+    function configureMidiOutput() {
+        if (!selectedMidiOutput) return;
+        const mpe = isMpeOutputEnabled();
+        sendRpn(0, 6, mpe ? MPE_MEMBER_CHANNELS : 0);
+        if (!mpe) return;
+        for (let channel = 1; channel <= MPE_MEMBER_CHANNELS; channel++) {
+            sendRpn(channel, 0, MPE_PITCH_BEND_RANGE_SEMITONES);
+        }
+    }
+
+    // Rotate through member channels, skipping ones still holding a note when possible.
+    function allocateMpeChannel() {
+        const busy = new Set(Array.from(midiOutputNotes.values()).map(entry => entry.channel));
+        for (let i = 0; i < MPE_MEMBER_CHANNELS; i++) {
+            const channel = ((mpeNextChannel - 1 + i) % MPE_MEMBER_CHANNELS) + 1;
+            if (!busy.has(channel)) {
+                mpeNextChannel = (channel % MPE_MEMBER_CHANNELS) + 1;
+                return channel;
+            }
+        }
+        const channel = mpeNextChannel;
+        mpeNextChannel = (channel % MPE_MEMBER_CHANNELS) + 1;
+        return channel;
+    }
+
+    // Bends from the sent note's equal-tempered pitch, so the tuning and reference pitch carry over too.
+    function getOutputPitchBend(keyId, note) {
+        const voice = synth.activeVoices[keyId];
+        const tuningCents = voice ? 1200 * Math.log2(voice.baseFreq / midiNoteToFrequency(note)) : 0;
+        return centsToPitchBend(tuningCents + synth.getVoicePitchOffsetCents(keyId), MPE_PITCH_BEND_RANGE_SEMITONES);
+    }
+
+    // Follows each voice's drift while MPE notes are held.
+    function updateMidiOutputBends() {
+        midiOutputNotes.forEach((entry, keyId) => {
+            if (entry.bend === null || !synth.activeVoices[keyId]) return;
+            const bend = getOutputPitchBend(keyId, entry.note);
+            if (bend === entry.bend) return;
+            entry.bend = bend;
+            sendPitchBend(entry.channel, bend);
+        });
+    }
+
+    function syncMidiOutputBendTimer() {
+        const needsTimer = Array.from(midiOutputNotes.values()).some(entry => entry.bend !== null);
+        if (needsTimer && !midiOutputBendTimer) {
+            midiOutputBendTimer = window.setInterval(updateMidiOutputBends, MIDI_OUTPUT_BEND_INTERVAL_MS);
+        } else if (!needsTimer && midiOutputBendTimer) {
+            window.clearInterval(midiOutputBendTimer);
+            midiOutputBendTimer = null;
+        }
+    }
+
+    // Page-clock timestamp for an audio-clock time, for notes the synth schedules ahead.
+    function getMidiTimestamp(when) {
+        if (!Number.isFinite(when) || !synth.audioCtx) return undefined;
+        return window.performance.now() + (Math.max(0, when - synth.audioCtx.currentTime) * 1000);
+    }
+
+    // `options.velocity` overrides the default velocity; `options.when` is the note's audio-clock start.
+    function sendMidiOutputNoteOn(keyId, options = {}) {
+        const key = String(keyId);
+        const voice = synth.activeVoices[keyId];
+        if (!selectedMidiOutput || !voice || midiOutputNotes.has(key)) return;
+
+        const note = frequencyToMidiNote(voice.baseFreq);
+        if (note < 0 || note > 127) return;
+        const level = typeof options.velocity !== 'undefined' ? options.velocity : getSettings().velocity;
+        const velocity = Math.max(1, Math.round(normalizeVelocity(level) * 127));
+        const mpe = isMpeOutputEnabled();
+        const channel = mpe ? allocateMpeChannel() : 0;
+        const bend = mpe ? getOutputPitchBend(keyId, note) : null;
+        const timestamp = getMidiTimestamp(options.when);
+
+        if (mpe) sendPitchBend(channel, bend);
+        sendMidiOutput([0x90 | channel, note, velocity], timestamp);
+        midiOutputNotes.set(key, { channel, note, bend, timestamp });
+        syncMidiOutputBendTimer();
     }
 
-    function attachSelectedMidiInputListener() {
-        detachSelectedMidiInputListener();
-        if (!selectedMidiInputId) {
-            updateMidiStatus('No MIDI input selected');
-            return;
-        }
-        selectedMidiInput = getMidiInputById(selectedMidiInputId);
-        if (!selectedMidiInput) {
-            selectedMidiInputId = "";
-            updateMidiStatus('Selected device disconnected');
-            return;
-        }
-        selectedMidiInput.onmidimessage = handleMidiMessage;
-        updateMidiStatus(`Connected: ${getMidiDeviceLabel(selectedMidiInput)}`);
+    function sendMidiOutputNoteOff(keyId, when) {
+        const key = String(keyId);
+        const entry = midiOutputNotes.get(key);
+        if (!entry) return;
+        // A note off never goes out ahead of a note on that was sent for later.
+        const timestamp = Number.isFinite(entry.timestamp)
+            ? Math.max(entry.timestamp, getMidiTimestamp(when) || 0)
+            : getMidiTimestamp(when);
+        sendMidiOutput([0x80 | entry.channel, entry.note, 0], timestamp);
+        midiOutputNotes.delete(key);
+        syncMidiOutputBendTimer();
     }
 
-    function populateMidiInputOptions() {
-        if (!midiInputSelect) return;
-        const inputs = getMidiInputs();
-        const hasInputs = inputs.length > 0;
+    function releaseMidiOutputNotes() {
+        Array.from(midiOutputNotes.keys()).forEach(keyId => sendMidiOutputNoteOff(keyId));
+    }
 
-        if (selectedMidiInputId && !inputs.some(input => input.id === selectedMidiInputId)) {
-            selectedMidiInputId = "";
-            stopAllMidiNotes();
-            detachSelectedMidiInputListener();
-        }
+    function selectMidiOutput(outputId) {
+        releaseMidiOutputNotes();
+        selectedMidiOutput = getMidiOutputs().find(output => output.id === outputId) || null;
+        configureMidiOutput();
+    }
 
-        midiInputSelect.innerHTML = '';
-        const placeholder = document.createElement('option');
-        placeholder.value = '';
-        placeholder.textContent = hasInputs ? 'Select MIDI input' : 'No MIDI inputs';
-        midiInputSelect.appendChild(placeholder);
+    function populateMidiOutputOptions() {
+        if (!midiOutputSelect) return;
+        const outputs = getMidiOutputs();
+        const previousId = selectedMidiOutput ? selectedMidiOutput.id : midiOutputSelect.value;
 
-        inputs.forEach((input) => {
+        midiOutputSelect.innerHTML = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'None';
+        midiOutputSelect.appendChild(noneOption);
+        outputs.forEach((output) => {
             const option = document.createElement('option');
-            option.value = input.id;
-            option.textContent = getMidiDeviceLabel(input);
-            midiInputSelect.appendChild(option);
+            option.value = output.id;
+            option.textContent = getMidiDeviceLabel(output);
+            midiOutputSelect.appendChild(option);
         });
+        midiOutputSelect.disabled = outputs.length === 0;
 
-        if (!selectedMidiInputId && hasInputs) {
-            selectedMidiInputId = inputs[0].id;
-        }
-
-        midiInputSelect.disabled = !hasInputs;
-        midiInputSelect.value = selectedMidiInputId || '';
-
-        if (!hasInputs) {
-            detachSelectedMidiInputListener();
-            updateMidiStatus('No MIDI inputs found');
-            return;
-        }
+        const stillPresent = outputs.some(output => output.id === previousId);
+        midiOutputSelect.value = stillPresent ? previousId : '';
+        if (!stillPresent && selectedMidiOutput) selectMidiOutput('');
+    }
 
-        attachSelectedMidiInputListener();
+    function populateMidiDevices() {
+        populateMidiInputOptions();
+        populateMidiOutputOptions();
     }
 
     async function enableMidi() {
@@ -623,59 +4194,196 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         if (midiAccess) {
-            populateMidiInputOptions();
+            populateMidiDevices();
             return;
         }
         try {
             midiAccess = await navigator.requestMIDIAccess({ sysex: false });
             synth.init();
             if (typeof midiAccess.addEventListener === 'function') {
-                midiAccess.addEventListener('statechange', populateMidiInputOptions);
+                midiAccess.addEventListener('statechange', populateMidiDevices);
             } else {
-                midiAccess.onstatechange = populateMidiInputOptions;
+                midiAccess.onstatechange = populateMidiDevices;
             }
             if (midiEnableBtn) {
                 midiEnableBtn.disabled = true;
                 midiEnableBtn.textContent = 'MIDI Enabled';
             }
             if (midiRefreshBtn) midiRefreshBtn.disabled = false;
-            populateMidiInputOptions();
+            populateMidiDevices();
         } catch (error) {
             updateMidiStatus('MIDI access denied');
         }
     }
 
+    // --- MIDI file playback ---
+    const midiFilePlayer = new MidiFilePlayer(synth, {
+        getSettings,
+        noteToFrequency: getTunedFrequency,
+        onStateChange: updateMidiFileControls,
+        onPositionChange: updateMidiFilePosition,
+        onNoteOn: handleFileNoteOn,
+        onNoteOff: handleFileNoteOff
+    });
+    let midiFileName = '';
+    let midiFileSeeking = false;
+    // Performance-log replay reuses the file player's scheduler.
+    const logPlayer = new MidiFilePlayer(synth, { getSettings, onStateChange: handleLogStateChange });
+
+    // File notes light their keys and reach the MIDI output like played notes. They are scheduled up to
+    // MIDI_FILE_LOOKAHEAD_SECONDS ahead; the output messages carry the notes' own times.
+    function handleFileNoteOn(voiceId, note, when) {
+        holdMidiKey(voiceId, note.note, note.velocity);
+        sendMidiOutputNoteOn(voiceId, { velocity: note.velocity, when });
+    }
+
+    function handleFileNoteOff(voiceId, when) {
+        releaseMidiKey(voiceId);
+        sendMidiOutputNoteOff(voiceId, when);
+    }
+
+    function formatPlaybackTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    function updateMidiFilePosition(position) {
+        const duration = midiFilePlayer.getDuration();
+        if (midiFileSeek && !midiFileSeeking) midiFileSeek.value = String(position);
+        if (midiFileTimeEl) {
+            midiFileTimeEl.innerText = `${formatPlaybackTime(position)} / ${formatPlaybackTime(duration)}`;
+        }
+    }
+
+    function updateMidiFileControls(state) {
+        const loaded = Boolean(midiFilePlayer.song);
+        if (midiFilePlayBtn) midiFilePlayBtn.disabled = !loaded || state === 'playing';
+        if (midiFilePauseBtn) midiFilePauseBtn.disabled = state !== 'playing';
+        if (midiFileStopBtn) midiFileStopBtn.disabled = !loaded || state === 'stopped';
+        if (midiFileSeek) {
+            midiFileSeek.disabled = !loaded;
+            midiFileSeek.max = String(midiFilePlayer.getDuration());
+        }
+        if (midiFileStatusEl && loaded) {
+            const label = state === 'playing' ? 'Playing' : (state === 'paused' ? 'Paused' : 'Loaded');
+            midiFileStatusEl.innerText = `${label}: ${midiFileName}`;
+        }
+        updateMidiFilePosition(midiFilePlayer.getPosition());
+        updateOfflineRenderUI();
+    }
+
+    function buildMidiFileMuteToggle(labelText, onToggle) {
+        const label = document.createElement('label');
+        label.className = 'midi-file-mute';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => onToggle(!checkbox.checked));
+        const text = document.createElement('span');
+        text.textContent = labelText;
+        label.append(checkbox, text);
+        return label;
+    }
+
+    // One toggle per track that has notes and per channel in use; unticking mutes it.
+    function renderMidiFileMutes(song) {
+        if (!midiFileMutesEl) return;
+        midiFileMutesEl.innerHTML = '';
+        const groups = [
+            {
+                title: 'Tracks',
+                items: song.tracks.filter(track => track.noteCount > 0).map(track => ({
+                    label: `${track.index + 1}${track.name ? `: ${track.name}` : ''}`,
+                    toggle: muted => midiFilePlayer.setTrackMuted(track.index, muted)
+                }))
+            },
+            {
+                title: 'Channels',
+                items: song.channels.map(channel => ({
+                    label: `Ch ${channel + 1}`,
+                    toggle: muted => midiFilePlayer.setChannelMuted(channel, muted)
+                }))
+            }
+        ];
+        groups.forEach((group) => {
+            if (group.items.length === 0) return;
+            const row = document.createElement('div');
+            row.className = 'midi-file-mute-group';
+            const title = document.createElement('span');
+            title.className = 'midi-file-mute-title';
+            title.textContent = group.title;
+            row.appendChild(title);
+            group.items.forEach(item => row.appendChild(buildMidiFileMuteToggle(item.label, item.toggle)));
+            midiFileMutesEl.appendChild(row);
+        });
+    }
+
+    function readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    async function loadMidiFile(file) {
+        if (!file) return;
+        try {
+            const song = parseMidiFile(await readFileAsArrayBuffer(file));
+            midiFileName = file.name;
+            midiFilePlayer.load(song);
+            renderMidiFileMutes(song);
+        } catch (error) {
+            midiFilePlayer.stop();
+            if (midiFileStatusEl) midiFileStatusEl.innerText = `Could not load ${file.name}: ${error.message}`;
+        }
+    }
+
     // Build Piano UI
     const pianoDiv = document.getElementById('piano');
+    const pianoScroll = document.getElementById('pianoScroll');
+    const keyboardStartSelect = document.getElementById('keyboardStart');
+    const keyboardOctavesInput = document.getElementById('keyboardOctaves');
+    const keyboardZoomSlider = document.getElementById('keyboardZoom');
+    const keyboardZoomVal = document.getElementById('keyboardZoomVal');
+    const keyboardBelowEl = document.getElementById('keyboardBelow');
+    const keyboardAboveEl = document.getElementById('keyboardAbove');
+    // Key index of the lowest rendered key.
+    let keyboardFirstKey = null;
 
-    notes.forEach((n, idx) => {
+    // On-screen keys are numbered in semitones from middle C, so the computer-keyboard notes keep their ids.
+    function getKeyIndex(noteNumber) {
+        return noteNumber - NOTES_FIRST_MIDI_NOTE;
+    }
+
+    function createKeyElement(key) {
+        const idx = getKeyIndex(key.noteNumber);
         const div = document.createElement('div');
-        div.id = 'key-' + idx; // Use index as ID for stability
-        div.classList.add('key');
-        
-        // Classes for styling
-        if (n.type === 'white') {
-            div.classList.add('white-key');
-        } else {
-            div.classList.add('black-key');
-            // Positioning logic
-            if(idx === 1) div.classList.add('bk-1');
-            if(idx === 3) div.classList.add('bk-2');
-            if(idx === 6) div.classList.add('bk-3');
-            if(idx === 8) div.classList.add('bk-4');
-            if(idx === 10) div.classList.add('bk-5');
-            if(idx === 13) div.classList.add('bk-6');
-            if(idx === 15) div.classList.add('bk-7');
-        }
+        div.id = 'key-' + idx;
+        div.classList.add('key', key.type === 'white' ? 'white-key' : 'black-key');
+        div.title = key.name;
+        if (key.type === 'black') div.style.setProperty('--white-offset', String(key.whiteOffset));
 
         // Label
-        const label = n.keyUS.toUpperCase();
-        div.innerHTML = `<span class="key-hint" id="hint-${idx}">${label}</span>`;
+        if (notes[idx]) {
+            const label = getKeyForLayout(notes[idx], currentLayout).toUpperCase();
+            div.innerHTML = `<span class="key-hint" id="hint-${idx}">${label}</span>`;
+        }
 
         // Touch Interaction (for lower latency on mobile)
         div.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            play(n.freq, idx);
+            play(getKeyFrequency(idx), idx, undefined, 'pointer');
         }, { passive: false });
 
         div.addEventListener('touchend', (e) => {
@@ -691,7 +4399,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Pointer Interaction (Mouse & Touch)
         div.addEventListener('pointerdown', (e) => {
             e.preventDefault();
-            play(n.freq, idx);
+            play(getKeyFrequency(idx), idx, undefined, 'pointer');
             div.setPointerCapture(e.pointerId); // Keep receiving events even if sliding off
         });
         
@@ -706,9 +4414,86 @@ document.addEventListener('DOMContentLoaded', () => {
             div.releasePointerCapture(e.pointerId);
             stop(idx);
         });
-        
-        pianoDiv.appendChild(div);
-    });
+
+        return div;
+    }
+
+    function readKeyboardStart() {
+        const start = keyboardStartSelect ? parseInt(keyboardStartSelect.value, 10) : NaN;
+        return Number.isInteger(start) ? start : DEFAULT_KEYBOARD_START;
+    }
+
+    function readKeyboardOctaves() {
+        return Math.round(readNumberInput(keyboardOctavesInput, DEFAULT_KEYBOARD_OCTAVES));
+    }
+
+    function updateKeyboardZoom() {
+        const zoom = keyboardZoomSlider ? parseFloat(keyboardZoomSlider.value) || 100 : 100;
+        if (pianoDiv) pianoDiv.style.setProperty('--white-key-width', `${(WHITE_KEY_WIDTH_PX * zoom) / 100}px`);
+        if (keyboardZoomVal) keyboardZoomVal.innerText = `${zoom}%`;
+    }
+
+    // Rebuilds the keys and scrolls middle C into the middle when the keyboard is wider than the page.
+    function renderKeyboard() {
+        if (!pianoDiv) return;
+        pianoDiv.innerHTML = '';
+        const keys = buildKeyboardLayout(readKeyboardStart(), readKeyboardOctaves());
+        keys.forEach(key => pianoDiv.appendChild(createKeyElement(key)));
+        keyboardFirstKey = getKeyIndex(keys[0].noteNumber);
+        // Held notes stay lit on the new keys.
+        Object.keys(synth.activeVoices).forEach(keyId => setKeyActive(keyId, true));
+        updateMidiKeyDisplay();
+        const middleC = document.getElementById('key-0');
+        if (pianoScroll && middleC) {
+            pianoScroll.scrollLeft = Math.max(0, middleC.offsetLeft - ((pianoScroll.clientWidth - middleC.offsetWidth) / 2));
+        }
+    }
+
+    function saveKeyboardSettings() {
+        writeStoredJson(KEYBOARD_STORAGE_KEY, {
+            start: readKeyboardStart(),
+            octaves: readKeyboardOctaves(),
+            zoom: keyboardZoomSlider ? keyboardZoomSlider.value : '100'
+        });
+    }
+
+    function loadKeyboardSettings() {
+        const stored = readStoredJson(KEYBOARD_STORAGE_KEY);
+        if (!stored) return;
+        if (keyboardStartSelect && Array.from(keyboardStartSelect.options).some(option => option.value === String(stored.start))) {
+            keyboardStartSelect.value = String(stored.start);
+        }
+        if (keyboardOctavesInput && Number.isInteger(stored.octaves)) {
+            keyboardOctavesInput.value = String(Math.min(MAX_KEYBOARD_OCTAVES, Math.max(MIN_KEYBOARD_OCTAVES, stored.octaves)));
+        }
+        if (keyboardZoomSlider && typeof stored.zoom !== 'undefined') {
+            const zoom = clampRangeValue(stored.zoom, keyboardZoomSlider.min, keyboardZoomSlider.max, keyboardZoomSlider.step);
+            if (zoom !== null) keyboardZoomSlider.value = zoom;
+        }
+    }
+
+    loadKeyboardSettings();
+    updateKeyboardZoom();
+    renderKeyboard();
+    if (keyboardStartSelect) {
+        keyboardStartSelect.addEventListener('change', () => {
+            renderKeyboard();
+            saveKeyboardSettings();
+        });
+    }
+    if (keyboardOctavesInput) {
+        keyboardOctavesInput.addEventListener('change', () => {
+            keyboardOctavesInput.value = String(readKeyboardOctaves());
+            renderKeyboard();
+            saveKeyboardSettings();
+        });
+    }
+    if (keyboardZoomSlider) {
+        keyboardZoomSlider.addEventListener('input', () => {
+            updateKeyboardZoom();
+            saveKeyboardSettings();
+        });
+    }
 
     // Helper to get active key for current layout
     function getKeyForLayout(note, layout) {
@@ -724,9 +4509,18 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    function isTextEntryTarget(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable) return true;
+        if (target.tagName === 'TEXTAREA') return true;
+        if (target.tagName !== 'INPUT') return false;
+        return ['text', 'number', 'search', 'url'].includes(target.type);
+    }
+
     // Keyboard Interaction
     window.addEventListener('keydown', (e) => {
         if (e.repeat) return;
+        if (isTextEntryTarget(e.target)) return;
         const k = e.key.toLowerCase();
         
         // Octave shortcuts (Layout aware)
@@ -750,10 +4544,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const noteIdx = notes.findIndex(n => getKeyForLayout(n, currentLayout) === k);
         
         if (noteIdx !== -1) {
-            play(notes[noteIdx].freq, noteIdx);
+            play(getKeyFrequency(noteIdx), noteIdx, undefined, 'keyboard');
         }
     });
 
+    // Key releases are not filtered: a note held while focus moves into a text field still has to stop.
     window.addEventListener('keyup', (e) => {
         const k = e.key.toLowerCase();
         const noteIdx = notes.findIndex(n => getKeyForLayout(n, currentLayout) === k);
@@ -769,6 +4564,66 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('varianceVal').innerText = e.target.value;
     });
 
+    const varianceDistributionSelect = document.getElementById('varianceDistribution');
+    const varianceLabel = document.getElementById('varianceLabel');
+    const varianceShapeGroup = document.getElementById('varianceShapeGroup');
+    const varianceShapeLabel = document.getElementById('varianceShapeLabel');
+    const varianceShapeSlider = document.getElementById('varianceShape');
+    const varianceShapeVal = document.getElementById('varianceShapeVal');
+    const varianceDefaults = {};
+    let currentVarianceDistribution = varianceDistributionSelect ? varianceDistributionSelect.value : 'gaussian';
+
+    function getVarianceDistributionConfig(distribution) {
+        return VARIANCE_DISTRIBUTIONS[distribution] || VARIANCE_DISTRIBUTIONS.gaussian;
+    }
+
+    function readVarianceValues() {
+        return {
+            amount: varianceSlider.value,
+            shape: varianceShapeSlider ? varianceShapeSlider.value : ''
+        };
+    }
+
+    function setVarianceValues(distribution, values) {
+        const config = getVarianceDistributionConfig(distribution);
+        const stored = values || {};
+        varianceSlider.value = typeof stored.amount !== 'undefined' ? stored.amount : '0';
+        varianceSlider.dispatchEvent(new Event('input', { bubbles: true }));
+
+        if (varianceShapeGroup) varianceShapeGroup.hidden = !config.shape;
+        if (!varianceShapeSlider || !config.shape) return;
+        // Range attributes first, so the restored value is not clamped to the previous mode's range.
+        varianceShapeSlider.min = config.shape.min;
+        varianceShapeSlider.max = config.shape.max;
+        varianceShapeSlider.step = config.shape.step;
+        varianceShapeSlider.value = typeof stored.shape !== 'undefined' && stored.shape !== '' ? stored.shape : config.shape.value;
+        varianceShapeSlider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function updateVarianceLabels() {
+        const config = getVarianceDistributionConfig(currentVarianceDistribution);
+        if (varianceLabel) varianceLabel.innerText = config.amountLabel;
+        if (varianceShapeLabel && config.shape) varianceShapeLabel.innerText = config.shape.label;
+    }
+
+    if (varianceShapeSlider) {
+        varianceShapeSlider.addEventListener('input', (e) => {
+            if (varianceShapeVal) varianceShapeVal.innerText = e.target.value;
+        });
+    }
+
+    if (varianceDistributionSelect) {
+        varianceDistributionSelect.addEventListener('change', () => {
+            const toMode = varianceDistributionSelect.value;
+            varianceDefaults[currentVarianceDistribution] = readVarianceValues();
+            currentVarianceDistribution = toMode;
+            setVarianceValues(toMode, varianceDefaults[toMode]);
+            updateVarianceLabels();
+        });
+        setVarianceValues(currentVarianceDistribution, readVarianceValues());
+        updateVarianceLabels();
+    }
+
     const driftDirSlider = document.getElementById('driftDirection');
     driftDirSlider.addEventListener('input', (e) => {
         document.getElementById('driftDirectionVal').innerText = e.target.value + "%";
@@ -905,41 +4760,556 @@ document.addEventListener('DOMContentLoaded', () => {
         updateDriftLabels();
     }
 
+    const driftShapeSelect = document.getElementById('driftShape');
+    const driftTimeGroup = document.getElementById('driftTimeGroup');
+    const driftTimeLabel = document.getElementById('driftTimeLabel');
+    const driftTimeSlider = document.getElementById('driftTime');
+
+    function updateDriftShapeControls() {
+        if (!driftShapeSelect) return;
+        const shape = DRIFT_SHAPES[driftShapeSelect.value] || DRIFT_SHAPES.linear;
+        if (driftTimeGroup) driftTimeGroup.hidden = !shape.timeLabel;
+        if (driftTimeLabel && shape.timeLabel) driftTimeLabel.innerText = shape.timeLabel;
+    }
+
+    if (driftShapeSelect) {
+        driftShapeSelect.addEventListener('change', updateDriftShapeControls);
+        updateDriftShapeControls();
+    }
+    if (driftTimeSlider) {
+        driftTimeSlider.addEventListener('input', (e) => {
+            const valueEl = document.getElementById('driftTimeVal');
+            if (valueEl) valueEl.innerText = e.target.value;
+        });
+    }
+
+    [
+        { id: 'attack', suffix: ' ms' },
+        { id: 'decay', suffix: ' ms' },
+        { id: 'sustain', suffix: '%' },
+        { id: 'release', suffix: ' ms' },
+        { id: 'defaultVelocity', suffix: '' },
+        { id: 'velocityToCutoff', suffix: '%' },
+        { id: 'velocityToVariance', suffix: '%' }
+    ].forEach(({ id, suffix }) => {
+        const slider = document.getElementById(id);
+        const valueEl = document.getElementById(`${id}Val`);
+        if (!slider || !valueEl) return;
+        slider.addEventListener('input', (e) => {
+            valueEl.innerText = e.target.value + suffix;
+        });
+    });
+
     const cutoffSlider = document.getElementById('cutoff');
     cutoffSlider.addEventListener('input', (e) => {
         const val = e.target.value;
         document.getElementById('cutoffVal').innerText = val;
         
         // Update active voices in real-time
-        if (synth && synth.activeVoices && synth.audioCtx) {
-            const now = synth.audioCtx.currentTime;
-            Object.values(synth.activeVoices).forEach(voice => {
-                if (voice.filter) {
-                    voice.filter.frequency.setValueAtTime(val, now);
+        synth.setCutoff(val);
+    });
+
+    // --- voice monitor ---
+    const voiceMonitorEl = document.getElementById('voiceMonitor');
+    const voiceMonitorEmptyEl = document.getElementById('voiceMonitorEmpty');
+    // One row per sounding voice, keyed by voice id.
+    const voiceMonitorRows = new Map();
+    let voiceMonitorTimer = null;
+
+    function createVoiceMonitorRow() {
+        const row = document.createElement('li');
+        row.className = 'voice-row';
+        const note = document.createElement('span');
+        note.className = 'voice-note';
+        const meter = document.createElement('div');
+        meter.className = 'voice-meter';
+        const start = document.createElement('span');
+        start.className = 'voice-start-marker';
+        const needle = document.createElement('span');
+        needle.className = 'voice-needle';
+        meter.append(start, needle);
+        const detail = document.createElement('span');
+        detail.className = 'voice-detail';
+        row.append(note, meter, detail);
+        return { row, note, start, needle, detail };
+    }
+
+    // The marker shows where the note started, the needle where it is now.
+    function updateVoiceMonitor() {
+        if (!voiceMonitorEl) return;
+        const deviations = synth.audioCtx ? synth.getVoiceDeviations() : [];
+        const sounding = new Set();
+        deviations.forEach((voice) => {
+            sounding.add(voice.keyId);
+            let entry = voiceMonitorRows.get(voice.keyId);
+            if (!entry) {
+                entry = createVoiceMonitorRow();
+                voiceMonitorRows.set(voice.keyId, entry);
+                voiceMonitorEl.appendChild(entry.row);
+            }
+            const totalCents = voice.startCents + voice.driftCents;
+            entry.note.innerText = getNoteName(voice.noteNumber);
+            entry.start.style.left = `${getMeterPosition(voice.startCents)}%`;
+            entry.needle.style.left = `${getMeterPosition(totalCents)}%`;
+            entry.needle.classList.toggle('off-scale', Math.abs(totalCents) > VOICE_METER_RANGE_CENTS);
+            entry.detail.innerText = `start ${formatCents(voice.startCents)} · drift ${formatCents(voice.driftCents)} `
+                + DRIFT_DIRECTION_SYMBOLS[voice.direction];
+        });
+        voiceMonitorRows.forEach((entry, keyId) => {
+            if (sounding.has(keyId)) return;
+            entry.row.remove();
+            voiceMonitorRows.delete(keyId);
+        });
+        if (voiceMonitorEmptyEl) voiceMonitorEmptyEl.hidden = voiceMonitorRows.size > 0;
+    }
+
+    // Redraws now and keeps redrawing while any voice is listed.
+    function syncVoiceMonitor() {
+        updateVoiceMonitor();
+        const needsTimer = voiceMonitorRows.size > 0;
+        if (needsTimer && !voiceMonitorTimer) {
+            voiceMonitorTimer = window.setInterval(updateVoiceMonitor, VOICE_MONITOR_INTERVAL_MS);
+        } else if (!needsTimer && voiceMonitorTimer) {
+            window.clearInterval(voiceMonitorTimer);
+            voiceMonitorTimer = null;
+        }
+    }
+
+    // --- tuning ---
+    const tuningSelect = document.getElementById('tuning');
+    const tuningEdoInput = document.getElementById('tuningEdo');
+    const referencePitchInput = document.getElementById('referencePitch');
+    const referenceStandardSelect = document.getElementById('referenceStandard');
+    const scalaImportInput = document.getElementById('scalaImport');
+    const tuningClearMappingBtn = document.getElementById('tuningClearMapping');
+    const tuningStatusEl = document.getElementById('tuningStatus');
+
+    // MIDI note number -> frequency in the current tuning, or null for a key the mapping leaves out.
+    function getTunedFrequency(noteNumber) {
+        return tuningNoteToFrequency(tuning, noteNumber, referencePitch);
+    }
+
+    function getKeyFrequency(idx) {
+        return getTunedFrequency(NOTES_FIRST_MIDI_NOTE + idx);
+    }
+
+    function setTuningStatus(message) {
+        if (tuningStatusEl) tuningStatusEl.innerText = message;
+    }
+
+    function readNumberInput(input, fallback) {
+        if (!input) return fallback;
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) return fallback;
+        const { low, high } = getRangeBounds(input.min, input.max);
+        return Math.min(high, Math.max(low, value));
+    }
+
+    // Rebuilds the tuning from the controls. Notes already sounding keep their pitch.
+    function updateTuning() {
+        const choice = tuningSelect ? tuningSelect.value : '12-tet';
+        referencePitch = readNumberInput(referencePitchInput, STANDARD_REFERENCE_PITCH);
+        if (choice === 'scala' && scalaScale) {
+            tuning = createTuning(scalaScale.description || scalaScaleName, scalaScale);
+        } else {
+            tuning = getBuiltinTuning(choice, readNumberInput(tuningEdoInput, 12));
+        }
+        let status = tuning.name;
+        if (scalaMappingText) {
+            try {
+                tuning.mapping = parseScalaMapping(scalaMappingText, tuning.scale.cents.length);
+                status = `${tuning.name} · ${scalaMappingName}`;
+            } catch (error) {
+                scalaMappingText = null;
+                status = `Could not map ${scalaMappingName}: ${error.message}`;
+            }
+        }
+        if (tuningEdoInput) tuningEdoInput.disabled = choice !== 'edo';
+        if (tuningClearMappingBtn) tuningClearMappingBtn.disabled = !scalaMappingText;
+        // A loaded .kbm sets its own reference frequency, so A4 has nothing to move.
+        if (referencePitchInput) referencePitchInput.disabled = Boolean(scalaMappingText);
+        if (referenceStandardSelect) referenceStandardSelect.disabled = Boolean(scalaMappingText);
+        setTuningStatus(status);
+    }
+
+    // The standards menu shows the entered pitch, or Custom for any other value.
+    function syncReferenceStandard() {
+        if (!referenceStandardSelect) return;
+        const match = Array.from(referenceStandardSelect.options)
+            .find(option => parseFloat(option.value) === referencePitch);
+        referenceStandardSelect.value = match ? match.value : 'custom';
+    }
+
+    function updateReferencePitch() {
+        updateTuning();
+        syncReferenceStandard();
+    }
+
+    // A .scl file becomes the Scala choice; a .kbm file maps whichever scale is chosen.
+    async function importScalaFiles(fileList) {
+        // Scales first, so a mapping in the same selection is checked against the new scale.
+        const files = Array.from(fileList || []).sort((a, b) => /\.kbm$/i.test(a.name) - /\.kbm$/i.test(b.name));
+        if (!files.length) return;
+        let current = null;
+        try {
+            for (const file of files) {
+                current = file;
+                const text = await readFileAsText(file);
+                if (/\.kbm$/i.test(file.name)) {
+                    parseScalaMapping(text, tuning.scale.cents.length);
+                    scalaMappingText = text;
+                    scalaMappingName = file.name;
+                } else {
+                    scalaScale = parseScalaScale(text);
+                    scalaScaleName = file.name;
+                    const option = tuningSelect && tuningSelect.querySelector('option[value="scala"]');
+                    if (option) {
+                        option.disabled = false;
+                        option.textContent = `Scala: ${file.name}`;
+                    }
+                    if (tuningSelect) tuningSelect.value = 'scala';
                 }
+                updateTuning();
+            }
+        } catch (error) {
+            updateTuning();
+            setTuningStatus(`Could not load ${current.name}: ${error.message}`);
+        }
+    }
+
+    if (tuningSelect) tuningSelect.addEventListener('change', updateTuning);
+    if (tuningEdoInput) tuningEdoInput.addEventListener('input', updateTuning);
+    if (referencePitchInput) {
+        referencePitchInput.addEventListener('input', updateReferencePitch);
+        // Out-of-range entries snap to the pitch actually in use.
+        referencePitchInput.addEventListener('change', () => {
+            updateReferencePitch();
+            referencePitchInput.value = String(referencePitch);
+        });
+    }
+    if (referenceStandardSelect) {
+        referenceStandardSelect.addEventListener('change', () => {
+            if (referenceStandardSelect.value === 'custom') {
+                if (referencePitchInput) referencePitchInput.focus();
+                return;
+            }
+            if (referencePitchInput) referencePitchInput.value = referenceStandardSelect.value;
+            updateReferencePitch();
+        });
+    }
+    if (scalaImportInput) {
+        scalaImportInput.addEventListener('change', (e) => importScalaFiles(e.target.files));
+    }
+    if (tuningClearMappingBtn) {
+        tuningClearMappingBtn.addEventListener('click', () => {
+            scalaMappingText = null;
+            scalaMappingName = '';
+            updateTuning();
+        });
+    }
+    updateReferencePitch();
+
+    // --- presets ---
+    const presetSelect = document.getElementById('presetSelect');
+    const presetNameInput = document.getElementById('presetName');
+    const presetSaveBtn = document.getElementById('presetSave');
+    const presetDeleteBtn = document.getElementById('presetDelete');
+    const presetExportBtn = document.getElementById('presetExport');
+    const presetImportInput = document.getElementById('presetImport');
+    const presetStatusEl = document.getElementById('presetStatus');
+    let userPresets = loadUserPresets();
+
+    function loadUserPresets() {
+        const stored = readStoredJson(PRESETS_STORAGE_KEY);
+        return Array.isArray(stored) ? stored.map(normalizePreset).filter(Boolean) : [];
+    }
+
+    function saveUserPresets() {
+        writeStoredJson(PRESETS_STORAGE_KEY, userPresets);
+    }
+
+    function setPresetStatus(message) {
+        if (presetStatusEl) presetStatusEl.innerText = message;
+    }
+
+    // Option values are `factory:<index>` and `user:<name>`.
+    function findPreset(value) {
+        const [group, ...rest] = String(value).split(':');
+        const key = rest.join(':');
+        if (group === 'factory') return FACTORY_PRESETS[Number(key)] || null;
+        if (group === 'user') return userPresets.find(preset => preset.name === key) || null;
+        return null;
+    }
+
+    function renderPresetOptions(selected = presetSelect ? presetSelect.value : '') {
+        if (presetSelect) {
+            presetSelect.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Choose a preset';
+            presetSelect.appendChild(placeholder);
+            [
+                { label: 'Factory', group: 'factory', presets: FACTORY_PRESETS },
+                { label: 'My Presets', group: 'user', presets: userPresets }
+            ].forEach(({ label, group, presets }) => {
+                if (!presets.length) return;
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = label;
+                presets.forEach((preset, index) => {
+                    const option = document.createElement('option');
+                    option.value = group === 'factory' ? `factory:${index}` : `user:${preset.name}`;
+                    option.textContent = preset.name;
+                    optgroup.appendChild(option);
+                });
+                presetSelect.appendChild(optgroup);
             });
+            presetSelect.value = findPreset(selected) ? selected : '';
         }
-    });
+        updatePresetControls();
+    }
+
+    function updatePresetControls() {
+        const selected = presetSelect ? presetSelect.value : '';
+        if (presetDeleteBtn) presetDeleteBtn.disabled = !selected.startsWith('user:');
+        if (presetExportBtn) presetExportBtn.disabled = userPresets.length === 0;
+    }
+
+    // The current patch; the drift mode not shown keeps the values it will restore when switched to.
+    function capturePatchSettings(controls = PRESET_CONTROLS) {
+        const settings = {};
+        Object.entries(controls).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el) settings[key] = el.value;
+        });
+        const mode = driftModeToggle && driftModeToggle.checked ? 'uniform' : 'gaussian';
+        settings.octaveShift = octaveShift;
+        settings.driftMode = mode;
+        settings.driftModes = {
+            gaussian: { ...driftDefaults.gaussian },
+            uniform: { ...driftDefaults.uniform },
+            [mode]: readDriftValues()
+        };
+        return settings;
+    }
+
+    // Selects only take one of their enabled options; range and number values are clamped to the
+    // input's min/max and step.
+    // The control's own input/change handler runs, so labels and sounding voices follow.
+    function setControlValue(el, value) {
+        let next = String(value);
+        if (el.tagName === 'SELECT') {
+            if (!Array.from(el.options).some(option => option.value === next && !option.disabled)) return;
+        } else if (el.type === 'range' || el.type === 'number') {
+            next = clampRangeValue(value, el.min, el.max, el.step);
+            if (next === null) return;
+        }
+        el.value = next;
+        el.dispatchEvent(new Event(el.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+    }
+
+    // Drift memories are checked against the mean and spread sliders they will be shown on.
+    function clampDriftValues(values) {
+        if (!values || !driftMeanSlider || !driftSpreadSlider) return null;
+        const mean = clampRangeValue(values.mean, driftMeanSlider.min, driftMeanSlider.max, driftMeanSlider.step);
+        const spread = clampRangeValue(values.spread, driftSpreadSlider.min, driftSpreadSlider.max, driftSpreadSlider.step);
+        return mean === null || spread === null ? null : { mean, spread };
+    }
+
+    function applyPatchSettings(settings, controls = PRESET_CONTROLS) {
+        Object.entries(controls).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el && typeof settings[key] !== 'undefined') setControlValue(el, settings[key]);
+        });
+        if (Number.isInteger(settings.octaveShift)) {
+            octaveShift = clampOctaveShift(settings.octaveShift);
+            updateOctaveDisplay();
+        }
+        if (settings.driftModes) {
+            DRIFT_MODES.forEach((mode) => {
+                const values = clampDriftValues(settings.driftModes[mode]);
+                if (values) driftDefaults[mode] = values;
+            });
+        }
+        if (driftModeToggle && settings.driftMode) driftModeToggle.checked = settings.driftMode === 'uniform';
+        const mode = driftModeToggle && driftModeToggle.checked ? 'uniform' : 'gaussian';
+        if (settings.driftModes && settings.driftModes[mode]) setDriftValues(driftDefaults[mode]);
+        updateDriftLabels();
+        if (mode === 'uniform') enforceUniformMinMax('mean');
+    }
+
+    function loadSelectedPreset() {
+        const preset = findPreset(presetSelect.value);
+        updatePresetControls();
+        if (!preset) return;
+        applyPatchSettings(preset.settings);
+        if (presetNameInput) presetNameInput.value = preset.name;
+        setPresetStatus(`Loaded ${preset.name}`);
+    }
+
+    // Saving under an existing name replaces that preset.
+    function saveCurrentPreset() {
+        const name = presetNameInput ? presetNameInput.value.trim() : '';
+        if (!name) {
+            setPresetStatus('Enter a name to save the preset');
+            return;
+        }
+        const preset = { name, settings: capturePatchSettings() };
+        const index = userPresets.findIndex(existing => existing.name === name);
+        if (index === -1) userPresets.push(preset);
+        else userPresets[index] = preset;
+        saveUserPresets();
+        renderPresetOptions(`user:${name}`);
+        setPresetStatus(`Saved ${name}`);
+    }
+
+    function deleteSelectedPreset() {
+        const preset = findPreset(presetSelect.value);
+        if (!preset || !presetSelect.value.startsWith('user:')) return;
+        userPresets = userPresets.filter(existing => existing !== preset);
+        saveUserPresets();
+        renderPresetOptions('');
+        setPresetStatus(`Deleted ${preset.name}`);
+    }
+
+    function exportPresets() {
+        if (!userPresets.length) return;
+        const blob = new Blob([JSON.stringify(buildPresetFile(userPresets), null, 2)], { type: 'application/json' });
+        downloadBlob(blob, timestampedName('json', 'presets'));
+    }
+
+    // Imported presets replace saved ones of the same name.
+    async function importPresets(file) {
+        if (!file) return;
+        try {
+            const imported = parsePresetFile(await readFileAsText(file));
+            imported.forEach((preset) => {
+                userPresets = userPresets.filter(existing => existing.name !== preset.name);
+                userPresets.push(preset);
+            });
+            saveUserPresets();
+            renderPresetOptions();
+            setPresetStatus(`Imported ${imported.length} presets from ${file.name}`);
+        } catch (error) {
+            setPresetStatus(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+
+    if (presetSelect) presetSelect.addEventListener('change', loadSelectedPreset);
+    if (presetSaveBtn) presetSaveBtn.addEventListener('click', saveCurrentPreset);
+    if (presetDeleteBtn) presetDeleteBtn.addEventListener('click', deleteSelectedPreset);
+    if (presetExportBtn) presetExportBtn.addEventListener('click', exportPresets);
+    if (presetImportInput) {
+        presetImportInput.addEventListener('change', (e) => importPresets(e.target.files && e.target.files[0]));
+    }
+    renderPresetOptions();
+
+    function updateSeedUI() {
+        if (seedRewindBtn) seedRewindBtn.disabled = synth.seed === '';
+    }
+
+    if (seedInput) {
+        seedInput.addEventListener('change', () => {
+            synth.setSeed(seedInput.value);
+            seedInput.value = synth.seed;
+            updateSeedUI();
+        });
+    }
+    if (seedRewindBtn) {
+        seedRewindBtn.addEventListener('click', () => synth.resetRandom());
+    }
+    updateSeedUI();
 
     if (recordStartBtn) {
         recordStartBtn.addEventListener('click', startRecording);
     }
     if (recordStopBtn) {
-        recordStopBtn.addEventListener('click', stopRecording);
+        recordStopBtn.addEventListener('click', () => stopRecording());
+    }
+    if (recordFormatSelect) {
+        recordFormatSelect.addEventListener('change', () => {
+            updateRecordFormatUI();
+            syncPreRollCapture();
+        });
+    }
+    if (recordPreRollSelect) recordPreRollSelect.addEventListener('change', syncPreRollCapture);
+    updateRecordFormatUI();
+    if (renderSourceSelect) renderSourceSelect.addEventListener('change', updateOfflineRenderUI);
+    if (renderOfflineBtn) renderOfflineBtn.addEventListener('click', exportOffline);
+    updateOfflineRenderUI();
+
+    if (logStartBtn) logStartBtn.addEventListener('click', startPerformanceLog);
+    if (logEndBtn) logEndBtn.addEventListener('click', stopPerformanceLog);
+    if (logReplayBtn) logReplayBtn.addEventListener('click', replayPerformanceLog);
+    if (logStopBtn) logStopBtn.addEventListener('click', () => logPlayer.stop());
+    if (logExportBtn) logExportBtn.addEventListener('click', exportPerformanceLog);
+    if (logExportMidiBtn) logExportMidiBtn.addEventListener('click', exportPerformanceMidi);
+    if (logImportInput) {
+        logImportInput.addEventListener('change', (e) => importPerformanceLog(e.target.files && e.target.files[0]));
+    }
+    updateLogControls();
+
+    if (midiFileInput) {
+        midiFileInput.addEventListener('change', (e) => loadMidiFile(e.target.files && e.target.files[0]));
+    }
+    if (midiFilePlayBtn) midiFilePlayBtn.addEventListener('click', () => midiFilePlayer.play());
+    if (midiFilePauseBtn) midiFilePauseBtn.addEventListener('click', () => midiFilePlayer.pause());
+    if (midiFileStopBtn) midiFileStopBtn.addEventListener('click', () => midiFilePlayer.stop());
+    if (midiFileSeek) {
+        // Dragging only previews the time; the seek happens on release.
+        midiFileSeek.addEventListener('input', (e) => {
+            midiFileSeeking = true;
+            if (midiFileTimeEl) {
+                const duration = formatPlaybackTime(midiFilePlayer.getDuration());
+                midiFileTimeEl.innerText = `${formatPlaybackTime(parseFloat(e.target.value))} / ${duration}`;
+            }
+        });
+        midiFileSeek.addEventListener('change', (e) => {
+            midiFileSeeking = false;
+            midiFilePlayer.seek(e.target.value);
+        });
+    }
+    if (midiFileTempoInput) {
+        midiFileTempoInput.addEventListener('input', (e) => {
+            midiFilePlayer.setTempoScale(parseFloat(e.target.value) / 100);
+            const valueLabel = document.getElementById('midiFileTempoVal');
+            if (valueLabel) valueLabel.innerText = `${e.target.value}%`;
+        });
     }
 
     if (midiEnableBtn) {
         midiEnableBtn.addEventListener('click', enableMidi);
     }
-    if (midiInputSelect) {
-        midiInputSelect.addEventListener('change', (e) => {
-            stopAllMidiNotes();
-            selectedMidiInputId = e.target.value || '';
-            attachSelectedMidiInputListener();
+    if (midiRefreshBtn) {
+        midiRefreshBtn.addEventListener('click', () => populateMidiDevices());
+    }
+    [mpeZoneSelect, mpeMemberChannelsInput].forEach((control) => {
+        if (control) control.addEventListener('change', resetMpeState);
+    });
+    if (midiOutputSelect) {
+        midiOutputSelect.addEventListener('change', (e) => selectMidiOutput(e.target.value));
+    }
+    if (midiOutputMpeToggle) {
+        midiOutputMpeToggle.addEventListener('change', () => {
+            releaseMidiOutputNotes();
+            configureMidiOutput();
         });
     }
-    if (midiRefreshBtn) {
-        midiRefreshBtn.addEventListener('click', () => populateMidiInputOptions());
+    midiBindings = loadMidiBindings();
+    renderMidiBindings();
+    if (midiLearnBtn) {
+        midiLearnBtn.addEventListener('click', () => setMidiLearnMode(!midiLearnActive));
+    }
+    getLearnableSliders().forEach((slider) => {
+        const armSlider = () => {
+            if (midiLearnActive) setPendingLearnTarget(slider);
+        };
+        slider.addEventListener('pointerdown', armSlider);
+        slider.addEventListener('focus', armSlider);
+    });
+    if (modWheelTargetSelect) {
+        modWheelTargetSelect.addEventListener('change', () => {
+            applyModWheel(synth.modulationAmount);
+        });
     }
 
     // Layout Switch
@@ -1015,18 +5385,60 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (!isWebMidiSupported()) {
         if (midiEnableBtn) midiEnableBtn.disabled = true;
-        if (midiInputSelect) midiInputSelect.disabled = true;
         if (midiRefreshBtn) midiRefreshBtn.disabled = true;
         updateMidiStatus('MIDI unavailable in this browser');
     } else {
-        if (midiInputSelect) midiInputSelect.disabled = true;
         if (midiRefreshBtn) midiRefreshBtn.disabled = true;
         updateMidiStatus('MIDI access not enabled');
     }
 
+    // --- url state ---
+    function captureUrlState() {
+        return { ...capturePatchSettings(URL_STATE_CONTROLS), seed: seedInput ? seedInput.value : '' };
+    }
+
+    // Unknown options are ignored and numbers clamped to the sliders' ranges in the page.
+    function applyUrlState(state) {
+        applyPatchSettings(state, URL_STATE_CONTROLS);
+        if (seedInput && typeof state.seed !== 'undefined' && seedInput.value !== state.seed) {
+            seedInput.value = state.seed;
+            seedInput.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    // Replacing the history entry keeps every tweak from becoming a Back step.
+    function writeUrlState() {
+        urlStateTimer = null;
+        const hash = `#${encodeUrlState(captureUrlState())}`;
+        if (window.location.hash === hash) return;
+        try {
+            window.history.replaceState(null, '', hash);
+        } catch (error) {
+            // Some file:// pages refuse history changes; the link just stays as it was.
+        }
+    }
+
+    function scheduleUrlStateUpdate() {
+        if (!urlStateReady) return;
+        clearTimeout(urlStateTimer);
+        urlStateTimer = setTimeout(writeUrlState, URL_STATE_UPDATE_DELAY_MS);
+    }
+
+    if (window.location.hash.length > 1) applyUrlState(decodeUrlState(window.location.hash));
+    urlStateReady = true;
+    document.addEventListener('input', scheduleUrlStateUpdate);
+    document.addEventListener('change', scheduleUrlStateUpdate);
+    // A link pasted into the same tab only changes the hash.
+    window.addEventListener('hashchange', () => {
+        applyUrlState(decodeUrlState(window.location.hash));
+    });
+
     window.addEventListener('beforeunload', () => {
         stopAllMidiNotes();
-        detachSelectedMidiInputListener();
+        detachAllMidiInputs();
+        releaseMidiOutputNotes();
+        midiFilePlayer.stop();
+        logPlayer.stop();
     });
 
 });